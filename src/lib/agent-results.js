@@ -0,0 +1,63 @@
+// Shape checks for the traces probe agents push (POST /api/agent/results). The values end up in
+// typed columns (INET, VARCHAR(255), INTEGER, NUMERIC(10,2)), so anything the database would
+// refuse is rejected with the request instead of failing a later flush for every target.
+
+const { isValidIpLiteral } = require('./target-validation');
+
+const MAX_HOP = 255;                // TTL
+const MAX_HOSTNAME_LENGTH = 255;    // VARCHAR(255)
+const MAX_COUNT = 2147483647;       // INTEGER
+const MAX_LATENCY = 99999999.99;    // NUMERIC(10,2), ms
+
+// A hop field that may be missing or null, otherwise has to pass the check
+const absentOr = (value, check) => value === undefined || value === null || check(value);
+
+const isCount = value => Number.isInteger(value) && value >= 0 && value <= MAX_COUNT;
+const isLatency = value => Number.isFinite(value) && value >= 0 && value <= MAX_LATENCY;
+const isLatencyList = probes => Array.isArray(probes) && probes.every(rtt => rtt === null || isLatency(rtt));
+
+// Validate the fields of a pushed hop (or one of its responders) that are stored or computed
+// with; returns an error message or null
+function validateAgentHop(hop) {
+    if (!hop || typeof hop !== 'object') return 'must be an object';
+    if (!absentOr(hop.ip, ip => ip === '*' || (typeof ip === 'string' && isValidIpLiteral(ip)))) {
+        return 'ip must be an IP address, "*" or null';
+    }
+    if (!absentOr(hop.hostname, hostname => typeof hostname === 'string' && hostname.length <= MAX_HOSTNAME_LENGTH)) {
+        return `hostname must be a string of at most ${MAX_HOSTNAME_LENGTH} characters or null`;
+    }
+    for (const field of ['latency', 'min', 'avg', 'max', 'jitter']) {
+        if (!absentOr(hop[field], isLatency)) return `${field} must be a latency between 0 and ${MAX_LATENCY} ms or null`;
+    }
+    for (const field of ['sent', 'received', 'lost']) {
+        if (!absentOr(hop[field], isCount)) return `${field} must be a non-negative integer or null`;
+    }
+    if (!absentOr(hop.packetLoss, loss => Number.isFinite(loss) && loss >= 0 && loss <= 100)) {
+        return 'packetLoss must be a percentage or null';
+    }
+    if (!absentOr(hop.probes, isLatencyList)) return 'probes must be a list of latencies';
+    return null;
+}
+
+// Validate the hop list of a pushed result, responders included; returns an error message or null
+function validateAgentHops(hops) {
+    if (!Array.isArray(hops)) return 'hops must be a list of hops';
+    
+    for (const [index, hop] of hops.entries()) {
+        const invalid = validateAgentHop(hop) ||
+            (Number.isInteger(hop.hop) && hop.hop >= 1 && hop.hop <= MAX_HOP ? null : `hop must be an integer from 1 to ${MAX_HOP}`);
+        if (invalid) return `hops[${index}]: ${invalid}`;
+        
+        if (!absentOr(hop.responders, Array.isArray)) return `hops[${index}]: responders must be a list`;
+        for (const [responderIndex, responder] of (hop.responders || []).entries()) {
+            const invalidResponder = validateAgentHop(responder);
+            if (invalidResponder) return `hops[${index}].responders[${responderIndex}]: ${invalidResponder}`;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    validateAgentHop,
+    validateAgentHops
+};
@@ -0,0 +1,125 @@
+// Probe target validation. Probe commands get the target as a single argument (execFile,
+// no shell), and targets must be plain hostnames or IP literals so nothing can be taken for
+// an option. http probes may also use a full http(s) URL. The optional CIDR allow/deny lists
+// are checked against every address the target resolves to.
+
+const net = require('net');
+const dns = require('dns');
+
+const HOSTNAME_LABEL = /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?$/i;
+
+function isValidHostname(host) {
+    if (!host || host.length > 253) return false;
+    
+    const labels = host.replace(/\.$/, '').split('.');
+    // An all-numeric last label is a malformed IPv4 address, not a name
+    return labels.every(label => HOSTNAME_LABEL.test(label)) && !/^\d+$/.test(labels[labels.length - 1]);
+}
+
+function isValidIpLiteral(host) {
+    // No IPv6 zone IDs ("fe80::1%eth0"): they are free text
+    return net.isIP(host) !== 0 && !host.includes('%');
+}
+
+// Host part of a target (the hostname of http(s) URLs, brackets removed)
+function targetHost(target) {
+    return /^https?:\/\//i.test(target) ? new URL(target).hostname.replace(/^\[|\]$/g, '') : target;
+}
+
+// Syntax check shared by the targets API, the probe routes and the scheduler;
+// returns an error message or null
+function validateTarget(target, probeType = 'traceroute') {
+    if (typeof target !== 'string' || target.length === 0) {
+        return 'Target is required';
+    }
+    if (target.length > 2048 || /[\s\x00-\x1f\x7f]/.test(target)) {
+        return 'Target must not contain whitespace or control characters';
+    }
+    
+    if (/^https?:\/\//i.test(target)) {
+        if (probeType !== 'http') {
+            return 'URLs are only supported by the http probe';
+        }
+        
+        let url;
+        try {
+            url = new URL(target);
+        } catch (error) {
+            return 'Target must be a valid http(s) URL';
+        }
+        if (url.username || url.password) {
+            return 'Target URLs must not contain credentials';
+        }
+        
+        const host = targetHost(target);
+        return isValidIpLiteral(host) || isValidHostname(host)
+            ? null
+            : 'Target URL must contain a valid hostname or IP address';
+    }
+    
+    return isValidIpLiteral(target) || isValidHostname(target)
+        ? null
+        : 'Target must be a valid hostname or IP address';
+}
+
+// Build a BlockList from a comma-separated CIDR list (null if empty); throws on a bad entry
+function parseCidrList(value, name) {
+    const entries = value.split(',').map(entry => entry.trim()).filter(Boolean);
+    if (entries.length === 0) return null;
+    
+    const list = new net.BlockList();
+    for (const entry of entries) {
+        const [address, prefix] = entry.split('/');
+        const family = net.isIP(address);
+        const bits = prefix === undefined ? (family === 6 ? 128 : 32) : Number(prefix);
+        
+        if (!family || !Number.isInteger(bits) || bits < 0 || bits > (family === 6 ? 128 : 32)) {
+            throw new Error(`Invalid CIDR "${entry}" in ${name}`);
+        }
+        list.addSubnet(address, bits, family === 6 ? 'ipv6' : 'ipv4');
+    }
+    return list;
+}
+
+const lookupAddresses = async (host) =>
+    (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+
+// Check every address the target resolves to against the CIDR lists
+// ({ allow, deny } BlockLists, either may be null); returns an error message or null
+async function checkTargetNetworks(target, { allow = null, deny = null, lookup = lookupAddresses } = {}) {
+    if (!allow && !deny) return null;
+    
+    const host = targetHost(target);
+    let addresses;
+    try {
+        addresses = isValidIpLiteral(host) ? [host] : await lookup(host);
+    } catch (error) {
+        return `Target ${host} could not be resolved`;
+    }
+    
+    for (const address of addresses) {
+        const family = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+        if (deny && deny.check(address, family)) {
+            return `Target address ${address} is in a denied network`;
+        }
+        if (allow && !allow.check(address, family)) {
+            return `Target address ${address} is not in an allowed network`;
+        }
+    }
+    return null;
+}
+
+// Full check before probing: syntax, then the CIDR lists
+async function validateProbeTarget(target, probeType = 'traceroute', networks = {}) {
+    return validateTarget(target, probeType) || await checkTargetNetworks(target, networks);
+}
+
+module.exports = {
+    isValidHostname,
+    isValidIpLiteral,
+    targetHost,
+    validateTarget,
+    parseCidrList,
+    checkTargetNetworks,
+    validateProbeTarget
+};
@@ -0,0 +1,219 @@
+// Parsers for the output of the system trace commands: traceroute/traceroute6 (Linux, macOS)
+// and tracert (Windows). Both yield the hop shape the probe engines resolve to:
+//   { hop, ip, hostname, latency, timeout, probes, sent, received, lost, packetLoss,
+//     min, avg, max, jitter, responders, multipath }
+
+const net = require('net');
+
+// Parse the probe results of one traceroute line into its responders.
+// A TTL can be answered by several routers (ECMP / load-balanced paths), e.g.
+//   "a.net (10.0.0.1)  5 ms  b.net (10.0.0.2)  6 ms *"
+// Each reply belongs to the most recently printed responder. Lost probes ("*")
+// have no known responder and are attributed the same way (leading ones to the first).
+function parseHopResponders(text) {
+    const tokens = text.trim().split(/\s+/).filter(Boolean);
+    const responders = [];
+    const probes = [];
+    const leadingLosses = [];
+    let current = null;
+    
+    const addResponder = (ip, hostname) => {
+        current = responders.find(r => r.ip === ip);
+        if (!current) {
+            current = { ip, hostname, probes: [] };
+            responders.push(current);
+        }
+    };
+    
+    const addProbe = (rtt) => {
+        probes.push(rtt);
+        if (current) {
+            current.probes.push(rtt);
+        } else {
+            leadingLosses.push(rtt);
+        }
+    };
+    
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        const next = tokens[i + 1];
+        // Address in parentheses, dropping any "%iface" zone suffix
+        const nextIp = next && next.match(/^\(([0-9a-fA-F:.]+)(?:%[\w.-]+)?\)$/);
+        
+        if (token === '*') {
+            addProbe(null);
+        } else if (/^<?\d+(\.\d+)?$/.test(token) && next === 'ms') {
+            addProbe(parseFloat(token.replace('<', '')));
+            i++;
+        } else if (/^<?\d+(\.\d+)?ms$/.test(token)) {
+            addProbe(parseFloat(token.replace('<', '')));
+        } else if (nextIp && net.isIP(nextIp[1])) {
+            // "hostname (ip)"
+            addResponder(nextIp[1], token);
+            i++;
+        } else if (net.isIP(token)) {
+            // Bare address without reverse DNS
+            addResponder(token, token);
+        }
+        // Anything else (!H, !N, ...) is an annotation on the previous reply
+    }
+    
+    if (responders.length > 0 && leadingLosses.length > 0) {
+        responders[0].probes.unshift(...leadingLosses);
+    }
+    
+    return {
+        probes,
+        responders: responders.map(r => ({ ...r, ...summarizeProbes(r.probes) }))
+    };
+}
+
+// Per-hop probe statistics: loss plus min/avg/max/jitter over the replies
+function summarizeProbes(probes) {
+    const rtts = probes.filter(p => p !== null);
+    const sent = probes.length;
+    const received = rtts.length;
+    
+    // Jitter: mean absolute difference between consecutive replies
+    let jitter = null;
+    if (rtts.length > 1) {
+        let diffSum = 0;
+        for (let i = 1; i < rtts.length; i++) {
+            diffSum += Math.abs(rtts[i] - rtts[i - 1]);
+        }
+        jitter = diffSum / (rtts.length - 1);
+    }
+    
+    return {
+        sent,
+        received,
+        lost: sent - received,
+        packetLoss: sent > 0 ? ((sent - received) / sent) * 100 : 0,
+        min: received > 0 ? Math.min(...rtts) : null,
+        avg: received > 0 ? rtts.reduce((a, b) => a + b, 0) / received : null,
+        max: received > 0 ? Math.max(...rtts) : null,
+        jitter
+    };
+}
+
+// Parse traceroute output
+function parseTracerouteOutput(output) {
+    const lines = output.split('\n');
+    const hops = [];
+    
+    for (const line of lines) {
+        // Skip header lines and empty lines (traceroute / traceroute6)
+        if (!line.trim() || /traceroute6? to/.test(line)) {
+            continue;
+        }
+        
+        // Match hop number at the start of line
+        const hopMatch = line.match(/^\s*(\d+)/);
+        if (!hopMatch) continue;
+        
+        const hopNumber = parseInt(hopMatch[1]);
+        
+        // Extract every responder with its probe replies ("12.345 ms") and lost probes ("*")
+        const { probes, responders } = parseHopResponders(line.replace(/^\s*\d+/, ''));
+        const probeStats = summarizeProbes(probes);
+        
+        // First responder is the primary one shown for the hop
+        const ip = responders.length > 0 ? responders[0].ip : null;
+        const hostname = responders.length > 0 ? responders[0].hostname : null;
+        
+        // Check for timeout/no response
+        const isTimeout = probeStats.received === 0 || line.includes('!H') || line.includes('!N');
+        
+        if (ip || isTimeout) {
+            hops.push({
+                hop: hopNumber,
+                ip: ip || '*',
+                hostname: hostname || (isTimeout ? 'Request timed out' : ip),
+                latency: probeStats.avg,
+                timeout: isTimeout,
+                probes,
+                ...probeStats,
+                responders,
+                multipath: responders.length > 1
+            });
+        }
+    }
+    
+    return hops;
+}
+
+// Parse Windows tracert output, e.g.
+//   "  1    <1 ms    <1 ms    <1 ms  fritz.box [192.168.178.1]"
+//   "  3     *        *        *     Request timed out."
+//   "  4    12 ms     *       15 ms  10.0.0.1"
+// Only the hop number, probe columns and address are used, so localized output works too.
+function parseTracertOutput(output) {
+    const lines = output.split(/\r?\n/);
+    const hops = [];
+    
+    for (const line of lines) {
+        // Hop lines start with the hop number; header/footer lines do not
+        const lineMatch = line.match(/^\s*(\d+)\s+(.*)$/);
+        if (!lineMatch) continue;
+        
+        const hopNumber = parseInt(lineMatch[1]);
+        let rest = lineMatch[2];
+        
+        // Probe columns: "<1 ms", "12 ms" or "*"
+        const probes = [];
+        let probeMatch;
+        while ((probeMatch = rest.match(/^(?:(<?)(\d+)\s*ms|\*)\s*/))) {
+            probes.push(probeMatch[2] !== undefined ? parseFloat(probeMatch[2]) : null);
+            rest = rest.slice(probeMatch[0].length);
+        }
+        
+        // Remaining text: "hostname [ip]", a bare ip, or a message such as "Request timed out."
+        let ip = null;
+        let hostname = null;
+        const bracketMatch = rest.match(/^(\S+)\s+\[([0-9a-fA-F:.]+)(?:%[\w.-]+)?\]/);
+        const bareMatch = rest.match(/^([0-9a-fA-F:.]+)(?:%[\w.-]+)?(?:\s|$)/);
+        
+        if (bracketMatch && net.isIP(bracketMatch[2])) {
+            ip = bracketMatch[2];
+            hostname = bracketMatch[1];
+        } else if (bareMatch && net.isIP(bareMatch[1])) {
+            ip = bareMatch[1];
+            hostname = ip;
+        }
+        
+        const probeStats = summarizeProbes(probes);
+        
+        // "reports: Destination host unreachable." has no probe columns
+        const isTimeout = probeStats.received === 0 || /unreachable/i.test(rest);
+        const responders = ip ? [{ ip, hostname, probes, ...probeStats }] : [];
+        
+        if (ip || isTimeout) {
+            hops.push({
+                hop: hopNumber,
+                ip: ip || '*',
+                hostname: hostname || (isTimeout ? 'Request timed out' : ip),
+                latency: probeStats.avg,
+                timeout: isTimeout,
+                probes,
+                ...probeStats,
+                responders,
+                multipath: false
+            });
+        }
+    }
+    
+    return hops;
+}
+
+// Pick the parser matching the platform's trace command
+function parseTraceOutput(output, platform = process.platform) {
+    return platform === 'win32' ? parseTracertOutput(output) : parseTracerouteOutput(output);
+}
+
+module.exports = {
+    parseHopResponders,
+    summarizeProbes,
+    parseTracerouteOutput,
+    parseTracertOutput,
+    parseTraceOutput
+};
@@ -1,16 +1,8 @@
--- WebPing Network Anomaly Tracking Schema
--- PostgreSQL 17 compatible
-
--- Drop views first (they depend on tables)
-DROP VIEW IF EXISTS hop_problem_stats CASCADE;
-DROP VIEW IF EXISTS recent_anomalies CASCADE;
-
--- Drop and recreate tables to ensure correct schema
-DROP TABLE IF EXISTS event_hops CASCADE;
-DROP TABLE IF EXISTS network_events CASCADE;
+-- 001: Initial schema (anomaly events, hop statistics, configuration)
+-- Idempotent so databases created with the old schema.sql are adopted without data loss
 
 -- Main events table for anomalies (>200ms latency, timeouts, packet loss)
-CREATE TABLE network_events (
+CREATE TABLE IF NOT EXISTS network_events (
     id BIGSERIAL PRIMARY KEY,
     timestamp TIMESTAMPTZ NOT NULL DEFAULT NOW(),
     target VARCHAR(255) NOT NULL,
@@ -24,7 +16,7 @@ CREATE TABLE network_events (
 );
 
 -- Detailed hop path for each event
-CREATE TABLE event_hops (
+CREATE TABLE IF NOT EXISTS event_hops (
     id BIGSERIAL PRIMARY KEY,
     event_id BIGINT NOT NULL REFERENCES network_events(id) ON DELETE CASCADE,
     hop_number INTEGER NOT NULL,
@@ -37,7 +29,7 @@ CREATE TABLE event_hops (
 );
 
 -- Per-hop packet loss statistics aggregated over time
-CREATE TABLE hop_statistics (
+CREATE TABLE IF NOT EXISTS hop_statistics (
     id BIGSERIAL PRIMARY KEY,
     timestamp_minute TIMESTAMPTZ NOT NULL,
     target VARCHAR(255) NOT NULL,
@@ -68,6 +60,10 @@ CREATE INDEX IF NOT EXISTS idx_hop_stats_target_time ON hop_statistics (target,
 CREATE INDEX IF NOT EXISTS idx_hop_stats_hop_number ON hop_statistics (hop_number);
 CREATE INDEX IF NOT EXISTS idx_hop_stats_packet_loss ON hop_statistics (packet_loss_pct DESC) WHERE packet_loss_pct > 0;
 
+-- Views are recreated (they hold no data and may differ on databases built from the old schema.sql)
+DROP VIEW IF EXISTS hop_problem_stats;
+DROP VIEW IF EXISTS recent_anomalies;
+
 -- Useful view for quick queries
 CREATE VIEW recent_anomalies AS
 SELECT 
@@ -105,14 +101,14 @@ GROUP BY eh.hop_number, eh.hostname, eh.ip_address, ne.target
 ORDER BY problem_count DESC;
 
 -- Configuration tables for server-side persistence
-CREATE TABLE app_config (
+CREATE TABLE IF NOT EXISTS app_config (
     id SERIAL PRIMARY KEY,
     key VARCHAR(100) UNIQUE NOT NULL,
     value TEXT NOT NULL,
     updated_at TIMESTAMPTZ DEFAULT NOW()
 );
 
-CREATE TABLE monitored_targets (
+CREATE TABLE IF NOT EXISTS monitored_targets (
     id INTEGER PRIMARY KEY,
     url VARCHAR(255) UNIQUE NOT NULL,
     name VARCHAR(255) NOT NULL,
@@ -134,12 +130,14 @@ INSERT INTO app_config (key, value) VALUES
     ('selected_target_id', '1')
 ON CONFLICT (key) DO NOTHING;
 
--- Insert default monitored targets
-INSERT INTO monitored_targets (id, url, name, selected, sort_order) VALUES
+-- Insert default monitored targets (only into a fresh table)
+INSERT INTO monitored_targets (id, url, name, selected, sort_order)
+SELECT * FROM (VALUES
     (1, 'vodafone.de', 'vodafone.de', true, 1),
     (2, 'google.com', 'google.com', false, 2),
     (3, '1.1.1.1', 'Cloudflare DNS (1.1.1.1)', false, 3)
-ON CONFLICT (id) DO NOTHING;
+) AS defaults (id, url, name, selected, sort_order)
+WHERE NOT EXISTS (SELECT 1 FROM monitored_targets);
 
 -- Comments for documentation
 COMMENT ON TABLE network_events IS 'Stores network anomaly events (high latency >200ms, timeouts, packet loss)';
@@ -0,0 +1,23 @@
+-- 002: Per-probe hop details and ECMP responders in event_hops
+
+ALTER TABLE event_hops ADD COLUMN IF NOT EXISTS responder_index INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE event_hops ADD COLUMN IF NOT EXISTS min_latency_ms NUMERIC(10,2);
+ALTER TABLE event_hops ADD COLUMN IF NOT EXISTS max_latency_ms NUMERIC(10,2);
+ALTER TABLE event_hops ADD COLUMN IF NOT EXISTS jitter_ms NUMERIC(10,2);
+ALTER TABLE event_hops ADD COLUMN IF NOT EXISTS probes_sent INTEGER;
+ALTER TABLE event_hops ADD COLUMN IF NOT EXISTS probes_lost INTEGER;
+
+-- One row per responding router of a hop
+ALTER TABLE event_hops DROP CONSTRAINT IF EXISTS event_hops_event_id_hop_number_key;
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'event_hops_event_id_hop_number_responder_index_key') THEN
+        ALTER TABLE event_hops ADD CONSTRAINT event_hops_event_id_hop_number_responder_index_key
+            UNIQUE (event_id, hop_number, responder_index);
+    END IF;
+END $$;
+
+COMMENT ON COLUMN event_hops.latency_ms IS 'Average RTT over all probe replies for this hop';
+COMMENT ON COLUMN event_hops.responder_index IS 'Position of the responding router within a load-balanced (ECMP) hop; 0 is the primary responder';
+COMMENT ON COLUMN event_hops.jitter_ms IS 'Mean absolute difference between consecutive probe RTTs';
+COMMENT ON TABLE hop_statistics IS 'Per-minute statistics per hop and responding router (one row per ECMP path)';
@@ -0,0 +1,19 @@
+-- 003: Probe engine and per-target overrides for monitored targets
+
+ALTER TABLE monitored_targets ADD COLUMN IF NOT EXISTS probe_type VARCHAR(20) NOT NULL DEFAULT 'traceroute'
+    CHECK (probe_type IN ('traceroute', 'mtr', 'ping', 'tcp', 'http'));
+ALTER TABLE monitored_targets ADD COLUMN IF NOT EXISTS probe_port INTEGER CHECK (probe_port BETWEEN 1 AND 65535);
+
+-- Per-target overrides; NULL uses the global default
+ALTER TABLE monitored_targets ADD COLUMN IF NOT EXISTS latency_threshold_ms INTEGER CHECK (latency_threshold_ms > 0);
+ALTER TABLE monitored_targets ADD COLUMN IF NOT EXISTS packet_loss_threshold REAL CHECK (packet_loss_threshold BETWEEN 0 AND 100);
+ALTER TABLE monitored_targets ADD COLUMN IF NOT EXISTS max_hops INTEGER CHECK (max_hops BETWEEN 1 AND 64);
+ALTER TABLE monitored_targets ADD COLUMN IF NOT EXISTS probe_wait_ms INTEGER CHECK (probe_wait_ms BETWEEN 100 AND 10000);
+ALTER TABLE monitored_targets ADD COLUMN IF NOT EXISTS probe_count INTEGER CHECK (probe_count BETWEEN 1 AND 10);
+ALTER TABLE monitored_targets ADD COLUMN IF NOT EXISTS trace_interval INTEGER CHECK (trace_interval >= 1000);
+
+COMMENT ON COLUMN monitored_targets.probe_type IS 'Probe engine: traceroute, mtr, ping, tcp (connect time) or http (time to first byte)';
+COMMENT ON COLUMN monitored_targets.latency_threshold_ms IS 'High latency anomaly threshold for this target (default 200ms)';
+COMMENT ON COLUMN monitored_targets.packet_loss_threshold IS 'Packet loss anomaly threshold in percent for this target (default 3)';
+COMMENT ON COLUMN monitored_targets.trace_interval IS 'Probe interval in ms for this target (default: app_config trace_interval)';
+COMMENT ON COLUMN monitored_targets.probe_port IS 'Port for tcp/http probes (default 443); ignored by other engines';
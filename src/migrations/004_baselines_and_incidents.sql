@@ -0,0 +1,55 @@
+-- 004: Baseline deviation on events and incident grouping
+
+-- Incidents: consecutive anomalies of one target grouped from first failure to recovery
+CREATE TABLE IF NOT EXISTS incidents (
+    id BIGSERIAL PRIMARY KEY,
+    target VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'open',
+    issue_type VARCHAR(50) NOT NULL,
+    started_at TIMESTAMPTZ NOT NULL,
+    last_seen_at TIMESTAMPTZ NOT NULL,
+    ended_at TIMESTAMPTZ,
+    event_count INTEGER NOT NULL DEFAULT 1,
+    worst_hop INTEGER,
+    worst_hop_ip INET,
+    peak_latency NUMERIC(10,2),
+    peak_packet_loss NUMERIC(5,2),
+    CONSTRAINT valid_incident_status CHECK (status IN ('open', 'resolved')),
+    CONSTRAINT valid_incident_issue_type CHECK (issue_type IN ('high_latency', 'timeout', 'packet_loss'))
+);
+
+ALTER TABLE network_events ADD COLUMN IF NOT EXISTS baseline_latency NUMERIC(10,2);
+ALTER TABLE network_events ADD COLUMN IF NOT EXISTS baseline_p95 NUMERIC(10,2);
+ALTER TABLE network_events ADD COLUMN IF NOT EXISTS latency_deviation NUMERIC(10,2);
+ALTER TABLE network_events ADD COLUMN IF NOT EXISTS incident_id BIGINT REFERENCES incidents(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_events_incident ON network_events (incident_id) WHERE incident_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_incidents_target_started ON incidents (target, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_incidents_open ON incidents (status) WHERE status = 'open';
+
+-- Show the baseline and only the primary responder of the problematic hop
+DROP VIEW IF EXISTS recent_anomalies;
+CREATE VIEW recent_anomalies AS
+SELECT 
+    ne.id,
+    ne.timestamp,
+    ne.target,
+    ne.issue_type,
+    ne.problematic_hop,
+    ne.avg_latency,
+    ne.packet_loss_pct,
+    ne.baseline_latency,
+    ne.latency_deviation,
+    eh.ip_address as problem_hop_ip,
+    eh.hostname as problem_hop_hostname,
+    eh.latency_ms as problem_hop_latency
+FROM network_events ne
+LEFT JOIN event_hops eh ON ne.id = eh.event_id AND ne.problematic_hop = eh.hop_number AND eh.responder_index = 0
+WHERE ne.timestamp > NOW() - INTERVAL '7 days'
+ORDER BY ne.timestamp DESC;
+
+COMMENT ON TABLE incidents IS 'Groups consecutive anomaly events of a target; resolved after a recovery period without anomalies';
+COMMENT ON COLUMN incidents.issue_type IS 'Most severe issue seen during the incident (timeout > packet_loss > high_latency)';
+COMMENT ON COLUMN incidents.ended_at IS 'First healthy trace of the recovery period (last anomaly if no healthy trace was seen)';
+COMMENT ON COLUMN network_events.baseline_latency IS 'Median latency of the problematic hop over the baseline window (NULL until enough history exists)';
+COMMENT ON COLUMN network_events.latency_deviation IS 'Problematic hop latency minus its baseline median, in ms';
@@ -0,0 +1,54 @@
+-- 005: Alert channels, rules and delivery log
+
+-- Alert channels: where notifications go
+CREATE TABLE IF NOT EXISTS alert_channels (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    type VARCHAR(20) NOT NULL,
+    config JSONB NOT NULL DEFAULT '{}',
+    enabled BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT valid_channel_type CHECK (type IN ('webhook', 'slack', 'teams', 'email'))
+);
+
+-- Alert rules: which incidents notify which channel
+CREATE TABLE IF NOT EXISTS alert_rules (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    enabled BOOLEAN DEFAULT TRUE,
+    target VARCHAR(255),
+    issue_types VARCHAR(50)[],
+    min_severity VARCHAR(50) NOT NULL DEFAULT 'high_latency',
+    min_duration_seconds INTEGER NOT NULL DEFAULT 0,
+    channel_id INTEGER NOT NULL REFERENCES alert_channels(id) ON DELETE CASCADE,
+    notify_recovery BOOLEAN DEFAULT TRUE,
+    quiet_hours_start SMALLINT CHECK (quiet_hours_start BETWEEN 0 AND 23),
+    quiet_hours_end SMALLINT CHECK (quiet_hours_end BETWEEN 0 AND 23),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT valid_min_severity CHECK (min_severity IN ('high_latency', 'packet_loss', 'timeout'))
+);
+
+-- Alert delivery log (one row per notification, including retries and suppressed alerts)
+CREATE TABLE IF NOT EXISTS alert_deliveries (
+    id BIGSERIAL PRIMARY KEY,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    rule_id INTEGER REFERENCES alert_rules(id) ON DELETE SET NULL,
+    channel_id INTEGER REFERENCES alert_channels(id) ON DELETE SET NULL,
+    incident_id BIGINT REFERENCES incidents(id) ON DELETE SET NULL,
+    kind VARCHAR(20) NOT NULL,
+    status VARCHAR(20) NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    payload JSONB,
+    CONSTRAINT valid_delivery_kind CHECK (kind IN ('alert', 'recovery', 'test')),
+    CONSTRAINT valid_delivery_status CHECK (status IN ('sent', 'failed', 'suppressed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_deliveries_created ON alert_deliveries (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_alert_deliveries_incident ON alert_deliveries (incident_id, rule_id) WHERE incident_id IS NOT NULL;
+
+COMMENT ON TABLE alert_channels IS 'Notification targets; config is { "url": ... } for webhook/slack/teams and { "to": "a@b, c@d" } for email';
+COMMENT ON TABLE alert_rules IS 'Alert once per incident matching target/issue types/severity that lasts min_duration_seconds; quiet hours are server local time';
+COMMENT ON TABLE alert_deliveries IS 'Log of every alert, recovery and test notification with its outcome';
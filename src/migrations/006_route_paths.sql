@@ -0,0 +1,26 @@
+-- 006: Path versions per target and route_change events
+
+-- Distinct hop sequences (path versions) seen per target
+CREATE TABLE IF NOT EXISTS route_paths (
+    id BIGSERIAL PRIMARY KEY,
+    target VARCHAR(255) NOT NULL,
+    fingerprint CHAR(40) NOT NULL,
+    hop_count INTEGER NOT NULL,
+    hops JSONB NOT NULL,
+    first_seen TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    last_seen TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE(target, fingerprint)
+);
+
+ALTER TABLE network_events ADD COLUMN IF NOT EXISTS route_path_id BIGINT REFERENCES route_paths(id) ON DELETE SET NULL;
+ALTER TABLE network_events ADD COLUMN IF NOT EXISTS previous_route_path_id BIGINT REFERENCES route_paths(id) ON DELETE SET NULL;
+
+ALTER TABLE network_events DROP CONSTRAINT IF EXISTS valid_issue_type;
+ALTER TABLE network_events ADD CONSTRAINT valid_issue_type
+    CHECK (issue_type IN ('high_latency', 'timeout', 'packet_loss', 'route_change'));
+
+CREATE INDEX IF NOT EXISTS idx_route_paths_target ON route_paths (target, last_seen DESC);
+
+COMMENT ON COLUMN network_events.issue_type IS 'Type of issue: high_latency (>200ms), timeout, packet_loss, or route_change';
+COMMENT ON COLUMN network_events.route_path_id IS 'route_change events: the new stable path (previous_route_path_id is the one it replaced)';
+COMMENT ON TABLE route_paths IS 'Path versions per target; hops is [{ hop, ips, hostnames }] with an empty ips list for silent hops';
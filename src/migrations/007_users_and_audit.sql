@@ -0,0 +1,54 @@
+-- 007: Users, sessions, API tokens and the audit trail
+
+-- Dashboard and API users (roles: viewer < operator < admin)
+CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    username VARCHAR(100) UNIQUE NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'viewer',
+    enabled BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_login TIMESTAMPTZ,
+    CONSTRAINT valid_user_role CHECK (role IN ('viewer', 'operator', 'admin'))
+);
+
+-- Login sessions (only the SHA-256 of the token is stored)
+CREATE TABLE IF NOT EXISTS user_sessions (
+    token_hash CHAR(64) PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+-- API tokens for scripts and Prometheus
+CREATE TABLE IF NOT EXISTS api_tokens (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'viewer',
+    created_by VARCHAR(100),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_used TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ,
+    revoked BOOLEAN DEFAULT FALSE,
+    CONSTRAINT valid_token_role CHECK (role IN ('viewer', 'operator', 'admin'))
+);
+
+-- Who changed targets, configuration, alerting or deleted data
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    timestamp TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    username VARCHAR(100),
+    role VARCHAR(20),
+    action VARCHAR(50) NOT NULL,
+    resource VARCHAR(255),
+    details JSONB,
+    ip_address VARCHAR(45)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_expires ON user_sessions (expires_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_timestamp ON audit_log (timestamp DESC);
+
+COMMENT ON TABLE users IS 'Dashboard/API accounts; password_hash is scrypt$salt$hash';
+COMMENT ON TABLE api_tokens IS 'Long-lived bearer tokens with a fixed role; the token itself is only shown when created';
+COMMENT ON TABLE audit_log IS 'Audit trail of logins and every change to targets, configuration, alerting, users and stored data';
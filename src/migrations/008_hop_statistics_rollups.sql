@@ -0,0 +1,54 @@
+-- 008: Hourly and daily rollups of hop_statistics for the retention job
+
+-- Rollups of hop_statistics (bucket = start of the hour/day); filled and purged by the retention job
+CREATE TABLE IF NOT EXISTS hop_statistics_hourly (
+    id BIGSERIAL PRIMARY KEY,
+    bucket TIMESTAMPTZ NOT NULL,
+    target VARCHAR(255) NOT NULL,
+    hop_number INTEGER NOT NULL,
+    hop_ip INET,
+    hop_hostname VARCHAR(255),
+    total_attempts INTEGER NOT NULL DEFAULT 0,
+    total_losses INTEGER NOT NULL DEFAULT 0,
+    packet_loss_pct NUMERIC(5,2) GENERATED ALWAYS AS (
+        CASE WHEN total_attempts > 0 
+        THEN (total_losses::NUMERIC / total_attempts::NUMERIC * 100) 
+        ELSE 0 END
+    ) STORED,
+    avg_latency NUMERIC(10,2),
+    min_latency NUMERIC(10,2),
+    max_latency NUMERIC(10,2),
+    sample_count INTEGER NOT NULL DEFAULT 0,
+    UNIQUE NULLS NOT DISTINCT (target, hop_number, hop_ip, bucket)
+);
+
+CREATE TABLE IF NOT EXISTS hop_statistics_daily (
+    id BIGSERIAL PRIMARY KEY,
+    bucket TIMESTAMPTZ NOT NULL,
+    target VARCHAR(255) NOT NULL,
+    hop_number INTEGER NOT NULL,
+    hop_ip INET,
+    hop_hostname VARCHAR(255),
+    total_attempts INTEGER NOT NULL DEFAULT 0,
+    total_losses INTEGER NOT NULL DEFAULT 0,
+    packet_loss_pct NUMERIC(5,2) GENERATED ALWAYS AS (
+        CASE WHEN total_attempts > 0 
+        THEN (total_losses::NUMERIC / total_attempts::NUMERIC * 100) 
+        ELSE 0 END
+    ) STORED,
+    avg_latency NUMERIC(10,2),
+    min_latency NUMERIC(10,2),
+    max_latency NUMERIC(10,2),
+    sample_count INTEGER NOT NULL DEFAULT 0,
+    UNIQUE NULLS NOT DISTINCT (target, hop_number, hop_ip, bucket)
+);
+
+CREATE INDEX IF NOT EXISTS idx_hop_stats_minute ON hop_statistics (timestamp_minute);
+CREATE INDEX IF NOT EXISTS idx_hop_stats_hourly_bucket ON hop_statistics_hourly (bucket DESC);
+CREATE INDEX IF NOT EXISTS idx_hop_stats_hourly_target ON hop_statistics_hourly (target, bucket DESC);
+CREATE INDEX IF NOT EXISTS idx_hop_stats_daily_bucket ON hop_statistics_daily (bucket DESC);
+
+COMMENT ON TABLE hop_statistics_hourly IS 'Hourly rollup of hop_statistics, kept longer than the minute rows (RETENTION_HOURLY_DAYS)';
+COMMENT ON TABLE hop_statistics_daily IS 'Daily rollup of hop_statistics_hourly (RETENTION_DAILY_DAYS, 0 = forever)';
+COMMENT ON COLUMN hop_statistics_hourly.avg_latency IS 'Average latency weighted by the number of replies of each source row';
+COMMENT ON COLUMN hop_statistics_hourly.sample_count IS 'Number of per-minute rows the bucket was built from';
@@ -0,0 +1,55 @@
+-- 009: Remote probe agents and a vantage point dimension on events and hop statistics
+
+-- Agents run the probe loop elsewhere and push their traces to this instance
+CREATE TABLE IF NOT EXISTS probe_agents (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    description VARCHAR(255),
+    token_hash CHAR(64) UNIQUE,
+    created_by VARCHAR(100),
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    last_seen TIMESTAMPTZ,
+    last_address VARCHAR(45),
+    platform VARCHAR(20),
+    revoked BOOLEAN DEFAULT FALSE
+);
+
+-- Existing rows were all probed by this instance ('local')
+ALTER TABLE network_events ADD COLUMN IF NOT EXISTS agent VARCHAR(100) NOT NULL DEFAULT 'local';
+ALTER TABLE hop_statistics ADD COLUMN IF NOT EXISTS agent VARCHAR(100) NOT NULL DEFAULT 'local';
+ALTER TABLE hop_statistics_hourly ADD COLUMN IF NOT EXISTS agent VARCHAR(100) NOT NULL DEFAULT 'local';
+ALTER TABLE hop_statistics_daily ADD COLUMN IF NOT EXISTS agent VARCHAR(100) NOT NULL DEFAULT 'local';
+ALTER TABLE incidents ADD COLUMN IF NOT EXISTS agent VARCHAR(100) NOT NULL DEFAULT 'local';
+ALTER TABLE route_paths ADD COLUMN IF NOT EXISTS agent VARCHAR(100) NOT NULL DEFAULT 'local';
+
+-- Statistics, rollups and path versions are kept per vantage point
+ALTER TABLE hop_statistics DROP CONSTRAINT IF EXISTS hop_statistics_target_hop_number_hop_ip_timestamp_minute_key;
+ALTER TABLE hop_statistics_hourly DROP CONSTRAINT IF EXISTS hop_statistics_hourly_target_hop_number_hop_ip_bucket_key;
+ALTER TABLE hop_statistics_daily DROP CONSTRAINT IF EXISTS hop_statistics_daily_target_hop_number_hop_ip_bucket_key;
+ALTER TABLE route_paths DROP CONSTRAINT IF EXISTS route_paths_target_fingerprint_key;
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'hop_statistics_agent_key') THEN
+        ALTER TABLE hop_statistics ADD CONSTRAINT hop_statistics_agent_key
+            UNIQUE (agent, target, hop_number, hop_ip, timestamp_minute);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'hop_statistics_hourly_agent_key') THEN
+        ALTER TABLE hop_statistics_hourly ADD CONSTRAINT hop_statistics_hourly_agent_key
+            UNIQUE NULLS NOT DISTINCT (agent, target, hop_number, hop_ip, bucket);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'hop_statistics_daily_agent_key') THEN
+        ALTER TABLE hop_statistics_daily ADD CONSTRAINT hop_statistics_daily_agent_key
+            UNIQUE NULLS NOT DISTINCT (agent, target, hop_number, hop_ip, bucket);
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'route_paths_agent_key') THEN
+        ALTER TABLE route_paths ADD CONSTRAINT route_paths_agent_key
+            UNIQUE (agent, target, fingerprint);
+    END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_events_agent_time ON network_events (agent, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_hop_stats_agent_time ON hop_statistics (agent, target, timestamp_minute DESC);
+
+COMMENT ON TABLE probe_agents IS 'Remote probe agents; token_hash is NULL for agents that pushed with a user or API token';
+COMMENT ON COLUMN network_events.agent IS 'Vantage point that probed the trace: local (this instance) or a probe_agents name';
+COMMENT ON COLUMN hop_statistics.agent IS 'Vantage point that probed the hop: local (this instance) or a probe_agents name';
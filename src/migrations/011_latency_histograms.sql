@@ -0,0 +1,33 @@
+-- 011: Per-minute latency histograms and jitter in hop statistics, for percentiles over any window
+
+-- Reply counts per latency bucket (bounds: LATENCY_HISTOGRAM_BOUNDS in monitor-backend.js, the last
+-- bucket holds everything above). Histograms of the same hop add up, so rollups and queries over
+-- any window merge them with latency_histogram_sum() and read percentiles from the result.
+ALTER TABLE hop_statistics ADD COLUMN IF NOT EXISTS latency_histogram JSONB;
+ALTER TABLE hop_statistics ADD COLUMN IF NOT EXISTS jitter NUMERIC(10,2);
+ALTER TABLE hop_statistics_hourly ADD COLUMN IF NOT EXISTS latency_histogram JSONB;
+ALTER TABLE hop_statistics_hourly ADD COLUMN IF NOT EXISTS jitter NUMERIC(10,2);
+ALTER TABLE hop_statistics_daily ADD COLUMN IF NOT EXISTS latency_histogram JSONB;
+ALTER TABLE hop_statistics_daily ADD COLUMN IF NOT EXISTS jitter NUMERIC(10,2);
+
+-- Element-wise sum of two histograms (NULL = no replies)
+CREATE OR REPLACE FUNCTION latency_histogram_add(a JSONB, b JSONB) RETURNS JSONB AS $$
+    SELECT CASE
+        WHEN a IS NULL THEN b
+        WHEN b IS NULL THEN a
+        ELSE (
+            SELECT jsonb_agg(COALESCE(x.value::INTEGER, 0) + COALESCE(y.value::INTEGER, 0)
+                             ORDER BY COALESCE(x.ordinality, y.ordinality))
+            FROM jsonb_array_elements_text(a) WITH ORDINALITY x
+            FULL JOIN jsonb_array_elements_text(b) WITH ORDINALITY y ON x.ordinality = y.ordinality
+        )
+    END
+$$ LANGUAGE SQL IMMUTABLE;
+
+CREATE OR REPLACE AGGREGATE latency_histogram_sum(JSONB) (
+    SFUNC = latency_histogram_add,
+    STYPE = JSONB
+);
+
+COMMENT ON COLUMN hop_statistics.latency_histogram IS 'Replies per latency bucket (LATENCY_HISTOGRAM_BOUNDS), NULL without replies';
+COMMENT ON COLUMN hop_statistics.jitter IS 'Mean absolute difference between consecutive replies (ms)';
@@ -0,0 +1,335 @@
+-- 008: Initial SQLite schema (equivalent to PostgreSQL migrations 001-008)
+-- Timestamps are ISO 8601 UTC text, JSONB columns hold JSON text and BOOLEAN columns 0/1;
+-- the backend converts them back to the types pg returns. Column comments are in the PostgreSQL migrations.
+
+-- Incidents: consecutive anomalies of one target grouped from first failure to recovery
+CREATE TABLE IF NOT EXISTS incidents (
+    id INTEGER PRIMARY KEY,
+    target VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'open',
+    issue_type VARCHAR(50) NOT NULL,
+    started_at TIMESTAMPTZ NOT NULL,
+    last_seen_at TIMESTAMPTZ NOT NULL,
+    ended_at TIMESTAMPTZ,
+    event_count INTEGER NOT NULL DEFAULT 1,
+    worst_hop INTEGER,
+    worst_hop_ip TEXT,
+    peak_latency NUMERIC(10,2),
+    peak_packet_loss NUMERIC(5,2),
+    CONSTRAINT valid_incident_status CHECK (status IN ('open', 'resolved')),
+    CONSTRAINT valid_incident_issue_type CHECK (issue_type IN ('high_latency', 'timeout', 'packet_loss'))
+);
+
+-- Distinct hop sequences (path versions) seen per target
+CREATE TABLE IF NOT EXISTS route_paths (
+    id INTEGER PRIMARY KEY,
+    target VARCHAR(255) NOT NULL,
+    fingerprint CHAR(40) NOT NULL,
+    hop_count INTEGER NOT NULL,
+    hops JSONB NOT NULL,
+    first_seen TIMESTAMPTZ NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    last_seen TIMESTAMPTZ NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    UNIQUE(target, fingerprint)
+);
+
+-- Main events table for anomalies (high latency, timeouts, packet loss) and route changes
+CREATE TABLE IF NOT EXISTS network_events (
+    id INTEGER PRIMARY KEY,
+    timestamp TIMESTAMPTZ NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    target VARCHAR(255) NOT NULL,
+    target_ip TEXT,
+    issue_type VARCHAR(50) NOT NULL,
+    total_hops INTEGER,
+    problematic_hop INTEGER,
+    avg_latency NUMERIC(10,2),
+    packet_loss_pct NUMERIC(5,2),
+    baseline_latency NUMERIC(10,2),
+    baseline_p95 NUMERIC(10,2),
+    latency_deviation NUMERIC(10,2),
+    incident_id BIGINT REFERENCES incidents(id) ON DELETE SET NULL,
+    route_path_id BIGINT REFERENCES route_paths(id) ON DELETE SET NULL,
+    previous_route_path_id BIGINT REFERENCES route_paths(id) ON DELETE SET NULL,
+    CONSTRAINT valid_issue_type CHECK (issue_type IN ('high_latency', 'timeout', 'packet_loss', 'route_change'))
+);
+
+-- Detailed hop path for each event, one row per responding router of a hop
+CREATE TABLE IF NOT EXISTS event_hops (
+    id INTEGER PRIMARY KEY,
+    event_id BIGINT NOT NULL REFERENCES network_events(id) ON DELETE CASCADE,
+    hop_number INTEGER NOT NULL,
+    responder_index INTEGER NOT NULL DEFAULT 0,
+    ip_address TEXT,
+    hostname VARCHAR(255),
+    latency_ms NUMERIC(10,2),
+    min_latency_ms NUMERIC(10,2),
+    max_latency_ms NUMERIC(10,2),
+    jitter_ms NUMERIC(10,2),
+    probes_sent INTEGER,
+    probes_lost INTEGER,
+    timeout BOOLEAN DEFAULT FALSE,
+    is_problematic BOOLEAN DEFAULT FALSE,
+    UNIQUE(event_id, hop_number, responder_index)
+);
+
+-- Per-minute statistics per hop and responding router
+CREATE TABLE IF NOT EXISTS hop_statistics (
+    id INTEGER PRIMARY KEY,
+    timestamp_minute TIMESTAMPTZ NOT NULL,
+    target VARCHAR(255) NOT NULL,
+    hop_number INTEGER NOT NULL,
+    hop_ip TEXT,
+    hop_hostname VARCHAR(255),
+    total_attempts INTEGER NOT NULL DEFAULT 0,
+    total_losses INTEGER NOT NULL DEFAULT 0,
+    packet_loss_pct NUMERIC(5,2) GENERATED ALWAYS AS (
+        CASE WHEN total_attempts > 0
+        THEN ROUND(total_losses * 100.0 / total_attempts, 2)
+        ELSE 0 END
+    ) STORED,
+    avg_latency NUMERIC(10,2),
+    min_latency NUMERIC(10,2),
+    max_latency NUMERIC(10,2),
+    UNIQUE(target, hop_number, hop_ip, timestamp_minute)
+);
+
+-- Rollups of hop_statistics (bucket = start of the hour/day); filled and purged by the retention job
+CREATE TABLE IF NOT EXISTS hop_statistics_hourly (
+    id INTEGER PRIMARY KEY,
+    bucket TIMESTAMPTZ NOT NULL,
+    target VARCHAR(255) NOT NULL,
+    hop_number INTEGER NOT NULL,
+    hop_ip TEXT,
+    hop_hostname VARCHAR(255),
+    total_attempts INTEGER NOT NULL DEFAULT 0,
+    total_losses INTEGER NOT NULL DEFAULT 0,
+    packet_loss_pct NUMERIC(5,2) GENERATED ALWAYS AS (
+        CASE WHEN total_attempts > 0
+        THEN ROUND(total_losses * 100.0 / total_attempts, 2)
+        ELSE 0 END
+    ) STORED,
+    avg_latency NUMERIC(10,2),
+    min_latency NUMERIC(10,2),
+    max_latency NUMERIC(10,2),
+    sample_count INTEGER NOT NULL DEFAULT 0
+);
+
+CREATE TABLE IF NOT EXISTS hop_statistics_daily (
+    id INTEGER PRIMARY KEY,
+    bucket TIMESTAMPTZ NOT NULL,
+    target VARCHAR(255) NOT NULL,
+    hop_number INTEGER NOT NULL,
+    hop_ip TEXT,
+    hop_hostname VARCHAR(255),
+    total_attempts INTEGER NOT NULL DEFAULT 0,
+    total_losses INTEGER NOT NULL DEFAULT 0,
+    packet_loss_pct NUMERIC(5,2) GENERATED ALWAYS AS (
+        CASE WHEN total_attempts > 0
+        THEN ROUND(total_losses * 100.0 / total_attempts, 2)
+        ELSE 0 END
+    ) STORED,
+    avg_latency NUMERIC(10,2),
+    min_latency NUMERIC(10,2),
+    max_latency NUMERIC(10,2),
+    sample_count INTEGER NOT NULL DEFAULT 0
+);
+
+-- UNIQUE NULLS NOT DISTINCT in PostgreSQL; silent hops (NULL hop_ip) share one row per bucket
+CREATE UNIQUE INDEX IF NOT EXISTS idx_hop_stats_hourly_key
+    ON hop_statistics_hourly (target, hop_number, COALESCE(hop_ip, ''), bucket);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_hop_stats_daily_key
+    ON hop_statistics_daily (target, hop_number, COALESCE(hop_ip, ''), bucket);
+
+-- Configuration tables for server-side persistence
+CREATE TABLE IF NOT EXISTS app_config (
+    id INTEGER PRIMARY KEY,
+    key VARCHAR(100) UNIQUE NOT NULL,
+    value TEXT NOT NULL,
+    updated_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS monitored_targets (
+    id INTEGER PRIMARY KEY,
+    url VARCHAR(255) UNIQUE NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    selected BOOLEAN DEFAULT FALSE,
+    sort_order INTEGER DEFAULT 0,
+    probe_type VARCHAR(20) NOT NULL DEFAULT 'traceroute'
+        CHECK (probe_type IN ('traceroute', 'mtr', 'ping', 'tcp', 'http')),
+    probe_port INTEGER CHECK (probe_port BETWEEN 1 AND 65535),
+    latency_threshold_ms INTEGER CHECK (latency_threshold_ms > 0),
+    packet_loss_threshold REAL CHECK (packet_loss_threshold BETWEEN 0 AND 100),
+    max_hops INTEGER CHECK (max_hops BETWEEN 1 AND 64),
+    probe_wait_ms INTEGER CHECK (probe_wait_ms BETWEEN 100 AND 10000),
+    probe_count INTEGER CHECK (probe_count BETWEEN 1 AND 10),
+    trace_interval INTEGER CHECK (trace_interval >= 1000),
+    created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Alert channels: where notifications go
+CREATE TABLE IF NOT EXISTS alert_channels (
+    id INTEGER PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    type VARCHAR(20) NOT NULL,
+    config JSONB NOT NULL DEFAULT '{}',
+    enabled BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    CONSTRAINT valid_channel_type CHECK (type IN ('webhook', 'slack', 'teams', 'email'))
+);
+
+-- Alert rules: which incidents notify which channel (issue_types is a JSON array)
+CREATE TABLE IF NOT EXISTS alert_rules (
+    id INTEGER PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    enabled BOOLEAN DEFAULT TRUE,
+    target VARCHAR(255),
+    issue_types JSONB,
+    min_severity VARCHAR(50) NOT NULL DEFAULT 'high_latency',
+    min_duration_seconds INTEGER NOT NULL DEFAULT 0,
+    channel_id INTEGER NOT NULL REFERENCES alert_channels(id) ON DELETE CASCADE,
+    notify_recovery BOOLEAN DEFAULT TRUE,
+    quiet_hours_start SMALLINT CHECK (quiet_hours_start BETWEEN 0 AND 23),
+    quiet_hours_end SMALLINT CHECK (quiet_hours_end BETWEEN 0 AND 23),
+    created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    CONSTRAINT valid_min_severity CHECK (min_severity IN ('high_latency', 'packet_loss', 'timeout'))
+);
+
+-- Alert delivery log (one row per notification, including retries and suppressed alerts)
+CREATE TABLE IF NOT EXISTS alert_deliveries (
+    id INTEGER PRIMARY KEY,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    rule_id INTEGER REFERENCES alert_rules(id) ON DELETE SET NULL,
+    channel_id INTEGER REFERENCES alert_channels(id) ON DELETE SET NULL,
+    incident_id BIGINT REFERENCES incidents(id) ON DELETE SET NULL,
+    kind VARCHAR(20) NOT NULL,
+    status VARCHAR(20) NOT NULL,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    error TEXT,
+    payload JSONB,
+    CONSTRAINT valid_delivery_kind CHECK (kind IN ('alert', 'recovery', 'test')),
+    CONSTRAINT valid_delivery_status CHECK (status IN ('sent', 'failed', 'suppressed'))
+);
+
+-- Dashboard and API users (roles: viewer < operator < admin)
+CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY,
+    username VARCHAR(100) UNIQUE NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'viewer',
+    enabled BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    last_login TIMESTAMPTZ,
+    CONSTRAINT valid_user_role CHECK (role IN ('viewer', 'operator', 'admin'))
+);
+
+-- Login sessions (only the SHA-256 of the token is stored)
+CREATE TABLE IF NOT EXISTS user_sessions (
+    token_hash CHAR(64) PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    expires_at TIMESTAMPTZ NOT NULL
+);
+
+-- API tokens for scripts and Prometheus
+CREATE TABLE IF NOT EXISTS api_tokens (
+    id INTEGER PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    token_hash CHAR(64) UNIQUE NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'viewer',
+    created_by VARCHAR(100),
+    created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    last_used TIMESTAMPTZ,
+    expires_at TIMESTAMPTZ,
+    revoked BOOLEAN DEFAULT FALSE,
+    CONSTRAINT valid_token_role CHECK (role IN ('viewer', 'operator', 'admin'))
+);
+
+-- Who changed targets, configuration, alerting or deleted data
+CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY,
+    timestamp TIMESTAMPTZ NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    username VARCHAR(100),
+    role VARCHAR(20),
+    action VARCHAR(50) NOT NULL,
+    resource VARCHAR(255),
+    details JSONB,
+    ip_address VARCHAR(45)
+);
+
+-- Performance indexes
+CREATE INDEX IF NOT EXISTS idx_events_timestamp ON network_events (timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_events_target_time ON network_events (target, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_events_issue_type ON network_events (issue_type, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_events_problematic_hop ON network_events (problematic_hop) WHERE problematic_hop IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_events_incident ON network_events (incident_id) WHERE incident_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_event_hops_event_id ON event_hops (event_id);
+CREATE INDEX IF NOT EXISTS idx_hop_stats_target_time ON hop_statistics (target, timestamp_minute DESC);
+CREATE INDEX IF NOT EXISTS idx_hop_stats_minute ON hop_statistics (timestamp_minute);
+CREATE INDEX IF NOT EXISTS idx_hop_stats_hop_number ON hop_statistics (hop_number);
+CREATE INDEX IF NOT EXISTS idx_hop_stats_hourly_bucket ON hop_statistics_hourly (bucket DESC);
+CREATE INDEX IF NOT EXISTS idx_hop_stats_hourly_target ON hop_statistics_hourly (target, bucket DESC);
+CREATE INDEX IF NOT EXISTS idx_hop_stats_daily_bucket ON hop_statistics_daily (bucket DESC);
+CREATE INDEX IF NOT EXISTS idx_incidents_target_started ON incidents (target, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_incidents_open ON incidents (status) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_route_paths_target ON route_paths (target, last_seen DESC);
+CREATE INDEX IF NOT EXISTS idx_alert_deliveries_created ON alert_deliveries (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_alert_deliveries_incident ON alert_deliveries (incident_id, rule_id) WHERE incident_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_monitored_targets_sort_order ON monitored_targets (sort_order);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_expires ON user_sessions (expires_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_timestamp ON audit_log (timestamp DESC);
+
+-- Views for quick queries
+DROP VIEW IF EXISTS recent_anomalies;
+CREATE VIEW recent_anomalies AS
+SELECT
+    ne.id,
+    ne.timestamp,
+    ne.target,
+    ne.issue_type,
+    ne.problematic_hop,
+    ne.avg_latency,
+    ne.packet_loss_pct,
+    ne.baseline_latency,
+    ne.latency_deviation,
+    eh.ip_address as problem_hop_ip,
+    eh.hostname as problem_hop_hostname,
+    eh.latency_ms as problem_hop_latency
+FROM network_events ne
+LEFT JOIN event_hops eh ON ne.id = eh.event_id AND ne.problematic_hop = eh.hop_number AND eh.responder_index = 0
+WHERE ne.timestamp > strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '-7 days')
+ORDER BY ne.timestamp DESC;
+
+DROP VIEW IF EXISTS hop_problem_stats;
+CREATE VIEW hop_problem_stats AS
+SELECT
+    eh.hop_number,
+    eh.hostname,
+    eh.ip_address,
+    COUNT(*) as problem_count,
+    AVG(eh.latency_ms) as avg_latency,
+    MAX(eh.latency_ms) as max_latency,
+    MIN(eh.latency_ms) as min_latency,
+    ne.target
+FROM event_hops eh
+JOIN network_events ne ON eh.event_id = ne.id
+WHERE eh.is_problematic = 1
+  AND ne.timestamp > strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '-30 days')
+GROUP BY eh.hop_number, eh.hostname, eh.ip_address, ne.target
+ORDER BY problem_count DESC;
+
+-- Default configuration and targets
+INSERT INTO app_config (key, value) VALUES
+    ('trace_interval', '5000'),
+    ('monitoring_enabled', 'true'),
+    ('selected_target_id', '1')
+ON CONFLICT (key) DO NOTHING;
+
+INSERT INTO monitored_targets (id, url, name, selected, sort_order)
+SELECT * FROM (VALUES
+    (1, 'vodafone.de', 'vodafone.de', 1, 1),
+    (2, 'google.com', 'google.com', 0, 2),
+    (3, '1.1.1.1', 'Cloudflare DNS (1.1.1.1)', 0, 3)
+)
+WHERE NOT EXISTS (SELECT 1 FROM monitored_targets);
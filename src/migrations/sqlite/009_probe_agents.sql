@@ -0,0 +1,101 @@
+-- 009: Remote probe agents and a vantage point dimension on events and hop statistics
+
+-- Agents run the probe loop elsewhere and push their traces to this instance
+CREATE TABLE IF NOT EXISTS probe_agents (
+    id INTEGER PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    description VARCHAR(255),
+    token_hash CHAR(64) UNIQUE,
+    created_by VARCHAR(100),
+    created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    last_seen TIMESTAMPTZ,
+    last_address VARCHAR(45),
+    platform VARCHAR(20),
+    revoked BOOLEAN DEFAULT FALSE
+);
+
+-- Existing rows were all probed by this instance ('local')
+ALTER TABLE network_events ADD COLUMN agent VARCHAR(100) NOT NULL DEFAULT 'local';
+ALTER TABLE hop_statistics_hourly ADD COLUMN agent VARCHAR(100) NOT NULL DEFAULT 'local';
+ALTER TABLE hop_statistics_daily ADD COLUMN agent VARCHAR(100) NOT NULL DEFAULT 'local';
+ALTER TABLE incidents ADD COLUMN agent VARCHAR(100) NOT NULL DEFAULT 'local';
+
+-- Statistics, rollups and path versions are kept per vantage point. A table constraint can't be
+-- altered in SQLite, so hop_statistics and route_paths are rebuilt.
+CREATE TABLE hop_statistics_new (
+    id INTEGER PRIMARY KEY,
+    timestamp_minute TIMESTAMPTZ NOT NULL,
+    target VARCHAR(255) NOT NULL,
+    hop_number INTEGER NOT NULL,
+    hop_ip TEXT,
+    hop_hostname VARCHAR(255),
+    total_attempts INTEGER NOT NULL DEFAULT 0,
+    total_losses INTEGER NOT NULL DEFAULT 0,
+    packet_loss_pct NUMERIC(5,2) GENERATED ALWAYS AS (
+        CASE WHEN total_attempts > 0
+        THEN ROUND(total_losses * 100.0 / total_attempts, 2)
+        ELSE 0 END
+    ) STORED,
+    avg_latency NUMERIC(10,2),
+    min_latency NUMERIC(10,2),
+    max_latency NUMERIC(10,2),
+    agent VARCHAR(100) NOT NULL DEFAULT 'local',
+    UNIQUE(agent, target, hop_number, hop_ip, timestamp_minute)
+);
+
+INSERT INTO hop_statistics_new (id, timestamp_minute, target, hop_number, hop_ip, hop_hostname,
+                                total_attempts, total_losses, avg_latency, min_latency, max_latency)
+SELECT id, timestamp_minute, target, hop_number, hop_ip, hop_hostname,
+       total_attempts, total_losses, avg_latency, min_latency, max_latency
+FROM hop_statistics;
+
+DROP TABLE hop_statistics;
+ALTER TABLE hop_statistics_new RENAME TO hop_statistics;
+
+CREATE INDEX IF NOT EXISTS idx_hop_stats_target_time ON hop_statistics (target, timestamp_minute DESC);
+CREATE INDEX IF NOT EXISTS idx_hop_stats_minute ON hop_statistics (timestamp_minute);
+CREATE INDEX IF NOT EXISTS idx_hop_stats_hop_number ON hop_statistics (hop_number);
+CREATE INDEX IF NOT EXISTS idx_hop_stats_agent_time ON hop_statistics (agent, target, timestamp_minute DESC);
+
+CREATE TABLE route_paths_new (
+    id INTEGER PRIMARY KEY,
+    target VARCHAR(255) NOT NULL,
+    fingerprint CHAR(40) NOT NULL,
+    hop_count INTEGER NOT NULL,
+    hops JSONB NOT NULL,
+    first_seen TIMESTAMPTZ NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    last_seen TIMESTAMPTZ NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    agent VARCHAR(100) NOT NULL DEFAULT 'local',
+    UNIQUE(agent, target, fingerprint)
+);
+
+INSERT INTO route_paths_new (id, target, fingerprint, hop_count, hops, first_seen, last_seen)
+SELECT id, target, fingerprint, hop_count, hops, first_seen, last_seen
+FROM route_paths;
+
+-- Dropping route_paths clears the event references (ON DELETE SET NULL); put them back afterwards
+CREATE TEMP TABLE event_route_paths AS
+SELECT id, route_path_id, previous_route_path_id
+FROM network_events
+WHERE route_path_id IS NOT NULL OR previous_route_path_id IS NOT NULL;
+
+DROP TABLE route_paths;
+ALTER TABLE route_paths_new RENAME TO route_paths;
+
+UPDATE network_events
+SET route_path_id = (SELECT erp.route_path_id FROM event_route_paths erp WHERE erp.id = network_events.id),
+    previous_route_path_id = (SELECT erp.previous_route_path_id FROM event_route_paths erp WHERE erp.id = network_events.id)
+WHERE id IN (SELECT id FROM event_route_paths);
+
+DROP TABLE event_route_paths;
+
+CREATE INDEX IF NOT EXISTS idx_route_paths_target ON route_paths (target, last_seen DESC);
+
+DROP INDEX IF EXISTS idx_hop_stats_hourly_key;
+DROP INDEX IF EXISTS idx_hop_stats_daily_key;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_hop_stats_hourly_key
+    ON hop_statistics_hourly (agent, target, hop_number, COALESCE(hop_ip, ''), bucket);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_hop_stats_daily_key
+    ON hop_statistics_daily (agent, target, hop_number, COALESCE(hop_ip, ''), bucket);
+
+CREATE INDEX IF NOT EXISTS idx_events_agent_time ON network_events (agent, timestamp DESC);
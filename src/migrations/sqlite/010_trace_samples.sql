@@ -0,0 +1,15 @@
+-- 010: Raw per-trace samples for the live view history
+
+-- One row per completed trace with its hops (latency, min/max/jitter, probes sent/lost, responders);
+-- kept for RETENTION_SAMPLE_DAYS, longer windows are served from hop_statistics and its rollups
+CREATE TABLE IF NOT EXISTS trace_samples (
+    id INTEGER PRIMARY KEY,
+    timestamp TIMESTAMPTZ NOT NULL,
+    agent VARCHAR(100) NOT NULL DEFAULT 'local',
+    target VARCHAR(255) NOT NULL,
+    probe_type VARCHAR(20),
+    hops JSONB NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_trace_samples_series ON trace_samples (agent, target, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_trace_samples_time ON trace_samples (timestamp);
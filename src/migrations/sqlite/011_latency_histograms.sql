@@ -0,0 +1,11 @@
+-- 011: Per-minute latency histograms and jitter in hop statistics, for percentiles over any window
+
+-- Reply counts per latency bucket (bounds: LATENCY_HISTOGRAM_BOUNDS in monitor-backend.js, the last
+-- bucket holds everything above). latency_histogram_add() and latency_histogram_sum() are
+-- registered by the SQLite storage.
+ALTER TABLE hop_statistics ADD COLUMN latency_histogram JSONB;
+ALTER TABLE hop_statistics ADD COLUMN jitter NUMERIC(10,2);
+ALTER TABLE hop_statistics_hourly ADD COLUMN latency_histogram JSONB;
+ALTER TABLE hop_statistics_hourly ADD COLUMN jitter NUMERIC(10,2);
+ALTER TABLE hop_statistics_daily ADD COLUMN latency_histogram JSONB;
+ALTER TABLE hop_statistics_daily ADD COLUMN jitter NUMERIC(10,2);
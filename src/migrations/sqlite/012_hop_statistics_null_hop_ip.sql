@@ -0,0 +1,45 @@
+-- 012: One per-minute hop_statistics row for silent hops (NULL hop_ip)
+
+-- The minute key from 009 treated NULL hop_ip values as distinct, so every flush inserted another
+-- row for a hop no router answered. Merge those duplicates the way the rollups merge minutes
+-- (sums, averages weighted by replies), then add a unique index that treats NULL as '' like the
+-- rollup tables (UNIQUE NULLS NOT DISTINCT in PostgreSQL).
+UPDATE hop_statistics SET
+    hop_hostname = m.hop_hostname,
+    total_attempts = m.total_attempts,
+    total_losses = m.total_losses,
+    avg_latency = m.avg_latency,
+    min_latency = m.min_latency,
+    max_latency = m.max_latency,
+    latency_histogram = m.latency_histogram,
+    jitter = m.jitter
+FROM (
+    SELECT
+        MIN(id) AS id,
+        MAX(hop_hostname) AS hop_hostname,
+        SUM(total_attempts) AS total_attempts,
+        SUM(total_losses) AS total_losses,
+        SUM(avg_latency * GREATEST(total_attempts - total_losses, 1))
+            / NULLIF(SUM(GREATEST(total_attempts - total_losses, 1)) FILTER (WHERE avg_latency IS NOT NULL), 0) AS avg_latency,
+        MIN(min_latency) AS min_latency,
+        MAX(max_latency) AS max_latency,
+        latency_histogram_sum(latency_histogram) AS latency_histogram,
+        SUM(jitter * GREATEST(total_attempts - total_losses, 1))
+            / NULLIF(SUM(GREATEST(total_attempts - total_losses, 1)) FILTER (WHERE jitter IS NOT NULL), 0) AS jitter
+    FROM hop_statistics
+    WHERE hop_ip IS NULL
+    GROUP BY agent, target, hop_number, timestamp_minute
+    HAVING COUNT(*) > 1
+) AS m
+WHERE hop_statistics.id = m.id;
+
+DELETE FROM hop_statistics
+WHERE hop_ip IS NULL
+  AND id NOT IN (
+      SELECT MIN(id) FROM hop_statistics
+      WHERE hop_ip IS NULL
+      GROUP BY agent, target, hop_number, timestamp_minute
+  );
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_hop_stats_minute_key
+    ON hop_statistics (agent, target, hop_number, COALESCE(hop_ip, ''), timestamp_minute);
@@ -0,0 +1,17 @@
+-- 013: Roll late hop_statistics rows into the hourly and daily buckets
+
+-- The retention job only recomputed the buckets since its last rollup, so minute rows flushed late
+-- (agents replaying their spool, retried flushes) never reached the rollups before being purged.
+-- Source rows now record when they were last written, and the job remembers up to when it has
+-- rolled each table up; older buckets with rows written since then are recomputed as well.
+ALTER TABLE hop_statistics ADD COLUMN updated_at TIMESTAMPTZ;
+ALTER TABLE hop_statistics_hourly ADD COLUMN updated_at TIMESTAMPTZ;
+ALTER TABLE hop_statistics_daily ADD COLUMN updated_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_hop_stats_updated ON hop_statistics (updated_at) WHERE updated_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_hop_stats_hourly_updated ON hop_statistics_hourly (updated_at) WHERE updated_at IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS rollup_watermarks (
+    target_table TEXT PRIMARY KEY,
+    rolled_up_to TIMESTAMPTZ NOT NULL
+);
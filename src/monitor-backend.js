@@ -3,47 +3,386 @@ const dotenv = require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const path = require('path');
-const { exec } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
 const { promisify } = require('util');
 const { Pool } = require('pg');
+const { summarizeProbes, parseTraceOutput } = require('./lib/trace-parsers');
+const targetValidation = require('./lib/target-validation');
+const { validateAgentHops } = require('./lib/agent-results');
 
-const execPromise = promisify(exec);
+const execFilePromise = promisify(execFile);
+const scryptPromise = promisify(crypto.scrypt);
 
 const app = express();
 const PORT = process.env.PORT || 3002;
 
-// Enable CORS for browser access
-app.use(cors());
+// CORS allow-list: comma-separated origins ('*' = any, 'null' = dashboard opened from file://).
+// Unset = same-origin only.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors({ origin: CORS_ORIGINS.includes('*') ? '*' : CORS_ORIGINS }));
+// Agent pushes carry up to AGENT_CONFIG.INGEST_MAX_RESULTS traces, far over the 100kb default
+app.use('/api/agent/results', express.json({ limit: '16mb' }));
 app.use(express.json());
 
+// Every API route needs a valid session or API token (see AUTHENTICATION)
+app.use('/api', authenticate);
+
 // Serve static files (frontend)
 app.use(express.static(path.join(__dirname, 'public')));
 
-// PostgreSQL connection pool
-// DATABASE_URL environment variable is REQUIRED
-if (!process.env.DATABASE_URL) {
-    console.error('❌ ERROR: DATABASE_URL environment variable is not set!');
-    console.error('Please create a .env file with your database credentials.');
-    process.exit(1);
+// ==================== STORAGE ====================
+// Every query goes through `db`: PostgreSQL when DATABASE_URL is set, otherwise an embedded
+// SQLite file (SQLITE_PATH). Both take $1-style parameters and return { rows, rowCount };
+// connect() hands out a client with query()/release() for transactions. The few SQL constructs
+// that differ between the two are built with db.sql.
+
+const STORAGE_CONFIG = {
+    SQLITE_PATH: process.env.SQLITE_PATH || path.join(__dirname, 'data', 'pingplotter.db'),
+    SQLITE_BUSY_TIMEOUT: 5000,   // ms to wait for a lock held by another process
+    SQLITE_STATEMENT_CACHE: 500  // prepared statements kept per connection
+};
+
+// Tables whose id is a BIGSERIAL in PostgreSQL (returned as a string by pg, so SQLite does the same)
+const BIGSERIAL_TABLES = new Set([
+    'network_events', 'event_hops', 'hop_statistics', 'hop_statistics_hourly', 'hop_statistics_daily',
+    'incidents', 'route_paths', 'alert_deliveries', 'audit_log'
+]);
+
+const INTERVAL_UNITS_MS = { second: 1000, minute: 60000, hour: 3600000, day: 86400000, week: 604800000 };
+
+function createPostgresStorage(connectionString) {
+    const pool = new Pool({
+        connectionString,
+        max: 20,
+        idleTimeoutMillis: 30000,
+        connectionTimeoutMillis: 2000,
+    });
+    
+    return {
+        type: 'postgresql',
+        description: 'PostgreSQL',
+        migrationsDir: path.join(__dirname, 'migrations'),
+        query: (text, params) => pool.query(text, params),
+        connect: () => pool.connect(),
+        end: () => pool.end(),
+        runScript: (client, sql) => client.query(sql),
+        tableExists: async (client, table) => {
+            const result = await client.query('SELECT to_regclass($1) AS name', [table]);
+            return result.rows[0].name !== null;
+        },
+        lock: client => client.query('SELECT pg_advisory_lock($1)', [MIGRATION_CONFIG.LOCK_ID]),
+        unlock: client => client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_CONFIG.LOCK_ID]),
+        sql: {
+            ago: (amount, unit) => `NOW() - INTERVAL '${amount} ${unit}'`,
+            addInterval: (expression, amount, unit) => `${expression} + INTERVAL '${amount} ${unit}'`,
+            // Buckets are UTC hours/days whatever the session time zone is
+            dateTrunc: (unit, expression) => `date_trunc(${unit}, ${expression}, 'UTC')`,
+            minTimestamp: `'-infinity'`,
+            defaultNow: 'NOW()',
+            secondsBetween: (start, end) => `EXTRACT(EPOCH FROM (${end} - ${start}))::INTEGER`,
+            percentile: (fraction, expression) => `percentile_cont(${fraction}) WITHIN GROUP (ORDER BY ${expression})`,
+            jsonArrayAgg: expression => `json_agg(${expression})`,
+            jsonObject: pairs => `json_build_object(${pairs})`,
+            jsonBoolean: expression => expression,
+            arrayAgg: expression => `array_agg(${expression})`,
+            rowId: 'ctid',
+            rollupKey: '(agent, target, hop_number, hop_ip, bucket)',
+            minuteKey: '(agent, target, hop_number, hop_ip, timestamp_minute)'
+        }
+    };
 }
 
-const pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    max: 20,
-    idleTimeoutMillis: 30000,
-    connectionTimeoutMillis: 2000,
-});
+function createSqliteStorage(file) {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (error) {
+        console.error('❌ ERROR: DATABASE_URL is not set and the SQLite driver is not installed!');
+        console.error('Set DATABASE_URL to use PostgreSQL, or run `npm install better-sqlite3` for the embedded database.');
+        process.exit(1);
+    }
+    
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const sqlite = new Database(file);
+    sqlite.pragma('journal_mode = WAL');
+    sqlite.pragma('foreign_keys = ON');
+    sqlite.pragma(`busy_timeout = ${STORAGE_CONFIG.SQLITE_BUSY_TIMEOUT}`);
+    
+    // PostgreSQL functions the queries rely on. Timestamps are stored as ISO 8601 UTC strings,
+    // which sort and compare correctly as text.
+    sqlite.function('now', () => new Date().toISOString());
+    sqlite.function('greatest', { varargs: true, deterministic: true }, (...values) => {
+        const present = values.filter(value => value !== null);
+        return present.length > 0 ? present.reduce((a, b) => (b > a ? b : a)) : null;
+    });
+    sqlite.function('least', { varargs: true, deterministic: true }, (...values) => {
+        const present = values.filter(value => value !== null);
+        return present.length > 0 ? present.reduce((a, b) => (b < a ? b : a)) : null;
+    });
+    sqlite.function('date_trunc', { deterministic: true }, (unit, value) => {
+        if (value === null) return null;
+        const date = new Date(value);
+        const step = INTERVAL_UNITS_MS[unit];
+        if (!step) throw new Error(`date_trunc: unsupported unit "${unit}"`);
+        // Weeks start on Monday like in PostgreSQL (the epoch was a Thursday)
+        const offset = unit === 'week' ? 3 * INTERVAL_UNITS_MS.day : 0;
+        return new Date(Math.floor((date.getTime() - offset) / step) * step + offset).toISOString();
+    });
+    sqlite.function('ts_add', { deterministic: true }, (value, amount, unit) => {
+        if (value === null) return null;
+        return new Date(new Date(value).getTime() + amount * INTERVAL_UNITS_MS[unit]).toISOString();
+    });
+    // Created by migration 011 in PostgreSQL
+    sqlite.function('latency_histogram_add', { deterministic: true }, (a, b) => {
+        if (a === null || b === null) return a ?? b;
+        return JSON.stringify(addHistograms(JSON.parse(a), JSON.parse(b)));
+    });
+    sqlite.aggregate('latency_histogram_sum', {
+        start: () => null,
+        step: (total, value) => value === null ? total : addHistograms(total || [], JSON.parse(value)),
+        result: total => total === null ? null : JSON.stringify(total)
+    });
+    
+    // better-sqlite3 is synchronous, so a single connection is shared. A transaction holds a lock
+    // from BEGIN to COMMIT/ROLLBACK that every other query waits for, so nothing else runs inside it.
+    let lockQueue = Promise.resolve();
+    const acquire = () => {
+        let unlock;
+        const held = new Promise(resolve => { unlock = resolve; });
+        const acquired = lockQueue.then(() => unlock);
+        lockQueue = lockQueue.then(() => held);
+        return acquired;
+    };
+    
+    const statements = new Map();
+    const prepare = (text) => {
+        let entry = statements.get(text);
+        if (!entry) {
+            const statement = sqlite.prepare(text);
+            const columns = statement.reader ? statement.columns() : [];
+            entry = { statement, columns, converters: columns.map(sqliteColumnConverter) };
+            if (statements.size >= STORAGE_CONFIG.SQLITE_STATEMENT_CACHE) statements.clear();
+            statements.set(text, entry);
+        }
+        return entry;
+    };
+    
+    // $n placeholders become positional ? parameters (a $n used twice is bound twice)
+    const execute = (text, params = []) => {
+        const values = [];
+        const { statement, columns, converters } = prepare(text.replace(/\$(\d+)/g, (match, index) => {
+            values.push(toSqliteValue(params[index - 1]));
+            return '?';
+        }));
+        
+        if (!statement.reader) {
+            return { rows: [], rowCount: statement.run(values).changes };
+        }
+        
+        const rows = statement.all(values).map(row => {
+            columns.forEach((column, index) => {
+                if (converters[index] && row[column.name] !== null) {
+                    row[column.name] = converters[index](row[column.name]);
+                }
+            });
+            return row;
+        });
+        return { rows, rowCount: rows.length };
+    };
+    
+    const query = async (text, params) => {
+        const unlock = await acquire();
+        try {
+            return execute(text, params);
+        } finally {
+            unlock();
+        }
+    };
+    
+    return {
+        type: 'sqlite',
+        description: `SQLite (${file})`,
+        migrationsDir: path.join(__dirname, 'migrations', 'sqlite'),
+        query,
+        connect: async () => {
+            let unlockTransaction = null;
+            const endTransaction = () => {
+                if (unlockTransaction) unlockTransaction();
+                unlockTransaction = null;
+            };
+            
+            return {
+                query: async (text, params) => {
+                    const command = text.trim().split(/\s/)[0].toUpperCase();
+                    if (!unlockTransaction) {
+                        if (command !== 'BEGIN') return query(text, params);
+                        unlockTransaction = await acquire();
+                    }
+                    
+                    try {
+                        const result = execute(text, params);
+                        if (command === 'COMMIT') endTransaction();
+                        return result;
+                    } finally {
+                        if (command === 'ROLLBACK') endTransaction();
+                    }
+                },
+                // A transaction left open by a failed caller is rolled back
+                release: () => {
+                    if (!unlockTransaction) return;
+                    try {
+                        sqlite.exec('ROLLBACK');
+                    } catch (error) {
+                        // No transaction was active
+                    }
+                    endTransaction();
+                }
+            };
+        },
+        end: async () => {
+            const unlock = await acquire();
+            sqlite.close();
+            unlock();
+        },
+        runScript: async (client, sql) => sqlite.exec(sql),
+        tableExists: async (client, table) => {
+            const result = await client.query(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = $1`, [table]);
+            return result.rows.length > 0;
+        },
+        // Only one process can write at a time anyway
+        lock: async () => {},
+        unlock: async () => {},
+        sql: {
+            ago: (amount, unit) => `ts_add(NOW(), ${-amount}, '${unit.replace(/s$/, '')}')`,
+            addInterval: (expression, amount, unit) => `ts_add(${expression}, ${amount}, '${unit.replace(/s$/, '')}')`,
+            // The date_trunc function registered above always works in UTC
+            dateTrunc: (unit, expression) => `date_trunc(${unit}, ${expression})`,
+            minTimestamp: `'0000-01-01T00:00:00.000Z'`,
+            defaultNow: `(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))`,
+            secondsBetween: (start, end) => `CAST(ROUND((julianday(${end}) - julianday(${start})) * 86400) AS INTEGER)`,
+            percentile: (fraction, expression) => `percentile_cont(${expression}, ${fraction})`,
+            jsonArrayAgg: expression => `json_group_array(${expression})`,
+            jsonObject: pairs => `json_object(${pairs})`,
+            jsonBoolean: expression => `json(CASE WHEN ${expression} IS NULL THEN 'null' WHEN ${expression} THEN 'true' ELSE 'false' END)`,
+            arrayAgg: expression => `json_group_array(${expression})`,
+            rowId: 'rowid',
+            // hop_ip is NULL for silent hops; the unique indexes treat those as equal like NULLS NOT DISTINCT
+            rollupKey: `(agent, target, hop_number, COALESCE(hop_ip, ''), bucket)`,
+            minuteKey: `(agent, target, hop_number, COALESCE(hop_ip, ''), timestamp_minute)`
+        }
+    };
+}
+
+function toSqliteValue(value) {
+    if (value === undefined || value === null) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+// Convert SQLite values to what pg returns for the declared column type
+function sqliteColumnConverter(column) {
+    const type = (column.type || '').toUpperCase();
+    const numeric = type.match(/^NUMERIC\(\d+,\s*(\d+)\)$/);
+    
+    if (type === 'BOOLEAN') return value => value === 1;
+    if (type === 'TIMESTAMPTZ') return value => new Date(value);
+    if (type === 'JSONB' || type === 'JSON') return value => JSON.parse(value);
+    if (numeric) return value => Number(value).toFixed(parseInt(numeric[1]));
+    if (type === 'BIGINT' || (column.column === 'id' && BIGSERIAL_TABLES.has(column.table))) return value => String(value);
+    return null;
+}
+
+function isUniqueViolation(error) {
+    return error.code === '23505' || error.code === 'SQLITE_CONSTRAINT_UNIQUE';
+}
+
+// Values of JSON aggregates (parsed by pg, returned as text by SQLite)
+function jsonColumn(value) {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+}
 
-// Test database connection on startup
-pool.connect((err, client, release) => {
-    if (err) {
+// "$2, $3, ..." for an IN list of count parameters after the first `offset` ones
+function placeholders(count, offset = 0) {
+    return Array.from({ length: count }, (value, index) => `$${offset + index + 1}`).join(', ');
+}
+
+// Agents (see AGENT MODE) push their results to a central instance and keep no database
+const db = process.env.AGENT_CENTRAL_URL
+    ? null
+    : process.env.DATABASE_URL
+        ? createPostgresStorage(process.env.DATABASE_URL)
+        : createSqliteStorage(STORAGE_CONFIG.SQLITE_PATH);
+
+// Connect, bring the schema up to date (see SCHEMA MIGRATIONS), then restore state from the database.
+// Retried until the database is reachable and at the latest migration.
+async function connectDatabase() {
+    try {
+        const client = await db.connect();
+        client.release();
+    } catch (err) {
         console.error('❌ Database connection error:', err.message);
-        console.log('⚠️  Anomaly logging will be disabled. Run schema.sql to set up the database.');
-    } else {
-        console.log('✓ Database connected successfully');
-        release();
+        console.log(`⚠️  Anomaly logging is paused. Retrying in ${MIGRATION_CONFIG.RETRY_INTERVAL / 1000}s.`);
+        setTimeout(connectDatabase, MIGRATION_CONFIG.RETRY_INTERVAL);
+        return;
     }
-});
+    
+    console.log(`✓ Database connected successfully (${db.description})`);
+    
+    try {
+        if (MIGRATION_CONFIG.AUTO_MIGRATE) {
+            await runMigrations();
+        } else {
+            await checkSchema();
+        }
+    } catch (error) {
+        schemaState.error = error.message;
+        console.error('❌ Database migration failed:', error.message);
+    }
+    
+    if (!schemaState.ready) {
+        console.log(`⚠️  Database schema is at version ${schemaState.current ?? 'unknown'}, this backend needs ${schemaState.latest}. ` +
+            `Anomaly logging is disabled until \`npm run migrate\` has been run.`);
+        setTimeout(connectDatabase, MIGRATION_CONFIG.RETRY_INTERVAL);
+        return;
+    }
+    
+    refreshBaselines().catch(error => {
+        console.error('Failed to load latency baselines:', error.message);
+    });
+    
+    // Keep extending incidents that were still open before the restart
+    loadOpenIncidents().catch(error => {
+        console.error('Failed to load open incidents:', error.message);
+    });
+    
+    loadAlertConfig().catch(error => {
+        console.error('Failed to load alert rules:', error.message);
+    });
+    
+    ensureAdminUser().catch(error => {
+        console.error('Failed to create admin user:', error.message);
+    });
+    
+    // Catch up on rollups and purges missed while the backend was down
+    runRetention().catch(error => {
+        console.error('Retention run failed:', error.message);
+    });
+    
+    // Resume the scheduler if monitoring was enabled before the restart
+    applyMonitorConfig().catch(error => {
+        console.error('Failed to start monitoring scheduler:', error.message);
+    });
+}
 
 // Configuration for anomaly detection
 const ANOMALY_THRESHOLDS = {
@@ -51,15 +390,245 @@ const ANOMALY_THRESHOLDS = {
     PACKET_LOSS: 3     // percent
 };
 
+// Rolling latency baselines per target/hop, learned from hop_statistics
+const BASELINE_CONFIG = {
+    WINDOW_HOURS: 24,          // history the baseline is computed from
+    MIN_SAMPLES: 30,           // per-minute rows needed before the baseline replaces the fixed threshold
+    BAND_FACTOR: 3,            // flag latency above p95 + factor * (p95 - median)
+    MIN_MARGIN_MS: 20,         // ...but never less than this above the median
+    REFRESH_INTERVAL: 300000   // ms
+};
+
+// Incident grouping: consecutive anomalies for a target form one incident
+const INCIDENT_CONFIG = {
+    RECOVERY_PERIOD: 120000,   // ms without anomalies before an incident is resolved
+    CHECK_INTERVAL: 15000      // ms between recovery checks
+};
+
+// Route change detection
+const ROUTE_CONFIG = {
+    STABLE_TRACES: 3   // consecutive traces a new path needs before it counts as a route change
+};
+
+// Alert delivery
+const ALERT_CONFIG = {
+    MAX_ATTEMPTS: 3,       // delivery attempts per notification
+    RETRY_DELAY: 2000,     // ms, multiplied by the attempt number
+    HTTP_TIMEOUT: 10000    // ms, webhook requests and SMTP sessions
+};
+
+// SMTP server for email alert channels
+const SMTP_CONFIG = {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 25,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.SMTP_FROM || `pingplotter@${os.hostname()}`
+};
+
+// Data retention in days (0 = keep forever). Minute statistics are rolled up into hourly and
+// daily tables before they are purged; events cover network_events/event_hops and resolved incidents.
+const RETENTION_CONFIG = {
+    SAMPLE_DAYS: parseRetentionDays(process.env.RETENTION_SAMPLE_DAYS, 2),
+    MINUTE_DAYS: parseRetentionDays(process.env.RETENTION_MINUTE_DAYS, 7),
+    HOURLY_DAYS: parseRetentionDays(process.env.RETENTION_HOURLY_DAYS, 180),
+    DAILY_DAYS: parseRetentionDays(process.env.RETENTION_DAILY_DAYS, 0),
+    EVENT_DAYS: parseRetentionDays(process.env.RETENTION_EVENT_DAYS, 90),
+    INTERVAL: 3600000,      // ms between rollup/purge runs
+    LATE_OVERLAP: 600000,   // ms re-read before the rollup watermark, for flushes that committed late
+    DELETE_BATCH: 10000     // rows per DELETE so purges don't hold long locks
+};
+
+// Versioned schema migrations: migrations/NNN_name.sql (migrations/sqlite/ for SQLite), applied in
+// order and never edited once released. AUTO_MIGRATE=false only checks the version at startup;
+// apply with `npm run migrate`.
+const MIGRATION_CONFIG = {
+    AUTO_MIGRATE: process.env.AUTO_MIGRATE !== 'false',
+    LOCK_ID: 72417301,         // pg advisory lock, so two instances never migrate at once
+    RETRY_INTERVAL: 30000      // ms between startup attempts while the database is down or behind
+};
+
+// Anomaly events, hop statistics and trace samples that fail to write (e.g. database down) are
+// spooled in memory and retried; past these limits the oldest entries are dropped
+const WRITE_CONFIG = {
+    BATCH_SIZE: 500,           // rows per multi-row INSERT
+    RETRY_INTERVAL: 15000,     // ms between retries of spooled writes
+    SPOOL_MAX_EVENTS: parseInt(process.env.DB_SPOOL_MAX_EVENTS) || 1000,
+    SPOOL_MAX_HOP_ROWS: parseInt(process.env.DB_SPOOL_MAX_HOP_ROWS) || 100000,
+    SPOOL_MAX_SAMPLES: parseInt(process.env.DB_SPOOL_MAX_SAMPLES) || 20000,
+    SHUTDOWN_TIMEOUT: 10000    // ms the final flush may take on SIGINT/SIGTERM
+};
+
+// Live view history (/api/live/history): raw trace samples for short windows, per-hop statistics
+// and their rollups beyond that
+const HISTORY_CONFIG = {
+    TRACE_WINDOW_HOURS: 2,   // 'auto' serves raw traces up to this window, minute/hour/day buckets above
+    MAX_TRACES: 5000,        // raw traces per request; the newest are kept
+    EVENT_CONTEXT_MINUTES: 30,   // window before and after an event for its normal path and nearby events
+    EVENT_CONTEXT_MAX_EVENTS: 50
+};
+
+// Upper bounds (ms) of the per-minute latency histogram buckets in hop_statistics; a last bucket holds
+// everything above. Stored histograms are merged bucket by bucket, so these never change once released.
+const LATENCY_HISTOGRAM_BOUNDS = [
+    0.25, 0.5, 0.75, 1, 1.5, 2, 2.5, 3, 4, 5, 6, 7, 8, 10, 12, 14, 16, 18, 20, 25, 30, 35, 40, 45, 50,
+    60, 70, 80, 90, 100, 120, 140, 160, 180, 200, 250, 300, 350, 400, 500, 600, 700, 800, 1000, 1500,
+    2000, 3000, 5000
+];
+const LATENCY_PERCENTILES = [50, 90, 95, 99];
+
+// Optional CIDR allow/deny lists for probe targets, comma-separated (e.g. "10.0.0.0/8, fd00::/8").
+// Every address a target resolves to is checked; deny wins, and a non-empty allow list must match.
+const TARGET_CIDRS = {
+    allow: process.env.TARGET_ALLOW_CIDRS || '',
+    deny: process.env.TARGET_DENY_CIDRS || ''
+};
+
+// Authentication (AUTH_ENABLED=false turns it off, every request is then treated as admin)
+const AUTH_CONFIG = {
+    ENABLED: process.env.AUTH_ENABLED !== 'false',
+    SESSION_TTL: (parseInt(process.env.SESSION_TTL_HOURS) || 12) * 3600000,  // ms
+    // Where a generated first-start admin password is written (readable by the owner only)
+    ADMIN_PASSWORD_FILE: process.env.ADMIN_PASSWORD_FILE || path.join(__dirname, 'data', 'admin-password.txt'),
+    CACHE_TTL: 60000   // ms a resolved token is trusted before it is looked up again
+};
+
+// Agent mode: with AGENT_CENTRAL_URL set, this process probes the central instance's targets and
+// pushes the results to it (see AGENT MODE). The token is created on the central instance.
+const AGENT_CONFIG = {
+    CENTRAL_URL: (process.env.AGENT_CENTRAL_URL || '').replace(/\/+$/, ''),
+    NAME: process.env.AGENT_NAME || os.hostname(),
+    TOKEN: process.env.AGENT_TOKEN || '',
+    CONFIG_REFRESH: 60000,     // ms between target list refreshes from the central instance
+    PUSH_INTERVAL: 5000,       // ms between uploads of queued results
+    PUSH_BATCH: 100,           // results per upload
+    SPOOL_MAX_RESULTS: parseInt(process.env.AGENT_SPOOL_MAX_RESULTS) || 5000,
+    HTTP_TIMEOUT: 15000,       // ms per request to the central instance
+    INGEST_MAX_RESULTS: 1000   // central side: results accepted per push
+};
+const AGENT_MODE = Boolean(AGENT_CONFIG.CENTRAL_URL);
+
+// Vantage point of traces probed by this instance itself
+const LOCAL_AGENT = 'local';
+
 // Database logging toggle (can be changed via API)
 let databaseLoggingEnabled = true;
 
+// Schema version of the connected database; nothing is written while it is behind the migration files
+const schemaState = { current: null, latest: null, pending: [], ready: false, error: null, checkedAt: null };
+
+// Scheduler defaults (ms)
+const DEFAULT_TRACE_INTERVAL = 5000;
+const MIN_TRACE_INTERVAL = 1000;
+
+// Probe queue: every probe (scheduled or from the API) runs through it
+const PROBE_QUEUE_CONFIG = {
+    MAX_CONCURRENT: parseInt(process.env.PROBE_CONCURRENCY) || 4,  // probe processes running at once
+    INTERVAL_JITTER: 0.1   // each scheduled run is moved by up to ±10% of the target's interval
+};
+
+// Probe defaults, overridable per target in monitored_targets
+const DEFAULT_PROBE_SETTINGS = {
+    max_hops: 15,
+    probe_wait_ms: 2000,
+    probe_count: 3
+};
+
+// Per-target settings columns (NULL = use the global default) and their valid ranges
+const TARGET_SETTING_LIMITS = {
+    probe_port: { min: 1, max: 65535, integer: true },
+    latency_threshold_ms: { min: 1, max: 60000, integer: true },
+    packet_loss_threshold: { min: 0, max: 100 },
+    max_hops: { min: 1, max: 64, integer: true },
+    probe_wait_ms: { min: 100, max: 10000, integer: true },
+    probe_count: { min: 1, max: 10, integer: true },
+    trace_interval: { min: MIN_TRACE_INTERVAL, max: 3600000, integer: true }
+};
+const TARGET_SETTING_FIELDS = Object.keys(TARGET_SETTING_LIMITS);
+const TARGET_COLUMNS = `id, url, name, selected, sort_order, probe_type, ${TARGET_SETTING_FIELDS.join(', ')}`;
+
+// Server-side monitoring scheduler state
+const monitorState = {
+    running: false,
+    interval: DEFAULT_TRACE_INTERVAL,
+    tickPeriod: DEFAULT_TRACE_INTERVAL,
+    timer: null,
+    tickInProgress: false,
+    targets: [],
+    startedAt: null,
+    lastTickStarted: null,
+    lastTickCompleted: null,
+    lastTickDuration: null,
+    ticksCompleted: 0,
+    ticksSkipped: 0
+};
+
+// When each target was last probed and is due next (key: target id -> ms timestamp)
+const lastProbeAt = new Map();
+const nextProbeAt = new Map();
+
+// Probe queue (see PROBE QUEUE): pending jobs in FIFO order, every queued or running job by key
+const probeQueue = {
+    pending: [],
+    jobs: new Map(),
+    running: 0,
+    enqueued: 0,
+    completed: 0,
+    failed: 0,
+    coalesced: 0,
+    lastWait: null,
+    maxWait: 0,
+    totalWait: 0,
+    totalRunTime: 0
+};
+
+// Per-target state below is kept per vantage point (agent) and target
+function seriesKey(agent, target) {
+    return `${agent}|${target}`;
+}
+
+// " via <agent>" in log lines about traces from remote agents
+function agentSuffix(agent) {
+    return agent === LOCAL_AGENT ? '' : ` via ${agent}`;
+}
+
+// Latest trace result per agent and target (key: seriesKey -> result)
+const latestResults = new Map();
+
+// Connected Server-Sent Events clients (live dashboard stream)
+const streamClients = new Set();
+
+// Latency baselines (key: seriesKey -> Map(hop_number -> baseline)), refreshed from hop_statistics
+const hopBaselines = new Map();
+let baselinesUpdatedAt = null;
+
+// Open incidents (key: seriesKey -> incident state, see trackIncident)
+const openIncidents = new Map();
+
 // In-memory tracking for per-hop statistics (aggregated per minute)
-const hopStatsBuffer = new Map(); // key: 'target:hop:ip:minute' -> { attempts, losses, latencies }
+const hopStatsBuffer = new Map(); // key: 'agent|target:hop:minute' -> { responders, unattributed attempts/losses }
 
-// Detect anomalies in traceroute results
-function detectAnomalies(hops) {
+// Trace samples waiting for the next hop statistics flush (see traceSampleRow)
+let traceSampleBuffer = [];
+
+// Writes that failed and wait for the next retry (see DATABASE WRITES)
+const eventSpool = [];  // { event, hops, problematicHop }
+let hopStatsSpool = []; // hop_statistics rows, see hopStatsRows()
+let traceSampleSpool = []; // trace_samples rows
+const spoolStats = { droppedEvents: 0, droppedHopRows: 0, droppedSamples: 0, lastError: null, lastErrorAt: null };
+
+// Counters for the /metrics endpoint (since process start)
+const traceCounts = new Map(); // key: seriesKey -> { agent, target, success, error }
+const anomalyCounts = new Map(); // key: seriesKey -> { agent, target, counts: Map(issue_type -> traces with that issue) }
+const hopStatsFlushStats = { flushes: 0, rows: 0, failedRows: 0, lastDuration: null, lastRows: 0, lastFlushAt: null };
+
+// Detect anomalies in traceroute results (thresholds: per-target overrides, see resolveTargetSettings).
+// Hops with a learned baseline are compared against it instead of the fixed latency threshold.
+function detectAnomalies(hops, thresholds = {}, baselines = null) {
     const anomalies = [];
+    const latencyThreshold = thresholds.latency_threshold_ms ?? ANOMALY_THRESHOLDS.HIGH_LATENCY;
+    const lossThreshold = thresholds.packet_loss_threshold ?? ANOMALY_THRESHOLDS.PACKET_LOSS;
     
     // Check if we reached the destination (last hop has a valid response)
     const reachedDestination = hops.length > 0 && 
@@ -67,13 +636,19 @@ function detectAnomalies(hops) {
         !hops[hops.length - 1].timeout;
     
     hops.forEach((hop, index) => {
-        // Check for high latency (>200ms)
-        if (hop.latency && hop.latency > ANOMALY_THRESHOLDS.HIGH_LATENCY) {
+        // Check for high latency (above the hop's baseline band, or >200ms by default)
+        const baseline = readyBaseline(baselines, hop.hop);
+        const latencyLimit = baseline ? baselineUpperBound(baseline) : latencyThreshold;
+        if (hop.latency && hop.latency > latencyLimit) {
             anomalies.push({
                 type: 'high_latency',
                 hop: hop.hop,
                 value: hop.latency,
-                threshold: ANOMALY_THRESHOLDS.HIGH_LATENCY
+                threshold: latencyLimit,
+                ...(baseline && {
+                    baseline: baseline.median_latency,
+                    deviation: hop.latency - baseline.median_latency
+                })
             });
         }
         
@@ -89,6 +664,16 @@ function detectAnomalies(hops) {
                 threshold: null
             });
         }
+        
+        // Flag probe loss at the destination (intermediate routers often rate-limit ICMP)
+        if (reachedDestination && index === hops.length - 1 && hop.packetLoss > lossThreshold) {
+            anomalies.push({
+                type: 'packet_loss',
+                hop: hop.hop,
+                value: hop.packetLoss,
+                threshold: lossThreshold
+            });
+        }
     });
     
     return anomalies;
@@ -98,10 +683,13 @@ function detectAnomalies(hops) {
 function findProblematicHop(hops, anomalies) {
     if (anomalies.length === 0) return null;
     
-    // Prioritize: timeout > highest latency
+    // Prioritize: timeout > packet loss > highest latency
     const timeoutAnomaly = anomalies.find(a => a.type === 'timeout');
     if (timeoutAnomaly) return timeoutAnomaly.hop;
     
+    const packetLossAnomaly = anomalies.find(a => a.type === 'packet_loss');
+    if (packetLossAnomaly) return packetLossAnomaly.hop;
+    
     const highLatencyAnomalies = anomalies.filter(a => a.type === 'high_latency');
     if (highLatencyAnomalies.length > 0) {
         // Return hop with highest latency
@@ -116,19 +704,18 @@ function findProblematicHop(hops, anomalies) {
 function calculateStats(hops) {
     const validHops = hops.filter(h => h.latency !== null && !h.timeout);
     
-    // Only count timeouts for hops with valid IP addresses
+    // Only count probes for hops with valid IP addresses
     // (hops without IPs are routers that don't respond to ICMP, not real packet loss)
-    const timeouts = hops.filter(h => h.timeout && h.ip && h.ip !== '*').length;
-    
-    // Only count hops with IPs for packet loss calculation
-    const hopsWithIPs = hops.filter(h => h.ip && h.ip !== '*').length;
+    const hopsWithIPs = hops.filter(h => h.ip && h.ip !== '*');
+    const probesSent = hopsWithIPs.reduce((sum, h) => sum + (h.sent || 1), 0);
+    const probesLost = hopsWithIPs.reduce((sum, h) => sum + (h.sent ? h.lost : (h.timeout ? 1 : 0)), 0);
     
     const avgLatency = validHops.length > 0
         ? validHops.reduce((sum, h) => sum + h.latency, 0) / validHops.length
         : null;
     
-    const packetLoss = hopsWithIPs > 0
-        ? (timeouts / hopsWithIPs) * 100
+    const packetLoss = probesSent > 0
+        ? (probesLost / probesSent) * 100
         : 0;
     
     return { avgLatency, packetLoss };
@@ -141,422 +728,4541 @@ function getDestinationIP(hops) {
     return lastHop.ip !== '*' ? lastHop.ip : null;
 }
 
-// Log anomaly to database
-async function logAnomaly(target, hops, anomalies) {
+// Log anomaly to database (source: the agent that probed the trace and when)
+async function logAnomaly(target, hops, anomalies, thresholds = {}, baselines = null, source = {}) {
     if (anomalies.length === 0) return;
+    const { agent = LOCAL_AGENT, timestamp = new Date() } = source;
+    const lossThreshold = thresholds.packet_loss_threshold ?? ANOMALY_THRESHOLDS.PACKET_LOSS;
     
     try {
         const problematicHop = findProblematicHop(hops, anomalies);
         const stats = calculateStats(hops);
         const destinationIP = getDestinationIP(hops);
         
+        // How far the problematic hop is from its learned baseline (if any)
+        const baseline = readyBaseline(baselines, problematicHop);
+        const problemHopLatency = hops.find(h => h.hop === problematicHop)?.latency ?? null;
+        const latencyDeviation = baseline && problemHopLatency !== null
+            ? problemHopLatency - baseline.median_latency
+            : null;
+        
         // Determine primary issue type
         let issueType = 'high_latency';
         if (anomalies.some(a => a.type === 'timeout')) {
             issueType = 'timeout';
-        } else if (stats.packetLoss > ANOMALY_THRESHOLDS.PACKET_LOSS) {
+        } else if (anomalies.some(a => a.type === 'packet_loss') || stats.packetLoss > lossThreshold) {
             issueType = 'packet_loss';
         }
         
-        // Insert event
-        const eventResult = await pool.query(
-            `INSERT INTO network_events 
-             (timestamp, target, target_ip, issue_type, total_hops, problematic_hop, avg_latency, packet_loss_pct)
-             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-             RETURNING id`,
-            [
-                new Date(),
-                target,
-                destinationIP,
+        // Open a new incident or extend the target's current one
+        const problemHop = hops.find(h => h.hop === problematicHop);
+        let incidentId = null;
+        try {
+            incidentId = await trackIncident(target, {
+                agent,
+                timestamp,
                 issueType,
-                hops.length,
-                problematicHop,
-                stats.avgLatency,
-                stats.packetLoss
-            ]
-        );
+                hop: problematicHop,
+                hopIp: problemHop && problemHop.ip !== '*' ? problemHop.ip : null,
+                latency: problemHopLatency,
+                packetLoss: stats.packetLoss
+            });
+        } catch (error) {
+            // The event is still recorded (or spooled), just without its incident
+            console.error('Failed to track incident:', error.message);
+        }
         
-        const eventId = eventResult.rows[0].id;
+        const eventId = await writeEvent({
+            event: {
+                timestamp,
+                agent,
+                target,
+                target_ip: destinationIP,
+                issue_type: issueType,
+                total_hops: hops.length,
+                problematic_hop: problematicHop,
+                avg_latency: stats.avgLatency,
+                packet_loss_pct: stats.packetLoss,
+                baseline_latency: baseline ? baseline.median_latency : null,
+                baseline_p95: baseline ? baseline.p95_latency : null,
+                latency_deviation: latencyDeviation,
+                incident_id: incidentId
+            },
+            hops,
+            problematicHop
+        });
         
-        // Insert all hops individually with conflict handling
-        for (const hop of hops) {
-            try {
-                await pool.query(
-                    `INSERT INTO event_hops 
-                     (event_id, hop_number, ip_address, hostname, latency_ms, timeout, is_problematic)
-                     VALUES ($1, $2, $3, $4, $5, $6, $7)
-                     ON CONFLICT (event_id, hop_number) DO NOTHING`,
-                    [
-                        eventId,
-                        hop.hop,
-                        hop.ip !== '*' ? hop.ip : null,
-                        hop.hostname !== 'Request timed out' ? hop.hostname : null,
-                        hop.latency,
-                        hop.timeout,
-                        hop.hop === problematicHop
-                    ]
-                );
-            } catch (hopError) {
-                // Silently skip duplicate hops
-                continue;
-            }
+        if (eventId !== null) {
+            console.log(`📊 Anomaly logged: ${issueType} for ${target}${agentSuffix(agent)} (Event ID: ${eventId}, Hop: ${problematicHop})`);
         }
         
-        console.log(`📊 Anomaly logged: ${issueType} for ${target} (Event ID: ${eventId}, Hop: ${problematicHop})`);
-        
     } catch (error) {
         console.error('Failed to log anomaly:', error.message);
     }
 }
 
-// Track per-hop statistics
-function trackHopStatistics(target, hops) {
-    const now = new Date();
-    const minute = new Date(now.getFullYear(), now.getMonth(), now.getDate(), now.getHours(), now.getMinutes(), 0);
+// Store the full hop path of an event in one multi-row INSERT,
+// one row per responding router when a hop is load-balanced
+async function insertEventHops(client, eventId, hops, problematicHop) {
+    const rows = hops.flatMap(hop => {
+        const responders = hop.responders && hop.responders.length > 0 ? hop.responders : [hop];
+        
+        return responders.map((responder, responderIndex) => [
+            eventId,
+            hop.hop,
+            responderIndex,
+            responder.ip !== '*' ? responder.ip : null,
+            responder.hostname !== 'Request timed out' ? responder.hostname : null,
+            responder.avg !== undefined ? responder.avg : responder.latency,
+            responder === hop ? hop.timeout : responder.received === 0,
+            hop.hop === problematicHop,
+            responder.min ?? null,
+            responder.max ?? null,
+            responder.jitter ?? null,
+            responder.sent ?? null,
+            responder.lost ?? null
+        ]);
+    });
+    
+    await insertRows(client, 'event_hops', EVENT_HOP_COLUMNS, rows,
+        'ON CONFLICT (event_id, hop_number, responder_index) DO NOTHING');
+}
+
+// Track per-hop statistics (timestamp: when the trace ran, earlier than now for results an agent pushed late)
+function trackHopStatistics(target, hops, agent = LOCAL_AGENT, timestamp = new Date()) {
+    const minute = new Date(timestamp.getFullYear(), timestamp.getMonth(), timestamp.getDate(),
+        timestamp.getHours(), timestamp.getMinutes(), 0);
     
     hops.forEach(hop => {
-        // Track by hop number only (not IP) to capture all attempts including timeouts
-        const key = `${target}:${hop.hop}:${minute.getTime()}`;
+        // Track by hop number to capture all attempts including timeouts;
+        // each responding router (ECMP path) gets its own counters below
+        const key = `${seriesKey(agent, target)}:${hop.hop}:${minute.getTime()}`;
         
         if (!hopStatsBuffer.has(key)) {
             hopStatsBuffer.set(key, {
+                agent,
                 target,
                 hop_number: hop.hop,
-                hop_ip: null,  // Will be set to first valid IP we see
-                hop_hostname: null,  // Will be set to first valid hostname we see
                 timestamp_minute: minute,
-                total_attempts: 0,
-                total_losses: 0,
-                latencies: []
+                responders: new Map(), // ip -> { hop_ip, hop_hostname, total_attempts, total_losses, latency sum/count/min/max }
+                unattributed_attempts: 0, // traces where no router answered this hop
+                unattributed_losses: 0
             });
         }
         
         const stats = hopStatsBuffer.get(key);
         
-        // Update IP/hostname with first valid value we see (for display purposes)
-        if (hop.ip && hop.ip !== '*' && !stats.hop_ip) {
-            stats.hop_ip = hop.ip;
-            if (hop.hostname !== 'Request timed out') {
-                stats.hop_hostname = hop.hostname;
+        const responders = hop.responders && hop.responders.length > 0
+            ? hop.responders
+            : (hop.ip && hop.ip !== '*' ? [hop] : []);
+        
+        if (responders.length === 0) {
+            // Count every probe sent to this hop, not just one sample per trace
+            const attempts = hop.probes && hop.probes.length > 0 ? hop.probes.length : (hop.sent || 1);
+            stats.unattributed_attempts += attempts;
+            stats.unattributed_losses += attempts;
+            return;
+        }
+        
+        responders.forEach(responder => {
+            if (!stats.responders.has(responder.ip)) {
+                stats.responders.set(responder.ip, {
+                    hop_ip: responder.ip,
+                    hop_hostname: responder.hostname !== 'Request timed out' ? responder.hostname : null,
+                    total_attempts: 0,
+                    total_losses: 0,
+                    latency_sum: 0,
+                    latency_count: 0,
+                    min_latency: null,
+                    max_latency: null,
+                    latency_histogram: emptyHistogram(),
+                    jitter_sum: 0,
+                    jitter_count: 0,
+                    last_latency: null
+                });
+            }
+            
+            const responderStats = stats.responders.get(responder.ip);
+            
+            if (responder.probes && responder.probes.length > 0) {
+                responderStats.total_attempts += responder.probes.length;
+                responder.probes.forEach(rtt => {
+                    if (rtt === null) {
+                        responderStats.total_losses++;
+                    } else {
+                        recordLatency(responderStats, rtt, rtt, rtt, 1);
+                        recordJitter(responderStats, rtt);
+                    }
+                });
+            } else if (responder.sent > 0) {
+                // Engines that only report per-hop aggregates (e.g. mtr)
+                responderStats.total_attempts += responder.sent;
+                responderStats.total_losses += responder.lost;
+                if (responder.received > 0) {
+                    recordLatency(responderStats, responder.avg, responder.min, responder.max, responder.received);
+                }
+                if (responder.jitter !== null && responder.jitter !== undefined && responder.received > 1) {
+                    responderStats.jitter_sum += responder.jitter * (responder.received - 1);
+                    responderStats.jitter_count += responder.received - 1;
+                }
+            } else {
+                responderStats.total_attempts++;
+                
+                const latency = responder.latency ?? responder.avg ?? null;
+                if (responder.timeout || latency === null) {
+                    responderStats.total_losses++;
+                } else {
+                    recordLatency(responderStats, latency, latency, latency, 1);
+                    recordJitter(responderStats, latency);
+                }
             }
+        });
+    });
+}
+
+// Add replies to a responder's running latency totals. Engines that only report an average
+// (e.g. mtr) put all of their replies into the average's histogram bucket.
+function recordLatency(stats, avg, min, max, count) {
+    stats.latency_sum += avg * count;
+    stats.latency_count += count;
+    stats.min_latency = stats.min_latency === null ? min : Math.min(stats.min_latency, min);
+    stats.max_latency = stats.max_latency === null ? max : Math.max(stats.max_latency, max);
+    stats.latency_histogram[latencyBucket(avg)] += count;
+}
+
+// Jitter: mean absolute difference between consecutive replies, across the traces of the minute
+function recordJitter(stats, latency) {
+    if (stats.last_latency !== null) {
+        stats.jitter_sum += Math.abs(latency - stats.last_latency);
+        stats.jitter_count++;
+    }
+    stats.last_latency = latency;
+}
+
+// ==================== LATENCY HISTOGRAMS ====================
+// Per-minute reply counts per LATENCY_HISTOGRAM_BOUNDS bucket. Histograms of a hop add up, so
+// percentiles over any window come from the merged histogram (latency_histogram_sum() in SQL).
+
+function emptyHistogram() {
+    return new Array(LATENCY_HISTOGRAM_BOUNDS.length + 1).fill(0);
+}
+
+function latencyBucket(latency) {
+    const index = LATENCY_HISTOGRAM_BOUNDS.findIndex(bound => latency < bound);
+    return index === -1 ? LATENCY_HISTOGRAM_BOUNDS.length : index;
+}
+
+// Add histogram b into a (bucket by bucket) and return a
+function addHistograms(a, b) {
+    b.forEach((count, index) => {
+        a[index] = (a[index] || 0) + count;
+    });
+    return a;
+}
+
+// Latency below which `fraction` of the replies fall, interpolated linearly within its bucket and
+// clamped to the observed min/max (which also bounds the open-ended last bucket)
+function histogramPercentile(histogram, fraction, min, max) {
+    const total = histogram.reduce((sum, count) => sum + count, 0);
+    if (total === 0) return null;
+    
+    const rank = fraction * total;
+    let below = 0;
+    let index = 0;
+    while (index < histogram.length - 1 && below + histogram[index] < rank) {
+        below += histogram[index];
+        index++;
+    }
+    
+    const lower = index === 0 ? 0 : LATENCY_HISTOGRAM_BOUNDS[index - 1];
+    const upper = index < LATENCY_HISTOGRAM_BOUNDS.length ? LATENCY_HISTOGRAM_BOUNDS[index] : (max ?? lower);
+    let value = lower + (upper - lower) * (histogram[index] > 0 ? (rank - below) / histogram[index] : 0);
+    if (min !== null && min !== undefined) value = Math.max(value, min);
+    if (max !== null && max !== undefined) value = Math.min(value, max);
+    return Math.round(value * 100) / 100;
+}
+
+// Replace a stats row's merged latency_histogram with p50_latency, p90_latency, ... fields
+function withLatencyPercentiles(row) {
+    const { latency_histogram: value, ...rest } = row;
+    const histogram = jsonColumn(value);
+    const min = rest.min_latency === null ? null : parseFloat(rest.min_latency);
+    const max = rest.max_latency === null ? null : parseFloat(rest.max_latency);
+    
+    LATENCY_PERCENTILES.forEach(percentile => {
+        rest[`p${percentile}_latency`] = histogram ? histogramPercentile(histogram, percentile / 100, min, max) : null;
+    });
+    return rest;
+}
+
+// Expand a buffered hop into one hop_statistics row per responding router.
+// Probes lost while no router answered are charged to the busiest responder
+// of that minute, so a single-path hop keeps its loss on its own IP.
+function hopStatsRows(stats) {
+    const rows = Array.from(stats.responders.values());
+    
+    if (stats.unattributed_attempts > 0) {
+        if (rows.length > 0) {
+            const primary = rows.reduce((max, r) => r.total_attempts > max.total_attempts ? r : max);
+            primary.total_attempts += stats.unattributed_attempts;
+            primary.total_losses += stats.unattributed_losses;
+        } else {
+            rows.push({
+                hop_ip: null,
+                hop_hostname: null,
+                total_attempts: stats.unattributed_attempts,
+                total_losses: stats.unattributed_losses,
+                latency_sum: 0,
+                latency_count: 0,
+                min_latency: null,
+                max_latency: null,
+                latency_histogram: emptyHistogram(),
+                jitter_sum: 0,
+                jitter_count: 0,
+                last_latency: null
+            });
         }
+    }
+    
+    return rows.map(row => ({
+        ...row,
+        agent: stats.agent,
+        target: stats.target,
+        hop_number: stats.hop_number,
+        timestamp_minute: stats.timestamp_minute
+    }));
+}
+
+// Combine rows of the same hop/responder/minute (spooled rows overlapping new ones):
+// one INSERT ... ON CONFLICT DO UPDATE may only touch each row once
+function mergeHopStatRows(rows) {
+    const merged = new Map();
+    
+    rows.forEach(row => {
+        const key = `${row.agent}|${row.target}|${row.hop_number}|${row.hop_ip}|${row.timestamp_minute.getTime()}`;
+        const existing = merged.get(key);
         
-        stats.total_attempts++;
+        if (!existing) {
+            merged.set(key, { ...row });
+            return;
+        }
         
-        if (hop.timeout || hop.latency === null) {
-            stats.total_losses++;
-        } else {
-            stats.latencies.push(hop.latency);
+        existing.total_attempts += row.total_attempts;
+        existing.total_losses += row.total_losses;
+        if (row.latency_count > 0) {
+            existing.latency_sum += row.latency_sum;
+            existing.latency_count += row.latency_count;
+            existing.min_latency = existing.min_latency === null ? row.min_latency : Math.min(existing.min_latency, row.min_latency);
+            existing.max_latency = existing.max_latency === null ? row.max_latency : Math.max(existing.max_latency, row.max_latency);
+            existing.latency_histogram = addHistograms([...existing.latency_histogram], row.latency_histogram);
         }
+        existing.jitter_sum += row.jitter_sum;
+        existing.jitter_count += row.jitter_count;
     });
+    
+    return Array.from(merged.values());
+}
+
+// hop_statistics columns in HOP_STAT_COLUMNS order, updated_at being the time of the flush
+function hopStatValues(row, updatedAt) {
+    return [
+        row.timestamp_minute,
+        row.target,
+        row.hop_number,
+        row.hop_ip,
+        row.hop_hostname,
+        row.total_attempts,
+        row.total_losses,
+        row.latency_count > 0 ? row.latency_sum / row.latency_count : null,
+        row.min_latency,
+        row.max_latency,
+        row.agent,
+        row.latency_count > 0 ? JSON.stringify(row.latency_histogram) : null,
+        row.jitter_count > 0 ? row.jitter_sum / row.jitter_count : null,
+        updatedAt
+    ];
+}
+
+// Keep a completed trace for the live view history, with the hop fields the dashboard shows
+function trackTraceSample(trace, timestamp) {
+    traceSampleBuffer.push({
+        timestamp,
+        agent: trace.agent,
+        target: trace.target,
+        probe_type: trace.probe_type || null,
+        hops: trace.hops.map(hop => ({
+            hop: hop.hop,
+            ip: hop.ip,
+            hostname: hop.hostname,
+            latency: hop.latency ?? null,
+            min: hop.min,
+            max: hop.max,
+            jitter: hop.jitter,
+            sent: hop.sent,
+            lost: hop.lost,
+            timeout: Boolean(hop.timeout),
+            multipath: hop.multipath || undefined,
+            responders: hop.responders ? hop.responders.map(r => ({ ip: r.ip, hostname: r.hostname })) : undefined
+        }))
+    });
+}
+
+// trace_samples columns in TRACE_SAMPLE_COLUMNS order
+function traceSampleValues(sample) {
+    return [sample.timestamp, sample.agent, sample.target, sample.probe_type, JSON.stringify(sample.hops)];
 }
 
-// Flush hop statistics to database (called periodically)
-async function flushHopStatistics() {
-    if (hopStatsBuffer.size === 0) return;
+// Flush hop statistics and trace samples to database (called periodically, by the spool retry and
+// on shutdown). Concurrent calls share the running flush.
+let hopStatsFlush = null;
+function flushHopStatistics() {
+    if (!hopStatsFlush) {
+        hopStatsFlush = writeHopStatistics().finally(() => {
+            hopStatsFlush = null;
+        });
+    }
+    return hopStatsFlush;
+}
+
+// Upsert merge of a per-minute average (avg_latency, jitter), weighted by replies like
+// weightedByReplies(); a side without replies (NULL) keeps the other side's value
+function mergedByReplies(column) {
+    const replies = table => `GREATEST(${table}.total_attempts - ${table}.total_losses, 1)`;
+    return `CASE
+                        WHEN EXCLUDED.${column} IS NULL THEN hop_statistics.${column}
+                        WHEN hop_statistics.${column} IS NULL THEN EXCLUDED.${column}
+                        ELSE (hop_statistics.${column} * ${replies('hop_statistics')} + EXCLUDED.${column} * ${replies('EXCLUDED')})
+                            / (${replies('hop_statistics')} + ${replies('EXCLUDED')})
+                    END`;
+}
+
+// Upsert the buffer and any spooled rows in one transaction; on failure the rows are spooled again
+async function writeHopStatistics() {
+    if (hopStatsBuffer.size === 0 && hopStatsSpool.length === 0 &&
+        traceSampleBuffer.length === 0 && traceSampleSpool.length === 0) return;
+    if (!schemaState.ready) return;
     
-    const entries = Array.from(hopStatsBuffer.entries());
+    const flushStart = Date.now();
+    const entries = mergeHopStatRows([
+        ...hopStatsSpool,
+        ...Array.from(hopStatsBuffer.values()).flatMap(hopStatsRows)
+    ]);
+    const samples = [...traceSampleSpool, ...traceSampleBuffer];
     hopStatsBuffer.clear();
+    hopStatsSpool = [];
+    traceSampleBuffer = [];
+    traceSampleSpool = [];
     
-    for (const [key, stats] of entries) {
-        try {
-            const avgLatency = stats.latencies.length > 0
-                ? stats.latencies.reduce((a, b) => a + b, 0) / stats.latencies.length
-                : null;
-            const minLatency = stats.latencies.length > 0 ? Math.min(...stats.latencies) : null;
-            const maxLatency = stats.latencies.length > 0 ? Math.max(...stats.latencies) : null;
-            
-            await pool.query(`
-                INSERT INTO hop_statistics 
-                (timestamp_minute, target, hop_number, hop_ip, hop_hostname, total_attempts, total_losses, avg_latency, min_latency, max_latency)
-                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-                ON CONFLICT (target, hop_number, hop_ip, timestamp_minute) 
+    try {
+        await withTransaction(async client => {
+            const flushedAt = new Date();
+            await insertRows(client, 'hop_statistics', HOP_STAT_COLUMNS, entries.map(row => hopStatValues(row, flushedAt)), `
+                ON CONFLICT ${db.sql.minuteKey}
                 DO UPDATE SET
                     total_attempts = hop_statistics.total_attempts + EXCLUDED.total_attempts,
                     total_losses = hop_statistics.total_losses + EXCLUDED.total_losses,
-                    avg_latency = (COALESCE(hop_statistics.avg_latency, 0) * hop_statistics.total_attempts + EXCLUDED.avg_latency * EXCLUDED.total_attempts) / (hop_statistics.total_attempts + EXCLUDED.total_attempts),
+                    avg_latency = ${mergedByReplies('avg_latency')},
                     min_latency = LEAST(hop_statistics.min_latency, EXCLUDED.min_latency),
-                    max_latency = GREATEST(hop_statistics.max_latency, EXCLUDED.max_latency)
-            `, [
-                stats.timestamp_minute,
-                stats.target,
-                stats.hop_number,
-                stats.hop_ip,
-                stats.hop_hostname,
-                stats.total_attempts,
-                stats.total_losses,
-                avgLatency,
-                minLatency,
-                maxLatency
-            ]);
-        } catch (error) {
-            console.error('Failed to flush hop statistics:', error.message);
+                    max_latency = GREATEST(hop_statistics.max_latency, EXCLUDED.max_latency),
+                    latency_histogram = latency_histogram_add(hop_statistics.latency_histogram, EXCLUDED.latency_histogram),
+                    jitter = ${mergedByReplies('jitter')},
+                    updated_at = EXCLUDED.updated_at
+            `);
+            await insertRows(client, 'trace_samples', TRACE_SAMPLE_COLUMNS, samples.map(traceSampleValues));
+        });
+    } catch (error) {
+        hopStatsFlushStats.failedRows += entries.length;
+        noteWriteFailure(error);
+        
+        if (isRetryableDbError(error)) {
+            spoolHopStatRows(entries);
+            spoolTraceSamples(samples);
+            console.error(`Failed to flush hop statistics, ${hopStatsSpool.length} rows and ${traceSampleSpool.length} trace samples spooled for retry:`, error.message);
+        } else {
+            console.error(`Failed to flush hop statistics, ${entries.length} rows and ${samples.length} trace samples dropped:`, error.message);
         }
+        return;
     }
     
-    console.log(`📈 Flushed hop statistics for ${entries.length} unique hops`);
+    hopStatsFlushStats.flushes++;
+    hopStatsFlushStats.rows += entries.length;
+    hopStatsFlushStats.lastRows = entries.length;
+    hopStatsFlushStats.lastDuration = Date.now() - flushStart;
+    hopStatsFlushStats.lastFlushAt = Date.now();
+    
+    console.log(`📈 Flushed hop statistics for ${entries.length} unique hops and ${samples.length} trace samples`);
 }
 
 // Flush hop statistics every minute
 setInterval(flushHopStatistics, 60000);
 
-// Parse traceroute output
-function parseTracerouteOutput(output) {
-    const lines = output.split('\n');
-    const hops = [];
-    
-    for (const line of lines) {
-        // Skip header lines and empty lines
-        if (!line.trim() || line.includes('traceroute to')) {
-            continue;
-        }
-        
-        // Match hop number at the start of line
-        const hopMatch = line.match(/^\s*(\d+)/);
-        if (!hopMatch) continue;
-        
-        const hopNumber = parseInt(hopMatch[1]);
-        
-        // Extract IP address
-        const ipMatch = line.match(/\((\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3})\)/);
-        const ip = ipMatch ? ipMatch[1] : null;
-        
-        // Extract hostname (text before the IP address)
-        let hostname = null;
-        if (ipMatch) {
-            const hostnameMatch = line.match(/\d+\s+([^\s(]+)\s*\(/);
-            hostname = hostnameMatch ? hostnameMatch[1] : ip;
-        }
-        
-        // Extract latencies (looking for patterns like "12.345 ms")
-        const latencyMatches = line.match(/(\d+\.?\d*)\s*ms/g);
-        let latency = null;
-        
-        if (latencyMatches && latencyMatches.length > 0) {
-            // Use the first latency value
-            const firstLatency = parseFloat(latencyMatches[0].replace('ms', '').trim());
-            latency = firstLatency;
-        }
-        
-        // Check for timeout/no response
-        const isTimeout = line.includes('* * *') || line.includes('!H') || line.includes('!N');
+// ==================== DATABASE WRITES ====================
+// Events, hop statistics and trace samples are written with multi-row INSERTs inside a transaction. When the
+// database is unreachable they are spooled in memory (bounded by WRITE_CONFIG) and retried;
+// whatever is still buffered is flushed on SIGINT/SIGTERM.
+
+const EVENT_COLUMNS = [
+    'timestamp', 'target', 'target_ip', 'issue_type', 'total_hops', 'problematic_hop', 'avg_latency', 'packet_loss_pct',
+    'baseline_latency', 'baseline_p95', 'latency_deviation', 'incident_id', 'route_path_id', 'previous_route_path_id',
+    'agent'
+];
+const EVENT_HOP_COLUMNS = [
+    'event_id', 'hop_number', 'responder_index', 'ip_address', 'hostname', 'latency_ms', 'timeout', 'is_problematic',
+    'min_latency_ms', 'max_latency_ms', 'jitter_ms', 'probes_sent', 'probes_lost'
+];
+const HOP_STAT_COLUMNS = [
+    'timestamp_minute', 'target', 'hop_number', 'hop_ip', 'hop_hostname', 'total_attempts', 'total_losses',
+    'avg_latency', 'min_latency', 'max_latency', 'agent', 'latency_histogram', 'jitter', 'updated_at'
+];
+const TRACE_SAMPLE_COLUMNS = ['timestamp', 'agent', 'target', 'probe_type', 'hops'];
+
+let eventSpoolFlush = null;
+
+// Run callback(client) inside a transaction on a dedicated connection
+async function withTransaction(callback) {
+    const client = await db.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await callback(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+    } finally {
+        client.release();
+    }
+}
+
+// Multi-row INSERT of value arrays (in column order), WRITE_CONFIG.BATCH_SIZE rows per statement
+async function insertRows(client, table, columns, rows, suffix = '') {
+    for (let start = 0; start < rows.length; start += WRITE_CONFIG.BATCH_SIZE) {
+        const batch = rows.slice(start, start + WRITE_CONFIG.BATCH_SIZE);
+        const values = batch.map((row, rowIndex) =>
+            `(${columns.map((column, columnIndex) => `$${rowIndex * columns.length + columnIndex + 1}`).join(', ')})`
+        );
         
-        if (ip || isTimeout) {
-            hops.push({
-                hop: hopNumber,
-                ip: ip || '*',
-                hostname: hostname || (isTimeout ? 'Request timed out' : ip),
-                latency: latency,
-                timeout: isTimeout
-            });
-        }
+        await client.query(
+            `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${values.join(', ')} ${suffix}`,
+            batch.flat()
+        );
     }
-    
-    return hops;
 }
 
-// Traceroute endpoint
-app.get('/api/traceroute/:target', async (req, res) => {
-    const { target } = req.params;
+// Connection failures and transient server states are retried; anything else
+// (constraint violations, missing tables) would fail again and is dropped
+function isRetryableDbError(error) {
+    const code = error.code || '';
+    if (code.startsWith('SQLITE_')) {
+        return /^SQLITE_(BUSY|LOCKED|FULL|IOERR)/.test(code);
+    }
+    return !/^[0-9A-Z]{5}$/.test(code) || /^(08|40|53|57)/.test(code);
+}
+
+function noteWriteFailure(error) {
+    spoolStats.lastError = error.message;
+    spoolStats.lastErrorAt = new Date().toISOString();
+}
+
+// Insert events with their hop paths in one transaction; returns the new event ids
+function insertEvents(records) {
+    return withTransaction(async client => {
+        const ids = [];
+        
+        for (const record of records) {
+            const result = await client.query(
+                `INSERT INTO network_events (${EVENT_COLUMNS.join(', ')})
+                 VALUES (${EVENT_COLUMNS.map((column, index) => `$${index + 1}`).join(', ')})
+                 RETURNING id`,
+                EVENT_COLUMNS.map(column => record.event[column] ?? null)
+            );
+            
+            const eventId = result.rows[0].id;
+            await insertEventHops(client, eventId, record.hops, record.problematicHop);
+            ids.push(eventId);
+        }
+        
+        return ids;
+    });
+}
+
+// Write one event with its hops; returns its id, or null if it was spooled or dropped
+async function writeEvent(record) {
+    try {
+        const [eventId] = await insertEvents([record]);
+        return eventId;
+    } catch (error) {
+        noteWriteFailure(error);
+        
+        if (isRetryableDbError(error)) {
+            spoolEvent(record);
+            console.error(`Failed to write ${record.event.issue_type} event for ${record.event.target}, spooled for retry:`, error.message);
+        } else {
+            console.error(`Failed to write ${record.event.issue_type} event for ${record.event.target}:`, error.message);
+        }
+        return null;
+    }
+}
+
+function spoolEvent(record) {
+    eventSpool.push(record);
     
-    // Basic validation to prevent command injection
-    if (!target || target.length > 253 || /[;&|`$()]/.test(target)) {
-        return res.status(400).json({ 
-            error: 'Invalid target',
-            message: 'Target must be a valid domain or IP address'
+    if (eventSpool.length > WRITE_CONFIG.SPOOL_MAX_EVENTS) {
+        eventSpool.shift();
+        spoolStats.droppedEvents++;
+        console.warn(`⚠️  Event spool full (${WRITE_CONFIG.SPOOL_MAX_EVENTS}), dropped the oldest event`);
+    }
+}
+
+// Keep failed hop statistics rows for the next flush, dropping the oldest minutes past the limit
+function spoolHopStatRows(rows) {
+    hopStatsSpool = rows;
+    
+    const excess = hopStatsSpool.length - WRITE_CONFIG.SPOOL_MAX_HOP_ROWS;
+    if (excess > 0) {
+        hopStatsSpool.sort((a, b) => a.timestamp_minute - b.timestamp_minute);
+        hopStatsSpool.splice(0, excess);
+        spoolStats.droppedHopRows += excess;
+        console.warn(`⚠️  Hop statistics spool full (${WRITE_CONFIG.SPOOL_MAX_HOP_ROWS} rows), dropped ${excess} oldest rows`);
+    }
+}
+
+// Keep failed trace samples for the next flush, dropping the oldest past the limit
+function spoolTraceSamples(samples) {
+    traceSampleSpool = samples;
+    
+    const excess = traceSampleSpool.length - WRITE_CONFIG.SPOOL_MAX_SAMPLES;
+    if (excess > 0) {
+        traceSampleSpool.sort((a, b) => a.timestamp - b.timestamp);
+        traceSampleSpool.splice(0, excess);
+        spoolStats.droppedSamples += excess;
+        console.warn(`⚠️  Trace sample spool full (${WRITE_CONFIG.SPOOL_MAX_SAMPLES}), dropped ${excess} oldest samples`);
+    }
+}
+
+// Write spooled events oldest first, each in its own transaction; stops at the first retryable failure
+function flushEventSpool() {
+    if (!eventSpoolFlush) {
+        eventSpoolFlush = writeSpooledEvents().finally(() => {
+            eventSpoolFlush = null;
+        });
+    }
+    return eventSpoolFlush;
+}
+
+async function writeSpooledEvents() {
+    if (eventSpool.length === 0 || !schemaState.ready) return;
+    
+    let written = 0;
+    while (eventSpool.length > 0) {
+        const record = eventSpool[0];
+        try {
+            await insertEvents([record]);
+            written++;
+        } catch (error) {
+            noteWriteFailure(error);
+            if (isRetryableDbError(error)) {
+                console.error(`Failed to write spooled events (${eventSpool.length} left):`, error.message);
+                break;
+            }
+            console.error(`Dropped spooled ${record.event.issue_type} event for ${record.event.target}:`, error.message);
+        }
+        // The record may already have been pushed out of a full spool meanwhile
+        if (eventSpool[0] === record) {
+            eventSpool.shift();
+        }
+    }
+    
+    if (written > 0) {
+        console.log(`📊 Wrote ${written} spooled events`);
+    }
+}
+
+// Retry spooled writes until the database is back
+function retrySpooledWrites() {
+    if (!schemaState.ready) return;
+    
+    if (eventSpool.length > 0) {
+        flushEventSpool().catch(error => {
+            console.error('Failed to write spooled events:', error.message);
+        });
+    }
+    if (hopStatsSpool.length > 0 || traceSampleSpool.length > 0) {
+        flushHopStatistics().catch(error => {
+            console.error('Failed to flush hop statistics:', error.message);
+        });
+    }
+}
+
+setInterval(retrySpooledWrites, WRITE_CONFIG.RETRY_INTERVAL);
+
+// Final flush of buffered hop statistics and spooled events (graceful shutdown)
+async function flushPendingWrites() {
+    // Let running flushes finish, then write what was buffered in the meantime
+    await Promise.all([hopStatsFlush, eventSpoolFlush]);
+    await flushHopStatistics();
+    await flushEventSpool();
+}
+
+function getWriteSpoolStatus() {
+    return {
+        spooled_events: eventSpool.length,
+        spooled_hop_rows: hopStatsSpool.length,
+        spooled_samples: traceSampleSpool.length,
+        buffered_hop_entries: hopStatsBuffer.size,
+        buffered_samples: traceSampleBuffer.length,
+        dropped_events: spoolStats.droppedEvents,
+        dropped_hop_rows: spoolStats.droppedHopRows,
+        dropped_samples: spoolStats.droppedSamples,
+        max_events: WRITE_CONFIG.SPOOL_MAX_EVENTS,
+        max_hop_rows: WRITE_CONFIG.SPOOL_MAX_HOP_ROWS,
+        max_samples: WRITE_CONFIG.SPOOL_MAX_SAMPLES,
+        last_error: spoolStats.lastError,
+        last_error_at: spoolStats.lastErrorAt
+    };
+}
+
+// Recompute latency baselines (median and p95 of the per-minute averages) per target/hop
+async function refreshBaselines() {
+    const result = await db.query(
+        `SELECT agent, target, hop_number,
+                ${db.sql.percentile(0.5, 'avg_latency')} AS median_latency,
+                ${db.sql.percentile(0.95, 'avg_latency')} AS p95_latency,
+                COUNT(*) AS samples,
+                COALESCE(SUM(total_losses) * 100.0 / NULLIF(SUM(total_attempts), 0), 0) AS packet_loss_pct
+         FROM hop_statistics
+         WHERE timestamp_minute > ${db.sql.ago(BASELINE_CONFIG.WINDOW_HOURS, 'hours')}
+           AND avg_latency IS NOT NULL
+         GROUP BY agent, target, hop_number`
+    );
+    
+    hopBaselines.clear();
+    result.rows.forEach(row => {
+        const key = seriesKey(row.agent, row.target);
+        if (!hopBaselines.has(key)) {
+            hopBaselines.set(key, new Map());
+        }
+        hopBaselines.get(key).set(row.hop_number, {
+            median_latency: row.median_latency,
+            p95_latency: row.p95_latency,
+            samples: parseInt(row.samples),
+            packet_loss_pct: parseFloat(row.packet_loss_pct)
+        });
+    });
+    baselinesUpdatedAt = new Date().toISOString();
+}
+
+setInterval(() => {
+    if (!schemaState.ready) return;
+    refreshBaselines().catch(error => {
+        console.error('Failed to refresh latency baselines:', error.message);
+    });
+}, BASELINE_CONFIG.REFRESH_INTERVAL);
+
+// Baseline for a hop once enough history has been collected, otherwise null
+function readyBaseline(baselines, hopNumber) {
+    const baseline = baselines && baselines.get(hopNumber);
+    return baseline && baseline.samples >= BASELINE_CONFIG.MIN_SAMPLES ? baseline : null;
+}
+
+// Latency above this is a significant deviation from the baseline
+function baselineUpperBound(baseline) {
+    const spread = baseline.p95_latency - baseline.median_latency;
+    return Math.max(
+        baseline.p95_latency + BASELINE_CONFIG.BAND_FACTOR * spread,
+        baseline.median_latency + BASELINE_CONFIG.MIN_MARGIN_MS
+    );
+}
+
+// ==================== TARGET VALIDATION ====================
+// Syntax and CIDR checks live in lib/target-validation.js; the lists come from TARGET_CIDRS
+
+let targetNetworks;
+try {
+    targetNetworks = {
+        allow: targetValidation.parseCidrList(TARGET_CIDRS.allow, 'TARGET_ALLOW_CIDRS'),
+        deny: targetValidation.parseCidrList(TARGET_CIDRS.deny, 'TARGET_DENY_CIDRS')
+    };
+} catch (error) {
+    console.error(`❌ ERROR: ${error.message}`);
+    process.exit(1);
+}
+
+// Full check before probing: syntax, then the configured CIDR lists
+async function validateProbeTarget(target, probeType = 'traceroute') {
+    return targetValidation.validateProbeTarget(target, probeType, targetNetworks);
+}
+
+// Validate probe_type and per-target settings; returns an error message or null
+function validateTargetSettings(settings) {
+    if (settings.probe_type !== undefined && !PROBE_ENGINES[settings.probe_type]) {
+        return `probe_type must be one of: ${Object.keys(PROBE_ENGINES).join(', ')}`;
+    }
+    
+    for (const [field, limits] of Object.entries(TARGET_SETTING_LIMITS)) {
+        const value = settings[field];
+        if (value === undefined || value === null) continue;
+        
+        if (typeof value !== 'number' || (limits.integer && !Number.isInteger(value)) ||
+            value < limits.min || value > limits.max) {
+            return `${field} must be ${limits.integer ? 'an integer' : 'a number'} between ${limits.min} and ${limits.max}`;
+        }
+    }
+    
+    return null;
+}
+
+// Effective settings for a target: NULL columns fall back to the global defaults
+function resolveTargetSettings(target = {}) {
+    return {
+        ...target,
+        probe_type: target.probe_type || 'traceroute',
+        latency_threshold_ms: target.latency_threshold_ms ?? ANOMALY_THRESHOLDS.HIGH_LATENCY,
+        packet_loss_threshold: target.packet_loss_threshold ?? ANOMALY_THRESHOLDS.PACKET_LOSS,
+        max_hops: target.max_hops ?? DEFAULT_PROBE_SETTINGS.max_hops,
+        probe_wait_ms: target.probe_wait_ms ?? DEFAULT_PROBE_SETTINGS.probe_wait_ms,
+        probe_count: target.probe_count ?? DEFAULT_PROBE_SETTINGS.probe_count
+    };
+}
+
+// ==================== INCIDENTS ====================
+// An incident opens with the first anomalous trace of a target, collects every following
+// anomalous trace and is resolved once the target has been healthy for RECOVERY_PERIOD.
+
+// Issue types by severity (an incident reports the worst one seen)
+const INCIDENT_SEVERITY = { high_latency: 1, packet_loss: 2, timeout: 3 };
+
+// Attach an anomalous trace to the open incident of its target and agent (opening one if needed);
+// returns its id
+async function trackIncident(target, event) {
+    const key = seriesKey(event.agent, target);
+    let incident = openIncidents.get(key);
+    
+    if (!incident) {
+        incident = {
+            id: null,
+            agent: event.agent,
+            target,
+            issue_type: event.issueType,
+            started_at: event.timestamp,
+            last_seen_at: event.timestamp,
+            recovering_since: null,
+            event_count: 1,
+            worst_hop: event.hop,
+            worst_hop_ip: event.hopIp,
+            peak_latency: event.latency,
+            peak_packet_loss: event.packetLoss
+        };
+        openIncidents.set(key, incident);
+        
+        // Traces for this target that arrive while the insert runs wait for the id
+        incident.ready = db.query(
+            `INSERT INTO incidents
+             (target, issue_type, started_at, last_seen_at, event_count, worst_hop, worst_hop_ip, peak_latency, peak_packet_loss, agent)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+             RETURNING id`,
+            [target, incident.issue_type, incident.started_at, incident.last_seen_at, incident.event_count,
+             incident.worst_hop, incident.worst_hop_ip, incident.peak_latency, incident.peak_packet_loss, incident.agent]
+        ).then(result => {
+            incident.id = result.rows[0].id;
+            console.log(`🚨 Incident #${incident.id} opened for ${target}${agentSuffix(incident.agent)} (${incident.issue_type})`);
+        }).catch(error => {
+            openIncidents.delete(key);
+            throw error;
+        });
+        
+        await incident.ready;
+        evaluateAlertRules(incident).catch(error => {
+            console.error('Failed to evaluate alert rules:', error.message);
+        });
+        return incident.id;
+    }
+    
+    await incident.ready;
+    
+    // The worst hop follows the most severe issue, then the highest latency
+    const severity = INCIDENT_SEVERITY[event.issueType];
+    const currentSeverity = INCIDENT_SEVERITY[incident.issue_type];
+    if (severity > currentSeverity ||
+        (severity === currentSeverity && event.latency !== null && event.latency > (incident.peak_latency ?? -1))) {
+        incident.worst_hop = event.hop;
+        incident.worst_hop_ip = event.hopIp;
+    }
+    if (severity > currentSeverity) {
+        incident.issue_type = event.issueType;
+    }
+    if (event.latency !== null && event.latency > (incident.peak_latency ?? -1)) {
+        incident.peak_latency = event.latency;
+    }
+    incident.peak_packet_loss = Math.max(incident.peak_packet_loss ?? 0, event.packetLoss ?? 0);
+    incident.last_seen_at = event.timestamp;
+    incident.recovering_since = null;
+    incident.event_count++;
+    
+    await db.query(
+        `UPDATE incidents
+         SET issue_type = $1, last_seen_at = $2, event_count = $3, worst_hop = $4, worst_hop_ip = $5,
+             peak_latency = $6, peak_packet_loss = $7
+         WHERE id = $8`,
+        [incident.issue_type, incident.last_seen_at, incident.event_count, incident.worst_hop,
+         incident.worst_hop_ip, incident.peak_latency, incident.peak_packet_loss, incident.id]
+    );
+    
+    evaluateAlertRules(incident).catch(error => {
+        console.error('Failed to evaluate alert rules:', error.message);
+    });
+    return incident.id;
+}
+
+// A healthy trace starts the recovery period of the open incident of its target and agent
+function noteHealthyTrace(target, timestamp, agent = LOCAL_AGENT) {
+    const incident = openIncidents.get(seriesKey(agent, target));
+    if (incident && !incident.recovering_since) {
+        incident.recovering_since = timestamp;
+    }
+}
+
+// Resolve incidents whose target has had no anomalies for RECOVERY_PERIOD.
+// Without any healthy trace (e.g. monitoring was stopped) the incident ends at its last anomaly.
+async function resolveRecoveredIncidents() {
+    const now = Date.now();
+    
+    for (const [key, incident] of openIncidents) {
+        if (!incident.id || now - incident.last_seen_at.getTime() < INCIDENT_CONFIG.RECOVERY_PERIOD) continue;
+        if (incident.recovering_since && now - incident.recovering_since.getTime() < INCIDENT_CONFIG.RECOVERY_PERIOD) continue;
+        
+        const endedAt = incident.recovering_since || incident.last_seen_at;
+        openIncidents.delete(key);
+        
+        try {
+            await db.query(
+                `UPDATE incidents SET status = 'resolved', ended_at = $1 WHERE id = $2`,
+                [endedAt, incident.id]
+            );
+            const minutes = ((endedAt - incident.started_at) / 60000).toFixed(1);
+            console.log(`✅ Incident #${incident.id} resolved for ${incident.target}${agentSuffix(incident.agent)} after ${minutes} min (${incident.event_count} events)`);
+            
+            incident.ended_at = endedAt;
+            notifyIncidentRecovery(incident).catch(error => {
+                console.error('Failed to send recovery notices:', error.message);
+            });
+        } catch (error) {
+            // Retry on the next check
+            openIncidents.set(key, incident);
+            console.error(`Failed to resolve incident #${incident.id}:`, error.message);
+        }
+    }
+}
+
+setInterval(resolveRecoveredIncidents, INCIDENT_CONFIG.CHECK_INTERVAL);
+
+// Restore open incidents from the database after a restart
+async function loadOpenIncidents() {
+    const result = await db.query(`SELECT * FROM incidents WHERE status = 'open'`);
+    
+    result.rows.forEach(row => {
+        openIncidents.set(seriesKey(row.agent, row.target), {
+            id: row.id,
+            agent: row.agent,
+            target: row.target,
+            issue_type: row.issue_type,
+            started_at: row.started_at,
+            last_seen_at: row.last_seen_at,
+            recovering_since: null,
+            event_count: row.event_count,
+            worst_hop: row.worst_hop,
+            worst_hop_ip: row.worst_hop_ip,
+            peak_latency: row.peak_latency !== null ? parseFloat(row.peak_latency) : null,
+            peak_packet_loss: row.peak_packet_loss !== null ? parseFloat(row.peak_packet_loss) : null,
+            ready: Promise.resolve()
         });
+    });
+    
+    await loadAlertState(result.rows.map(row => row.id));
+}
+
+// ==================== ALERTING ====================
+// Alert rules pick incidents (by target, issue type, severity and duration) and send them to a
+// channel: a generic JSON webhook, a Slack/Teams incoming webhook or an email via SMTP.
+// Each rule alerts once per incident and, if enabled, once more when the incident resolves.
+// Every attempt is recorded in alert_deliveries.
+
+// Alert rules and channels (cached from the database, see loadAlertConfig)
+const alertConfig = {
+    rules: [],
+    channels: new Map()
+};
+
+// Per rule and incident: 'pending', 'sent', 'suppressed' or 'failed' (key: 'ruleId:incidentId')
+const alertState = new Map();
+
+// Reload alert rules and channels from the database
+async function loadAlertConfig() {
+    const channelsResult = await db.query('SELECT * FROM alert_channels WHERE enabled = TRUE');
+    const rulesResult = await db.query('SELECT * FROM alert_rules WHERE enabled = TRUE ORDER BY id');
+    
+    alertConfig.channels = new Map(channelsResult.rows.map(channel => [channel.id, channel]));
+    alertConfig.rules = rulesResult.rows;
+}
+
+// Restore which rules already alerted for the open incidents after a restart
+async function loadAlertState(incidentIds) {
+    if (incidentIds.length === 0) return;
+    
+    const result = await db.query(
+        `SELECT rule_id, incident_id, status FROM alert_deliveries
+         WHERE kind = 'alert' AND incident_id IN (${placeholders(incidentIds.length)}) AND rule_id IS NOT NULL`,
+        incidentIds
+    );
+    result.rows.forEach(row => {
+        const key = `${row.rule_id}:${row.incident_id}`;
+        if (alertState.get(key) !== 'sent') {
+            alertState.set(key, row.status);
+        }
+    });
+}
+
+// Does a rule apply to this incident (ignoring duration and quiet hours)?
+function ruleMatchesIncident(rule, incident) {
+    if (rule.target && rule.target !== incident.target) return false;
+    if (rule.issue_types && rule.issue_types.length > 0 && !rule.issue_types.includes(incident.issue_type)) return false;
+    return INCIDENT_SEVERITY[incident.issue_type] >= (INCIDENT_SEVERITY[rule.min_severity] || 1);
+}
+
+// Quiet hours are whole hours in server local time and may wrap past midnight (e.g. 22 -> 7)
+function isQuietHours(rule, date = new Date()) {
+    if (rule.quiet_hours_start === null || rule.quiet_hours_end === null) return false;
+    if (rule.quiet_hours_start === rule.quiet_hours_end) return false;
+    
+    const hour = date.getHours();
+    return rule.quiet_hours_start < rule.quiet_hours_end
+        ? hour >= rule.quiet_hours_start && hour < rule.quiet_hours_end
+        : hour >= rule.quiet_hours_start || hour < rule.quiet_hours_end;
+}
+
+// Fire alerts for an open incident whose rules are now satisfied
+async function evaluateAlertRules(incident) {
+    const now = new Date();
+    const durationSeconds = (now - incident.started_at) / 1000;
+    
+    for (const rule of alertConfig.rules) {
+        const key = `${rule.id}:${incident.id}`;
+        const state = alertState.get(key);
+        
+        if (state === 'pending' || state === 'sent' || state === 'failed') continue;
+        if (!ruleMatchesIncident(rule, incident) || durationSeconds < rule.min_duration_seconds) continue;
+        
+        const channel = alertConfig.channels.get(rule.channel_id);
+        if (!channel) continue;
+        
+        // Held back during quiet hours; sent once they end if the incident is still open
+        if (isQuietHours(rule, now)) {
+            if (!state) {
+                alertState.set(key, 'suppressed');
+                await logAlertDelivery({ rule, channel, incident, kind: 'alert', status: 'suppressed', attempts: 0 });
+            }
+            continue;
+        }
+        
+        alertState.set(key, 'pending');
+        const status = await sendAlert(rule, channel, incident, 'alert');
+        alertState.set(key, status);
+    }
+}
+
+// Send recovery notices for a resolved incident to every rule that alerted on it
+async function notifyIncidentRecovery(incident) {
+    for (const rule of alertConfig.rules) {
+        const key = `${rule.id}:${incident.id}`;
+        const alerted = alertState.get(key) === 'sent';
+        alertState.delete(key);
+        
+        if (!alerted || !rule.notify_recovery) continue;
+        
+        const channel = alertConfig.channels.get(rule.channel_id);
+        if (channel) {
+            await sendAlert(rule, channel, incident, 'recovery');
+        }
+    }
+}
+
+// Deliver one notification with retries and record the outcome; returns 'sent' or 'failed'
+async function sendAlert(rule, channel, incident, kind) {
+    const message = formatAlertMessage(kind, incident);
+    const payload = {
+        event: kind === 'recovery' ? 'incident.resolved' : kind === 'test' ? 'test' : 'incident.opened',
+        message,
+        rule: rule ? { id: rule.id, name: rule.name } : null,
+        incident: incident ? serializeIncident(incident) : null
+    };
+    
+    let attempts = 0;
+    let lastError = null;
+    
+    while (attempts < ALERT_CONFIG.MAX_ATTEMPTS) {
+        attempts++;
+        try {
+            await ALERT_SENDERS[channel.type](channel.config || {}, payload);
+            lastError = null;
+            break;
+        } catch (error) {
+            lastError = error;
+            if (attempts < ALERT_CONFIG.MAX_ATTEMPTS) {
+                await new Promise(resolve => setTimeout(resolve, ALERT_CONFIG.RETRY_DELAY * attempts));
+            }
+        }
     }
     
+    const status = lastError ? 'failed' : 'sent';
+    if (lastError) {
+        console.error(`❌ Alert via ${channel.type} channel "${channel.name}" failed after ${attempts} attempts:`, lastError.message);
+    } else {
+        console.log(`📣 ${kind === 'recovery' ? 'Recovery' : 'Alert'} sent via ${channel.type} channel "${channel.name}"${incident ? ` for incident #${incident.id}` : ''}`);
+    }
+    
+    await logAlertDelivery({ rule, channel, incident, kind, status, attempts, error: lastError && lastError.message, payload });
+    return status;
+}
+
+// Record a delivery attempt (failures here must never break anomaly logging)
+async function logAlertDelivery({ rule, channel, incident, kind, status, attempts, error = null, payload = null }) {
     try {
-        const startTime = new Date().toLocaleString('de-DE', { 
-            hour: '2-digit', 
-            minute: '2-digit', 
-            second: '2-digit' 
+        await db.query(
+            `INSERT INTO alert_deliveries (rule_id, channel_id, incident_id, kind, status, attempts, error, payload)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+            [rule ? rule.id : null, channel.id, incident ? incident.id : null, kind, status, attempts, error, payload]
+        );
+    } catch (logError) {
+        console.error('Failed to record alert delivery:', logError.message);
+    }
+}
+
+// Incident fields included in notifications
+function serializeIncident(incident) {
+    const end = incident.ended_at || new Date();
+    
+    return {
+        id: incident.id,
+        target: incident.target,
+        agent: incident.agent,
+        status: incident.ended_at ? 'resolved' : 'open',
+        issue_type: incident.issue_type,
+        started_at: incident.started_at,
+        last_seen_at: incident.last_seen_at,
+        ended_at: incident.ended_at || null,
+        duration_seconds: Math.round((end - incident.started_at) / 1000),
+        event_count: incident.event_count,
+        worst_hop: incident.worst_hop,
+        worst_hop_ip: incident.worst_hop_ip,
+        peak_latency: incident.peak_latency,
+        peak_packet_loss: incident.peak_packet_loss
+    };
+}
+
+// One-line summary used as chat text and email subject, followed by details
+function formatAlertMessage(kind, incident) {
+    if (kind === 'test') {
+        return '🔔 [PingPlotter] Test notification - this channel is configured correctly';
+    }
+    
+    const details = serializeIncident(incident);
+    const minutes = (details.duration_seconds / 60).toFixed(1);
+    const issue = details.issue_type.replace('_', ' ');
+    
+    if (kind === 'recovery') {
+        return `✅ [PingPlotter] ${details.target}${agentSuffix(details.agent)} recovered after ${minutes} min (${issue}, ${details.event_count} events)`;
+    }
+    
+    const facts = [`${details.event_count} events`];
+    if (details.worst_hop) facts.push(`worst hop ${details.worst_hop}${details.worst_hop_ip ? ` (${details.worst_hop_ip})` : ''}`);
+    if (details.peak_latency !== null) facts.push(`peak ${parseFloat(details.peak_latency).toFixed(1)}ms`);
+    if (details.peak_packet_loss) facts.push(`peak loss ${parseFloat(details.peak_packet_loss).toFixed(1)}%`);
+    
+    return `🚨 [PingPlotter] ${details.target}${agentSuffix(details.agent)}: ${issue} for ${minutes} min (${facts.join(', ')})`;
+}
+
+// POST a JSON body; resolves on 2xx
+function postJson(url, body, timeout = ALERT_CONFIG.HTTP_TIMEOUT) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const client = target.protocol === 'http:' ? http : https;
+        const data = JSON.stringify(body);
+        
+        const req = client.request(target, {
+            method: 'POST',
+            timeout,
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(data)
+            }
+        }, (res) => {
+            res.resume();
+            if (res.statusCode >= 200 && res.statusCode < 300) {
+                resolve(res.statusCode);
+            } else {
+                reject(new Error(`HTTP ${res.statusCode}`));
+            }
         });
-        console.log(`[${startTime}] Running traceroute for: ${target}`);
         
-        // Determine OS and use appropriate command
-        const platform = process.platform;
-        let command;
+        req.on('timeout', () => req.destroy(new Error('Request timed out')));
+        req.on('error', reject);
+        req.end(data);
+    });
+}
+
+// Send a plain-text email over SMTP (EHLO, optional AUTH PLAIN, MAIL/RCPT/DATA).
+// SMTP_SECURE=true uses implicit TLS (port 465); STARTTLS is not supported.
+function sendSmtpMail({ to, subject, text }) {
+    const recipients = (Array.isArray(to) ? to : String(to || '').split(',')).map(r => r.trim()).filter(Boolean);
+    if (!SMTP_CONFIG.host) return Promise.reject(new Error('SMTP_HOST is not configured'));
+    if (recipients.length === 0) return Promise.reject(new Error('Email channel has no recipients'));
+    
+    return new Promise((resolve, reject) => {
+        const socket = SMTP_CONFIG.secure
+            ? tls.connect({ host: SMTP_CONFIG.host, port: SMTP_CONFIG.port, servername: SMTP_CONFIG.host })
+            : net.connect({ host: SMTP_CONFIG.host, port: SMTP_CONFIG.port });
+        
+        const message = [
+            `From: ${SMTP_CONFIG.from}`,
+            `To: ${recipients.join(', ')}`,
+            `Subject: ${encodeMailHeader(subject.replace(/[\r\n]+/g, ' '))}`,
+            `Date: ${new Date().toUTCString()}`,
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=utf-8',
+            'Content-Transfer-Encoding: 8bit',
+            '',
+            // Dot-stuffing: lines starting with "." get an extra one
+            ...text.split(/\r?\n/).map(line => line.startsWith('.') ? '.' + line : line)
+        ].join('\r\n');
+        
+        // Each step: command to send (null for the greeting) and the reply codes that let us continue
+        const steps = [
+            [null, [220]],
+            [`EHLO ${os.hostname()}`, [250]],
+            ...(SMTP_CONFIG.user ? [[`AUTH PLAIN ${Buffer.from(`\0${SMTP_CONFIG.user}\0${SMTP_CONFIG.pass}`).toString('base64')}`, [235]]] : []),
+            [`MAIL FROM:<${SMTP_CONFIG.from.replace(/^.*<|>.*$/g, '')}>`, [250]],
+            ...recipients.map(recipient => [`RCPT TO:<${recipient}>`, [250, 251]]),
+            ['DATA', [354]],
+            [`${message}\r\n.`, [250]],
+            ['QUIT', [221]]
+        ];
+        
+        let buffer = '';
+        let step = 0;
+        let finished = false;
+        
+        const finish = (error) => {
+            if (finished) return;
+            finished = true;
+            socket.destroy();
+            error ? reject(error) : resolve();
+        };
+        
+        const advance = () => {
+            step++;
+            if (step >= steps.length) return finish();
+            socket.write(steps[step][0] + '\r\n');
+        };
+        
+        socket.setEncoding('utf8');
+        socket.setTimeout(ALERT_CONFIG.HTTP_TIMEOUT, () => finish(new Error('SMTP connection timed out')));
+        socket.on('error', finish);
+        socket.on('close', () => finish(new Error('SMTP connection closed unexpectedly')));
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            
+            // A reply is complete once its last line has a space after the code ("250 OK", not "250-SIZE")
+            let lineEnd;
+            while ((lineEnd = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, lineEnd);
+                buffer = buffer.slice(lineEnd + 2);
+                if (/^\d{3}-/.test(line)) continue;
+                
+                const code = parseInt(line.slice(0, 3));
+                if (!steps[step][1].includes(code)) {
+                    // The message was accepted once DATA completed, so a failing QUIT is fine
+                    return steps[step][0] === 'QUIT' ? finish() : finish(new Error(`SMTP error: ${line}`));
+                }
+                advance();
+            }
+        });
+    });
+}
+
+// RFC 2047 encoded-word for header values that aren't plain ASCII (e.g. emoji in subjects)
+function encodeMailHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value)
+        ? value
+        : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+// Channel senders (key: alert_channels.type)
+const ALERT_SENDERS = {
+    webhook: (config, payload) => postJson(config.url, payload),
+    slack: (config, payload) => postJson(config.url, { text: payload.message }),
+    teams: (config, payload) => postJson(config.url, { text: payload.message }),
+    email: (config, payload) => {
+        const [subject] = payload.message.split('\n');
+        const incident = payload.incident;
+        const lines = [payload.message, ''];
+        if (incident) {
+            lines.push(
+                `Target: ${incident.target}`,
+                `Issue: ${incident.issue_type}`,
+                `Started: ${new Date(incident.started_at).toISOString()}`,
+                `Ended: ${incident.ended_at ? new Date(incident.ended_at).toISOString() : '-'}`,
+                `Events: ${incident.event_count}`,
+                `Worst hop: ${incident.worst_hop ?? '-'} ${incident.worst_hop_ip ? `(${incident.worst_hop_ip})` : ''}`.trim(),
+                `Peak latency: ${incident.peak_latency !== null ? `${parseFloat(incident.peak_latency).toFixed(1)}ms` : '-'}`,
+                `Peak packet loss: ${incident.peak_packet_loss ? `${parseFloat(incident.peak_packet_loss).toFixed(1)}%` : '-'}`
+            );
+        }
+        return sendSmtpMail({ to: config.to, subject, text: lines.join('\n') });
+    }
+};
+
+// Validate an alert channel body; returns an error message or null
+function validateAlertChannel(channel) {
+    if (!channel.name) return 'name is required';
+    if (!ALERT_SENDERS[channel.type]) {
+        return `type must be one of: ${Object.keys(ALERT_SENDERS).join(', ')}`;
+    }
+    
+    const config = channel.config || {};
+    if (channel.type === 'email') {
+        const recipients = Array.isArray(config.to) ? config.to : String(config.to || '').split(',');
+        if (!config.to || recipients.some(r => !/^[^\s@<>,]+@[^\s@<>,]+$/.test(r.trim()))) {
+            return 'config.to must be one or more email addresses';
+        }
+    } else if (!/^https?:\/\//i.test(config.url || '')) {
+        return 'config.url must be an http(s) URL';
+    }
+    return null;
+}
+
+// Validate an alert rule body; returns an error message or null
+function validateAlertRule(rule) {
+    if (!rule.name) return 'name is required';
+    if (!Number.isInteger(rule.channel_id)) return 'channel_id is required';
+    
+    if (rule.issue_types !== undefined && rule.issue_types !== null &&
+        (!Array.isArray(rule.issue_types) || rule.issue_types.some(type => !INCIDENT_SEVERITY[type]))) {
+        return `issue_types must be a list of: ${Object.keys(INCIDENT_SEVERITY).join(', ')}`;
+    }
+    if (rule.min_severity !== undefined && !INCIDENT_SEVERITY[rule.min_severity]) {
+        return `min_severity must be one of: ${Object.keys(INCIDENT_SEVERITY).join(', ')}`;
+    }
+    if (rule.min_duration_seconds !== undefined &&
+        (!Number.isInteger(rule.min_duration_seconds) || rule.min_duration_seconds < 0)) {
+        return 'min_duration_seconds must be a non-negative integer';
+    }
+    
+    for (const field of ['quiet_hours_start', 'quiet_hours_end']) {
+        const value = rule[field];
+        if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 0 || value > 23)) {
+            return `${field} must be an hour between 0 and 23`;
+        }
+    }
+    return null;
+}
+
+// ==================== ROUTE TRACKING ====================
+// Each complete traceroute/mtr path is normalised to one entry per hop (the set of responding
+// IPs, or '*' when nothing answered) and fingerprinted. A path that differs from the stable one
+// must be seen STABLE_TRACES times in a row before it is stored as the new stable path and a
+// route_change event is recorded, so one-off detours and rate-limited hops don't count.
+
+// Engines whose results describe the full path
+const ROUTE_PROBE_TYPES = new Set(['traceroute', 'mtr']);
+
+// Stable path and pending candidate per agent and target (key: seriesKey -> { stable, candidate, lastTouched })
+const routeState = new Map();
+
+// One entry per hop: { hop, ips (sorted, empty if no reply), hostnames }. Hops without a
+// responder list (e.g. pushed by agents) stand for their single router, as in trackHopStatistics.
+function normalizePath(hops) {
+    return hops.map(hop => {
+        const responders = (hop.responders && hop.responders.length > 0 ? hop.responders : [hop])
+            .filter(r => r.ip && r.ip !== '*');
+        return {
+            hop: hop.hop,
+            ips: [...new Set(responders.map(r => r.ip))].sort(),
+            hostnames: [...new Set(responders.map(r => r.hostname).filter(name => name && !net.isIP(name)))]
+        };
+    });
+}
+
+// Stable identifier of a path: SHA-1 over the per-hop IP sets
+function pathFingerprint(path) {
+    const signature = path.map(hop => hop.ips.length > 0 ? hop.ips.join('|') : '*').join('>');
+    return crypto.createHash('sha1').update(signature).digest('hex');
+}
+
+// Two hops match if either stayed silent or they share a responder (ECMP sets vary per trace)
+function hopsMatch(a, b) {
+    return a.ips.length === 0 || b.ips.length === 0 || a.ips.some(ip => b.ips.includes(ip));
+}
+
+function pathsMatch(a, b) {
+    return a.length === b.length && a.every((hop, index) => hopsMatch(hop, b[index]));
+}
+
+// Hop-by-hop comparison of two paths for side-by-side display
+function diffPaths(oldPath, newPath) {
+    const hopCount = Math.max(oldPath.length, newPath.length);
+    const diff = [];
+    
+    for (let i = 0; i < hopCount; i++) {
+        const oldHop = oldPath[i] || null;
+        const newHop = newPath[i] || null;
+        diff.push({
+            hop: (oldHop || newHop).hop,
+            old: oldHop,
+            new: newHop,
+            changed: !oldHop || !newHop || !hopsMatch(oldHop, newHop)
+        });
+    }
+    
+    return diff;
+}
+
+// Stable path of a target as seen by an agent, loaded from the database the first time it is needed
+async function getRouteState(target, agent) {
+    const key = seriesKey(agent, target);
+    if (!routeState.has(key)) {
+        const result = await db.query(
+            `SELECT id, hops FROM route_paths WHERE agent = $1 AND target = $2 ORDER BY last_seen DESC LIMIT 1`,
+            [agent, target]
+        );
+        const row = result.rows[0];
+        routeState.set(key, {
+            stable: row ? { id: row.id, path: row.hops } : null,
+            candidate: null,
+            lastTouched: 0
+        });
+    }
+    return routeState.get(key);
+}
+
+// Insert a path version (or refresh last_seen of a known one); returns its id
+async function saveRoutePath(target, agent, path, timestamp) {
+    const result = await db.query(
+        `INSERT INTO route_paths (target, agent, fingerprint, hop_count, hops, first_seen, last_seen)
+         VALUES ($1, $2, $3, $4, $5, $6, $6)
+         ON CONFLICT (agent, target, fingerprint) DO UPDATE SET last_seen = EXCLUDED.last_seen
+         RETURNING id`,
+        [target, agent, pathFingerprint(path), path.length, JSON.stringify(path), timestamp]
+    );
+    return result.rows[0].id;
+}
+
+// Compare a completed trace with the stable path of its target and agent and record route changes
+async function trackRouteChange(target, hops, source = {}) {
+    const { agent = LOCAL_AGENT, timestamp: now = new Date() } = source;
+    const lastHop = hops[hops.length - 1];
+    
+    // Incomplete traces are outages, not route changes
+    if (hops.length < 2 || !lastHop || lastHop.timeout || lastHop.ip === '*') return;
+    
+    try {
+        const path = normalizePath(hops);
+        const state = await getRouteState(target, agent);
+        
+        if (!state.stable) {
+            state.stable = { id: await saveRoutePath(target, agent, path, now), path };
+            state.lastTouched = now.getTime();
+            console.log(`🛣️  Initial path recorded for ${target}${agentSuffix(agent)} (${path.length} hops)`);
+            return;
+        }
+        
+        if (pathsMatch(state.stable.path, path)) {
+            state.candidate = null;
+            
+            // Refresh last_seen at most once a minute
+            if (now.getTime() - state.lastTouched >= 60000) {
+                state.lastTouched = now.getTime();
+                await db.query('UPDATE route_paths SET last_seen = $1 WHERE id = $2', [now, state.stable.id]);
+            }
+            return;
+        }
+        
+        if (state.candidate && pathsMatch(state.candidate.path, path)) {
+            state.candidate.count++;
+        } else {
+            state.candidate = { path, count: 1 };
+        }
+        
+        if (state.candidate.count < ROUTE_CONFIG.STABLE_TRACES) return;
+        
+        // The new path is stable: store it and record the change
+        const previous = state.stable;
+        const newPathId = await saveRoutePath(target, agent, state.candidate.path, now);
+        const diff = diffPaths(previous.path, state.candidate.path);
+        const firstChangedHop = diff.find(entry => entry.changed)?.hop ?? null;
+        const stats = calculateStats(hops);
+        
+        // No hop is flagged problematic so route changes don't count towards problem hop statistics
+        const eventId = await writeEvent({
+            event: {
+                timestamp: now,
+                agent,
+                target,
+                target_ip: getDestinationIP(hops),
+                issue_type: 'route_change',
+                total_hops: hops.length,
+                problematic_hop: firstChangedHop,
+                avg_latency: stats.avgLatency,
+                packet_loss_pct: stats.packetLoss,
+                route_path_id: newPathId,
+                previous_route_path_id: previous.id
+            },
+            hops,
+            problematicHop: null
+        });
+        
+        state.stable = { id: newPathId, path: state.candidate.path };
+        state.candidate = null;
+        state.lastTouched = now.getTime();
+        
+        const changedHops = diff.filter(entry => entry.changed).length;
+        countAnomaly(agent, target, 'route_change');
+        console.log(`🔀 Route change for ${target}${agentSuffix(agent)}: ${changedHops} hop(s) changed from hop ${firstChangedHop} (Event ID: ${eventId ?? 'not written'})`);
+        
+    } catch (error) {
+        console.error('Failed to track route change:', error.message);
+    }
+}
+
+// ==================== PROBE ENGINES ====================
+// Every engine resolves to the hop shape produced by parseTracerouteOutput():
+// { hop, ip, hostname, latency, timeout, probes, sent, received, lost, packetLoss,
+//   min, avg, max, jitter, responders, multipath }
+// Engines that only measure the destination (ping, tcp, http) return a single hop.
+
+const DEFAULT_PROBE_PORTS = { tcp: 443, http: 443 };
+
+// Whole-command timeout: at least 60s, more for long paths with slow hops
+function probeCommandTimeout(settings) {
+    return Math.max(60000, settings.max_hops * settings.probe_count * settings.probe_wait_ms);
+}
+
+// Traceroute / tracert (default engine)
+async function probeTraceroute(target, settings) {
+    // Determine OS and use appropriate command
+    const platform = process.platform;
+    const ipv6 = net.isIPv6(target);
+    const { max_hops: maxHops, probe_count: count } = settings;
+    const waitSeconds = Math.ceil(settings.probe_wait_ms / 1000);
+    let file;
+    let args;
+    
+    if (platform === 'linux') {
+        // Linux: max hops, wait per probe (seconds) and probes per hop
+        file = 'traceroute';
+        args = [...(ipv6 ? ['-6'] : []), '-m', maxHops, '-w', waitSeconds, '-q', count, target];
+    } else if (platform === 'darwin') {
+        // macOS: IPv6 needs the separate traceroute6 binary
+        file = ipv6 ? 'traceroute6' : 'traceroute';
+        args = ['-m', maxHops, '-w', waitSeconds, '-q', count, target];
+    } else if (platform === 'win32') {
+        // Windows: tracert always sends 3 probes per hop
+        file = 'tracert';
+        args = [...(ipv6 ? ['-6'] : []), '-h', maxHops, '-w', settings.probe_wait_ms, target];
+    } else {
+        throw new Error('Unsupported operating system');
+    }
+    
+    const { stdout, stderr } = await execFilePromise(file, args.map(String), {
+        timeout: probeCommandTimeout(settings)
+    });
+    
+    if (stderr && !stdout) {
+        throw new Error(stderr);
+    }
+    
+    return parseTraceOutput(stdout, platform);
+}
+
+// mtr report mode (mtr --json)
+async function probeMtr(target, settings) {
+    const waitSeconds = Math.ceil(settings.probe_wait_ms / 1000);
+    const args = [
+        '--json', '--no-dns', ...(net.isIPv6(target) ? ['-6'] : []),
+        '-c', settings.probe_count, '-m', settings.max_hops, '--gracetime', waitSeconds, target
+    ];
+    
+    const { stdout, stderr } = await execFilePromise('mtr', args.map(String), {
+        timeout: probeCommandTimeout(settings)
+    });
+    
+    if (stderr && !stdout) {
+        throw new Error(stderr);
+    }
+    
+    return parseMtrReport(stdout);
+}
+
+// Parse `mtr --json` output. mtr only reports per-hop aggregates, so hops
+// carry sent/lost/min/avg/max without individual probe RTTs.
+function parseMtrReport(output) {
+    const report = JSON.parse(output).report || {};
+    
+    return (report.hubs || []).map(hub => {
+        const host = String(hub.host);
+        const hostMatch = host.match(/^(\S+) \(([^)]+)\)$/);
+        const ip = hostMatch && net.isIP(hostMatch[2]) ? hostMatch[2] : (net.isIP(host) ? host : null);
+        const hostname = hostMatch ? hostMatch[1] : ip;
+        
+        const sent = parseInt(hub.Snt) || 0;
+        const lost = Math.round(sent * (parseFloat(hub['Loss%']) || 0) / 100);
+        const received = sent - lost;
+        const probeStats = {
+            sent,
+            received,
+            lost,
+            packetLoss: sent > 0 ? (lost / sent) * 100 : 0,
+            min: received > 0 ? hub.Best : null,
+            avg: received > 0 ? hub.Avg : null,
+            max: received > 0 ? hub.Wrst : null,
+            jitter: received > 1 ? hub.StDev : null // mtr's standard deviation
+        };
+        const isTimeout = !ip || received === 0;
+        
+        return {
+            hop: parseInt(hub.count),
+            ip: ip || '*',
+            hostname: ip ? hostname : 'Request timed out',
+            latency: probeStats.avg,
+            timeout: isTimeout,
+            probes: [],
+            ...probeStats,
+            responders: ip ? [{ ip, hostname, probes: [], ...probeStats }] : [],
+            multipath: false
+        };
+    });
+}
+
+// Run a probe command, keeping its output when it exits non-zero
+// (ping does so whenever replies are lost)
+async function execProbeCommand(file, args, timeout) {
+    try {
+        return await execFilePromise(file, args.map(String), { timeout });
+    } catch (error) {
+        if (error.killed || !error.stdout) {
+            throw error;
+        }
+        return { stdout: error.stdout, stderr: error.stderr };
+    }
+}
+
+// ICMP ping of the destination only
+async function probePing(target, settings) {
+    const platform = process.platform;
+    const ipv6 = net.isIPv6(target);
+    const count = settings.probe_count;
+    let file = 'ping';
+    let args;
+    
+    if (platform === 'linux') {
+        args = [...(ipv6 ? ['-6'] : []), '-c', count, '-W', Math.ceil(settings.probe_wait_ms / 1000), target];
+    } else if (platform === 'darwin') {
+        file = ipv6 ? 'ping6' : 'ping';
+        args = ['-c', count, target];
+    } else if (platform === 'win32') {
+        args = [...(ipv6 ? ['-6'] : []), '-n', count, '-w', settings.probe_wait_ms, target];
+    } else {
+        throw new Error('Unsupported operating system');
+    }
+    
+    const { stdout } = await execProbeCommand(file, args, Math.max(30000, count * settings.probe_wait_ms * 2));
+    return parsePingOutput(stdout, target, count);
+}
+
+// Parse ping output (Unix and Windows)
+function parsePingOutput(output, target, count) {
+    const probes = [];
+    let ip = null;
+    
+    // Destination address from the header:
+    // "PING host (1.2.3.4) 56(84) bytes of data." / "Pinging host [1.2.3.4] with 32 bytes of data:"
+    const headerMatch = output.match(/^PING\S*\s+\S+\s+\(([0-9a-fA-F:.]+)\)|^Pinging\s+\S+\s+\[([0-9a-fA-F:.]+)\]/m);
+    if (headerMatch && net.isIP(headerMatch[1] || headerMatch[2])) {
+        ip = headerMatch[1] || headerMatch[2];
+    } else if (net.isIP(target)) {
+        ip = target;
+    }
+    
+    for (const line of output.split(/\r?\n/)) {
+        // "64 bytes from 1.2.3.4: icmp_seq=1 ttl=57 time=12.3 ms"
+        // "Reply from 1.2.3.4: bytes=32 time<1ms TTL=57"
+        const replyMatch = line.match(/from\s+(?:\S+\s+\()?([0-9a-fA-F:.]+)\)?:.*time[=<]\s*([\d.]+)\s*ms/i);
+        const seqMatch = line.match(/icmp_seq=(\d+)/);
+        
+        if (replyMatch) {
+            if (!ip && net.isIP(replyMatch[1])) ip = replyMatch[1];
+            
+            // Unix ping numbers its replies, so gaps are lost probes
+            const index = seqMatch ? parseInt(seqMatch[1]) - 1 : probes.length;
+            while (probes.length < index) probes.push(null);
+            probes[index] = parseFloat(replyMatch[2]);
+        } else if (/^Request timed out|Destination host unreachable/i.test(line.trim())) {
+            // Windows prints a line per lost probe
+            probes.push(null);
+        }
+    }
+    
+    while (probes.length < count) {
+        probes.push(null);
+    }
+    
+    return destinationHop(target, ip, probes);
+}
+
+// TCP connect time to a port
+async function probeTcp(target, port, settings) {
+    const { address } = await dns.promises.lookup(target);
+    const probes = [];
+    
+    for (let i = 0; i < settings.probe_count; i++) {
+        probes.push(await measureTcpConnect(address, port, settings.probe_wait_ms));
+    }
+    
+    return destinationHop(target, address, probes, { port });
+}
+
+// Time until the TCP handshake completes, or null on timeout/refusal
+function measureTcpConnect(host, port, timeout) {
+    return new Promise(resolve => {
+        const start = process.hrtime.bigint();
+        const socket = net.connect({ host, port });
+        
+        const finish = (rtt) => {
+            socket.destroy();
+            resolve(rtt);
+        };
+        
+        socket.setTimeout(timeout);
+        socket.once('connect', () => finish(Number(process.hrtime.bigint() - start) / 1e6));
+        socket.once('timeout', () => finish(null));
+        socket.once('error', () => finish(null));
+    });
+}
+
+// HTTP(S) time to first byte
+async function probeHttp(target, port, settings) {
+    const url = buildProbeUrl(target, port);
+    const hostname = url.hostname.replace(/^\[|\]$/g, '');
+    const { address, family } = await dns.promises.lookup(hostname);
+    const probes = [];
+    let httpStatus = null;
+    
+    // TLS setup plus server think time needs more than a single round trip
+    const timeout = Math.max(settings.probe_wait_ms, 5000);
+    
+    for (let i = 0; i < settings.probe_count; i++) {
+        const response = await measureHttpFirstByte(url, address, family, timeout);
+        probes.push(response.rtt);
+        if (response.status) httpStatus = response.status;
+    }
+    
+    return destinationHop(hostname, address, probes, { port: parseInt(url.port) || (url.protocol === 'http:' ? 80 : 443), http_status: httpStatus });
+}
+
+// Targets may be full URLs; bare hosts use https unless the port is 80
+function buildProbeUrl(target, port) {
+    if (/^https?:\/\//i.test(target)) {
+        return new URL(target);
+    }
+    
+    const host = net.isIPv6(target) ? `[${target}]` : target;
+    const scheme = port === 80 ? 'http' : 'https';
+    const portSuffix = port && port !== 80 && port !== 443 ? `:${port}` : '';
+    return new URL(`${scheme}://${host}${portSuffix}/`);
+}
+
+// Time until response headers arrive, or null on timeout/error
+function measureHttpFirstByte(url, address, family, timeout) {
+    return new Promise(resolve => {
+        const client = url.protocol === 'http:' ? http : https;
+        const start = process.hrtime.bigint();
+        
+        const req = client.request(url, {
+            method: 'GET',
+            agent: false,
+            timeout,
+            // Connect to the address resolved up front so DNS time is not measured
+            lookup: (hostname, options, callback) => options && options.all
+                ? callback(null, [{ address, family }])
+                : callback(null, address, family)
+        }, (res) => {
+            const rtt = Number(process.hrtime.bigint() - start) / 1e6;
+            res.destroy();
+            resolve({ rtt, status: res.statusCode });
+        });
+        
+        req.on('timeout', () => req.destroy());
+        req.on('error', () => resolve({ rtt: null, status: null }));
+        req.end();
+    });
+}
+
+// Single-hop result for engines that only measure the destination
+function destinationHop(target, ip, probes, extra = {}) {
+    const probeStats = summarizeProbes(probes);
+    const isTimeout = probeStats.received === 0;
+    
+    return [{
+        hop: 1,
+        ip: ip || '*',
+        hostname: ip ? target : 'Request timed out',
+        latency: probeStats.avg,
+        timeout: isTimeout,
+        probes,
+        ...probeStats,
+        responders: ip ? [{ ip, hostname: target, probes, ...probeStats }] : [],
+        multipath: false,
+        ...extra
+    }];
+}
+
+// Registered probe engines (key: monitored_targets.probe_type)
+// Engines receive the resolved settings from resolveTargetSettings()
+const PROBE_ENGINES = {
+    traceroute: (target, settings) => probeTraceroute(target, settings),
+    mtr: (target, settings) => probeMtr(target, settings),
+    ping: (target, settings) => probePing(target, settings),
+    tcp: (target, settings) => probeTcp(target, settings.probe_port || DEFAULT_PROBE_PORTS.tcp, settings),
+    http: (target, settings) => probeHttp(target, settings.probe_port || DEFAULT_PROBE_PORTS.http, settings)
+};
+
+// Run a probe, track per-hop statistics and log anomalies
+async function runProbe(target, targetSettings = {}) {
+    const settings = resolveTargetSettings(targetSettings);
+    const probeType = settings.probe_type;
+    const engine = PROBE_ENGINES[probeType];
+    
+    if (!engine) {
+        throw new Error(`Unknown probe type: ${probeType}`);
+    }
+    
+    // Checked again on every run: DNS answers may have moved into a denied network
+    const invalidTarget = await validateProbeTarget(target, probeType);
+    if (invalidTarget) {
+        throw new Error(invalidTarget);
+    }
+    
+    const startTime = new Date().toLocaleString('de-DE', { 
+        hour: '2-digit', 
+        minute: '2-digit', 
+        second: '2-digit' 
+    });
+    console.log(`[${startTime}] Running ${probeType} for: ${target}`);
+    
+    const hops = await engine(target, settings);
+    
+    // Agents only measure; detection and storage happen on the central instance
+    if (AGENT_MODE) {
+        const result = {
+            target,
+            agent: AGENT_CONFIG.NAME,
+            timestamp: new Date().toISOString(),
+            hops,
+            platform: process.platform,
+            probe_type: probeType
+        };
+        queueAgentResult(result);
+        recordTraceResult(result);
+        return result;
+    }
+    
+    return processTraceResult({
+        target,
+        agent: LOCAL_AGENT,
+        timestamp: new Date().toISOString(),
+        hops,
+        platform: process.platform,
+        probe_type: probeType
+    }, targetSettings);
+}
+
+// Statistics, anomaly detection, incidents and route changes for a completed trace, probed here or
+// pushed by an agent; returns the result with its anomalies
+async function processTraceResult(trace, targetSettings = {}) {
+    const { target, agent, hops } = trace;
+    const settings = resolveTargetSettings(targetSettings);
+    const source = { agent, timestamp: new Date(trace.timestamp) };
+    
+    // Track per-hop statistics and keep the trace for the live view history
+    if (schemaState.ready) {
+        trackHopStatistics(target, hops, agent, source.timestamp);
+        trackTraceSample(trace, source.timestamp);
+    }
+    
+    // Detect and log anomalies
+    // An explicit per-target latency threshold takes precedence over the learned baseline
+    const baselines = hopBaselines.get(seriesKey(agent, target)) || null;
+    const detectionBaselines = targetSettings.latency_threshold_ms == null ? baselines : null;
+    
+    const anomalies = detectAnomalies(hops, settings, detectionBaselines);
+    if (anomalies.length > 0 && canLogToDatabase()) {
+        await logAnomaly(target, hops, anomalies, settings, baselines, source);
+    } else if (anomalies.length === 0) {
+        noteHealthyTrace(target, source.timestamp, agent);
+    }
+    
+    if (canLogToDatabase() && ROUTE_PROBE_TYPES.has(trace.probe_type)) {
+        await trackRouteChange(target, hops, source);
+    }
+    
+    const result = {
+        ...trace,
+        anomalies: anomalies.length > 0 ? anomalies : undefined
+    };
+    recordTraceResult(result);
+    
+    return result;
+}
+
+// Send an event to every connected stream client
+function broadcastEvent(event, data) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    streamClients.forEach(client => client.write(message));
+}
+
+// Remember the latest result for a target and agent and push it to live clients
+function recordTraceResult(result) {
+    latestResults.set(seriesKey(result.agent, result.target), result);
+    countTraceResult(result);
+    broadcastEvent('trace', result);
+}
+
+// ==================== AUTHENTICATION ====================
+// Users log in with a password and get a session token; scripts use API tokens. Both are sent as
+// "Authorization: Bearer <token>" (or ?access_token= where headers can't be set, e.g. EventSource)
+// and only their SHA-256 is stored. Roles are ordered: viewer < operator < admin.
+// Probe agent tokens (see PROBE AGENTS) carry no role and only reach the /api/agent/ routes.
+
+const ROLE_LEVELS = { viewer: 1, operator: 2, admin: 3 };
+
+// Resolved tokens (key: token hash -> { user, cachedAt }), cleared when users or tokens change
+const authCache = new Map();
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scryptPromise(password, salt, 64);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    
+    const expected = Buffer.from(hash, 'hex');
+    const actual = await scryptPromise(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+// Look up a session, API or agent token; returns { id, username, role, auth } (plus agent) or null
+async function resolveAuthToken(token) {
+    const tokenHash = hashToken(token);
+    const cached = authCache.get(tokenHash);
+    if (cached && Date.now() - cached.cachedAt < AUTH_CONFIG.CACHE_TTL) {
+        return cached.user;
+    }
+    
+    const sessionResult = await db.query(
+        `SELECT u.id, u.username, u.role FROM user_sessions s
+         JOIN users u ON u.id = s.user_id
+         WHERE s.token_hash = $1 AND s.expires_at > NOW() AND u.enabled`,
+        [tokenHash]
+    );
+    let user = sessionResult.rows[0] ? { ...sessionResult.rows[0], auth: 'session' } : null;
+    
+    if (!user) {
+        const tokenResult = await db.query(
+            `UPDATE api_tokens SET last_used = NOW()
+             WHERE token_hash = $1 AND NOT revoked AND (expires_at IS NULL OR expires_at > NOW())
+             RETURNING id, name, role`,
+            [tokenHash]
+        );
+        const apiToken = tokenResult.rows[0];
+        user = apiToken ? { id: apiToken.id, username: `token:${apiToken.name}`, role: apiToken.role, auth: 'token' } : null;
+    }
+    
+    if (!user) {
+        const agentResult = await db.query(
+            'SELECT id, name FROM probe_agents WHERE token_hash = $1 AND NOT revoked',
+            [tokenHash]
+        );
+        const agent = agentResult.rows[0];
+        user = agent ? { id: agent.id, username: `agent:${agent.name}`, role: 'agent', agent: agent.name, auth: 'agent' } : null;
+    }
+    
+    if (user) {
+        authCache.set(tokenHash, { user, cachedAt: Date.now() });
+    } else {
+        authCache.delete(tokenHash);
+    }
+    return user;
+}
+
+// Middleware: attach req.user or answer 401 (the login route is the only open API route)
+async function authenticate(req, res, next) {
+    if (!AUTH_CONFIG.ENABLED) {
+        req.user = { id: null, username: 'anonymous', role: 'admin', auth: 'disabled' };
+        return next();
+    }
+    if (req.path === '/auth/login') return next();
+    
+    const header = req.headers.authorization || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : req.query.access_token;
+    
+    if (!token) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+    
+    try {
+        const user = await resolveAuthToken(token);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid or expired token' });
+        }
+        if (user.agent && !req.path.startsWith('/agent/')) {
+            return res.status(403).json({ error: 'Agent tokens can only push results' });
+        }
+        req.user = user;
+        next();
+    } catch (error) {
+        console.error('Authentication error:', error);
+        res.status(500).json({ error: 'Failed to authenticate', message: error.message });
+    }
+}
+
+// Middleware: the user needs at least this role
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.user || (ROLE_LEVELS[req.user.role] || 0) < ROLE_LEVELS[role]) {
+            return res.status(403).json({ error: 'Insufficient permissions', required_role: role });
+        }
+        next();
+    };
+}
+
+// Record who changed what; failures are logged but never fail the request
+async function logAudit(req, action, resource, details = null) {
+    try {
+        await db.query(
+            `INSERT INTO audit_log (username, role, action, resource, details, ip_address)
+             VALUES ($1, $2, $3, $4, $5, $6)`,
+            [
+                req.user ? req.user.username : null,
+                req.user ? req.user.role : null,
+                action,
+                resource !== null && resource !== undefined ? String(resource) : null,
+                details ? JSON.stringify(details) : null,
+                req.ip
+            ]
+        );
+    } catch (error) {
+        console.error('Failed to write audit log:', error.message);
+    }
+}
+
+// First start: create an admin account (ADMIN_USERNAME/ADMIN_PASSWORD, or a generated password that
+// is written to ADMIN_PASSWORD_FILE instead of the log)
+async function ensureAdminUser() {
+    if (!AUTH_CONFIG.ENABLED) return;
+    
+    const result = await db.query('SELECT CAST(COUNT(*) AS INTEGER) AS count FROM users');
+    if (result.rows[0].count > 0) return;
+    
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+    if (!process.env.ADMIN_PASSWORD) {
+        // Replace any file left from an earlier install so it is created with mode 0600
+        fs.mkdirSync(path.dirname(AUTH_CONFIG.ADMIN_PASSWORD_FILE), { recursive: true });
+        fs.rmSync(AUTH_CONFIG.ADMIN_PASSWORD_FILE, { force: true });
+        fs.writeFileSync(AUTH_CONFIG.ADMIN_PASSWORD_FILE, `${password}\n`, { mode: 0o600, flag: 'wx' });
+    }
+    await db.query(
+        'INSERT INTO users (username, password_hash, role) VALUES ($1, $2, $3)',
+        [username, await hashPassword(password), 'admin']
+    );
+    
+    console.log(`🔑 Created admin user "${username}"`);
+    if (!process.env.ADMIN_PASSWORD) {
+        console.log(`🔑 Generated password written to ${AUTH_CONFIG.ADMIN_PASSWORD_FILE} (change it after the first login and delete the file)`);
+    }
+}
+
+// Validate a user body; returns an error message or null
+function validateUser(user, isNew) {
+    if (isNew && (!user.username || typeof user.username !== 'string')) {
+        return 'username is required';
+    }
+    if ((isNew || user.password !== undefined) && (typeof user.password !== 'string' || user.password.length < 8)) {
+        return 'password must be at least 8 characters';
+    }
+    if ((isNew || user.role !== undefined) && !ROLE_LEVELS[user.role]) {
+        return `role must be one of: ${Object.keys(ROLE_LEVELS).join(', ')}`;
+    }
+    return null;
+}
+
+// Log in with username and password; returns a session token
+app.post('/api/auth/login', async (req, res) => {
+    try {
+        const { username, password } = req.body || {};
+        
+        if (!AUTH_CONFIG.ENABLED) {
+            return res.json({ token: null, user: { username: 'anonymous', role: 'admin' }, auth_enabled: false });
+        }
+        if (!username || !password) {
+            return res.status(400).json({ error: 'username and password are required' });
+        }
+        
+        const result = await db.query(
+            'SELECT id, username, role, password_hash FROM users WHERE username = $1 AND enabled',
+            [username]
+        );
+        const user = result.rows[0];
+        
+        if (!user || !(await verifyPassword(password, user.password_hash))) {
+            await logAudit(req, 'auth.login_failed', username);
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
+        
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + AUTH_CONFIG.SESSION_TTL);
+        await db.query(
+            'INSERT INTO user_sessions (token_hash, user_id, expires_at) VALUES ($1, $2, $3)',
+            [hashToken(token), user.id, expiresAt]
+        );
+        await db.query('UPDATE users SET last_login = NOW() WHERE id = $1', [user.id]);
+        await db.query('DELETE FROM user_sessions WHERE expires_at < NOW()');
+        
+        req.user = user;
+        await logAudit(req, 'auth.login', user.username);
+        
+        res.json({
+            token,
+            expires_at: expiresAt.toISOString(),
+            user: { id: user.id, username: user.username, role: user.role }
+        });
+        
+    } catch (error) {
+        console.error('Login error:', error);
+        res.status(500).json({ error: 'Failed to log in', message: error.message });
+    }
+});
+
+// End the current session
+app.post('/api/auth/logout', async (req, res) => {
+    try {
+        const header = req.headers.authorization || '';
+        if (req.user.auth === 'session' && header.startsWith('Bearer ')) {
+            const tokenHash = hashToken(header.slice(7).trim());
+            await db.query('DELETE FROM user_sessions WHERE token_hash = $1', [tokenHash]);
+            authCache.delete(tokenHash);
+        }
+        res.json({ success: true });
+        
+    } catch (error) {
+        console.error('Logout error:', error);
+        res.status(500).json({ error: 'Failed to log out', message: error.message });
+    }
+});
+
+// Current user
+app.get('/api/auth/me', (req, res) => {
+    res.json({ user: req.user, auth_enabled: AUTH_CONFIG.ENABLED });
+});
+
+// List users
+app.get('/api/users', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await db.query(
+            'SELECT id, username, role, enabled, created_at, last_login FROM users ORDER BY username'
+        );
+        res.json({ users: result.rows });
+    } catch (error) {
+        console.error('Get users error:', error);
+        res.status(500).json({ error: 'Failed to get users', message: error.message });
+    }
+});
+
+// Add a user
+app.post('/api/users', requireRole('admin'), async (req, res) => {
+    try {
+        const invalid = validateUser(req.body, true);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        
+        const { username, password, role } = req.body;
+        const result = await db.query(
+            `INSERT INTO users (username, password_hash, role) VALUES ($1, $2, $3)
+             RETURNING id, username, role, enabled, created_at`,
+            [username, await hashPassword(password), role]
+        );
+        
+        await logAudit(req, 'user.create', username, { role });
+        res.status(201).json({ success: true, user: result.rows[0] });
+        
+    } catch (error) {
+        if (isUniqueViolation(error)) {
+            return res.status(409).json({ error: 'Username already exists' });
+        }
+        console.error('Create user error:', error);
+        res.status(500).json({ error: 'Failed to create user', message: error.message });
+    }
+});
+
+// Update a user's role, password or enabled flag (changing anything ends their sessions)
+app.put('/api/users/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        const invalid = validateUser(req.body, false);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        
+        const { password, role, enabled } = req.body;
+        const passwordHash = password !== undefined ? await hashPassword(password) : null;
+        const result = await db.query(
+            `UPDATE users
+             SET password_hash = COALESCE($1, password_hash), role = COALESCE($2, role),
+                 enabled = COALESCE($3, enabled)
+             WHERE id = $4
+             RETURNING id, username, role, enabled, created_at, last_login`,
+            [passwordHash, role ?? null, enabled ?? null, id]
+        );
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        
+        await db.query('DELETE FROM user_sessions WHERE user_id = $1', [id]);
+        authCache.clear();
+        
+        await logAudit(req, 'user.update', result.rows[0].username, {
+            role, enabled, password_changed: password !== undefined
+        });
+        res.json({ success: true, user: result.rows[0] });
+        
+    } catch (error) {
+        console.error('Update user error:', error);
+        res.status(500).json({ error: 'Failed to update user', message: error.message });
+    }
+});
+
+// Delete a user
+app.delete('/api/users/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        
+        if (req.user.auth === 'session' && req.user.id === id) {
+            return res.status(400).json({ error: 'You cannot delete your own account' });
+        }
+        
+        const result = await db.query('DELETE FROM users WHERE id = $1 RETURNING username', [id]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+        authCache.clear();
+        
+        await logAudit(req, 'user.delete', result.rows[0].username);
+        res.json({ success: true });
+        
+    } catch (error) {
+        console.error('Delete user error:', error);
+        res.status(500).json({ error: 'Failed to delete user', message: error.message });
+    }
+});
+
+// List API tokens (without the secret)
+app.get('/api/tokens', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await db.query(
+            `SELECT id, name, role, created_by, created_at, last_used, expires_at, revoked
+             FROM api_tokens ORDER BY created_at DESC`
+        );
+        res.json({ tokens: result.rows });
+    } catch (error) {
+        console.error('Get tokens error:', error);
+        res.status(500).json({ error: 'Failed to get tokens', message: error.message });
+    }
+});
+
+// Create an API token; the secret is only returned in this response
+app.post('/api/tokens', requireRole('admin'), async (req, res) => {
+    try {
+        const { name, role = 'viewer', expires_in_days } = req.body || {};
+        
+        if (!name) {
+            return res.status(400).json({ error: 'name is required' });
+        }
+        if (!ROLE_LEVELS[role]) {
+            return res.status(400).json({ error: `role must be one of: ${Object.keys(ROLE_LEVELS).join(', ')}` });
+        }
+        if (expires_in_days !== undefined && (!Number.isInteger(expires_in_days) || expires_in_days < 1)) {
+            return res.status(400).json({ error: 'expires_in_days must be a positive integer' });
+        }
+        
+        const token = `ppt_${crypto.randomBytes(32).toString('hex')}`;
+        const expiresAt = expires_in_days ? new Date(Date.now() + expires_in_days * 86400000) : null;
+        const result = await db.query(
+            `INSERT INTO api_tokens (name, token_hash, role, created_by, expires_at)
+             VALUES ($1, $2, $3, $4, $5)
+             RETURNING id, name, role, created_by, created_at, expires_at`,
+            [name, hashToken(token), role, req.user.username, expiresAt]
+        );
+        
+        await logAudit(req, 'token.create', name, { role, expires_at: expiresAt });
+        res.status(201).json({ success: true, token, api_token: result.rows[0] });
+        
+    } catch (error) {
+        console.error('Create token error:', error);
+        res.status(500).json({ error: 'Failed to create token', message: error.message });
+    }
+});
+
+// Revoke an API token
+app.delete('/api/tokens/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await db.query(
+            'UPDATE api_tokens SET revoked = TRUE WHERE id = $1 RETURNING name',
+            [parseInt(req.params.id)]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Token not found' });
+        }
+        authCache.clear();
+        
+        await logAudit(req, 'token.revoke', result.rows[0].name);
+        res.json({ success: true });
+        
+    } catch (error) {
+        console.error('Revoke token error:', error);
+        res.status(500).json({ error: 'Failed to revoke token', message: error.message });
+    }
+});
+
+// Audit trail, newest first
+app.get('/api/audit', requireRole('admin'), async (req, res) => {
+    try {
+        const { username, action, hours = 168, limit = 200 } = req.query;
+        
+        let query = `
+            SELECT id, timestamp, username, role, action, resource, details, ip_address
+            FROM audit_log
+            WHERE timestamp > ${db.sql.ago(parseFloat(hours), 'hours')}
+        `;
+        const params = [];
+        
+        if (username) {
+            params.push(username);
+            query += ` AND username = $${params.length}`;
+        }
+        if (action) {
+            params.push(`${action}%`);
+            query += ` AND action LIKE $${params.length}`;
+        }
+        
+        params.push(parseInt(limit));
+        query += ` ORDER BY timestamp DESC LIMIT $${params.length}`;
+        
+        const result = await db.query(query, params);
+        res.json({ entries: result.rows, count: result.rows.length });
+        
+    } catch (error) {
+        console.error('Get audit log error:', error);
+        res.status(500).json({ error: 'Failed to get audit log', message: error.message });
+    }
+});
+
+// Traceroute endpoint
+app.get('/api/traceroute/:target', requireRole('operator'), async (req, res) => {
+    const { target } = req.params;
+    
+    const invalidTarget = await validateProbeTarget(target, 'traceroute');
+    if (invalidTarget) {
+        return res.status(400).json({ 
+            error: 'Invalid target',
+            message: invalidTarget
+        });
+    }
+    
+    try {
+        const result = await enqueueProbe(`api:traceroute:${target}`, () => runProbe(target, { probe_type: 'traceroute' }));
+        res.json(result);
+        
+    } catch (error) {
+        console.error('Traceroute error:', error);
+        
+        // Check if it's a timeout
+        if (error.killed && error.signal === 'SIGTERM') {
+            return res.status(504).json({ 
+                error: 'Traceroute timeout',
+                message: 'Traceroute took too long to complete'
+            });
+        }
+        
+        res.status(500).json({ 
+            error: 'Traceroute failed',
+            message: error.message || 'An error occurred during traceroute'
+        });
+    }
+});
+
+// Run any probe engine once (e.g. /api/probe/tcp/example.com?port=443)
+app.get('/api/probe/:type/:target', requireRole('operator'), async (req, res) => {
+    const { type, target } = req.params;
+    const port = req.query.port ? parseInt(req.query.port) : null;
+    
+    if (!PROBE_ENGINES[type]) {
+        return res.status(400).json({
+            error: 'Invalid probe type',
+            message: `Probe type must be one of: ${Object.keys(PROBE_ENGINES).join(', ')}`
+        });
+    }
+    
+    const invalidTarget = await validateProbeTarget(target, type);
+    if (invalidTarget) {
+        return res.status(400).json({ 
+            error: 'Invalid target',
+            message: invalidTarget
+        });
+    }
+    
+    if (port !== null && !(port >= 1 && port <= 65535)) {
+        return res.status(400).json({ error: 'port must be between 1 and 65535' });
+    }
+    
+    try {
+        const result = await enqueueProbe(`api:${type}:${target}:${port || ''}`,
+            () => runProbe(target, { probe_type: type, probe_port: port }));
+        res.json(result);
+        
+    } catch (error) {
+        console.error('Probe error:', error);
+        
+        if (error.killed && error.signal === 'SIGTERM') {
+            return res.status(504).json({ 
+                error: 'Probe timeout',
+                message: 'Probe took too long to complete'
+            });
+        }
+        
+        res.status(500).json({ 
+            error: 'Probe failed',
+            message: error.message || 'An error occurred during the probe'
+        });
+    }
+});
+
+// ==================== SCHEMA MIGRATIONS ====================
+// Forward-only: each migrations/NNN_name.sql runs once, in its own transaction, and is recorded in
+// schema_migrations with a checksum. 001 adopts databases created by the old schema.sql.
+// SQLite databases use migrations/sqlite/, which starts at 008 with the full schema so that
+// version numbers match; later migrations need a file in both directories.
+
+// Migration files ordered by version: [{ version, name, file, sql, checksum }]
+function loadMigrationFiles() {
+    const migrations = fs.readdirSync(db.migrationsDir)
+        .filter(file => /^\d+_[\w-]+\.sql$/.test(file))
+        .map(file => {
+            const sql = fs.readFileSync(path.join(db.migrationsDir, file), 'utf8');
+            return {
+                version: parseInt(file, 10),
+                name: file.replace(/^\d+_/, '').replace(/\.sql$/, ''),
+                file,
+                sql,
+                checksum: crypto.createHash('sha256').update(sql).digest('hex')
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+    
+    for (let i = 1; i < migrations.length; i++) {
+        if (migrations[i].version === migrations[i - 1].version) {
+            throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+        }
+    }
+    
+    return migrations;
+}
+
+// Applied migrations by version (empty before the first migration run)
+async function getAppliedMigrations(client) {
+    if (!await db.tableExists(client, 'schema_migrations')) return new Map();
+    
+    const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+    return new Map(result.rows.map(row => [row.version, row]));
+}
+
+// Compare the database with the migration files and update schemaState
+async function checkSchema(client = db) {
+    const migrations = loadMigrationFiles();
+    const applied = await getAppliedMigrations(client);
+    const pending = migrations.filter(migration => !applied.has(migration.version));
+    
+    // Released migrations must not change; an edited file is reported but never re-run
+    migrations.forEach(migration => {
+        const row = applied.get(migration.version);
+        if (row && row.checksum !== migration.checksum) {
+            console.warn(`⚠️  Migration ${migration.file} was modified after it was applied`);
+        }
+    });
+    
+    Object.assign(schemaState, {
+        current: applied.size > 0 ? Math.max(...applied.keys()) : 0,
+        latest: migrations.length > 0 ? migrations[migrations.length - 1].version : 0,
+        pending: pending.map(migration => migration.file),
+        ready: pending.length === 0,
+        error: null,
+        checkedAt: new Date().toISOString()
+    });
+    
+    if (schemaState.current > schemaState.latest) {
+        console.warn(`⚠️  Database schema (version ${schemaState.current}) is newer than this backend (${schemaState.latest})`);
+    }
+    
+    return { migrations, applied, pending };
+}
+
+// Apply all pending migrations in order; returns the files that were applied
+async function runMigrations() {
+    const client = await db.connect();
+    const appliedFiles = [];
+    
+    try {
+        await db.lock(client);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                checksum CHAR(64) NOT NULL,
+                applied_at TIMESTAMPTZ NOT NULL DEFAULT ${db.sql.defaultNow}
+            )
+        `);
+        
+        const { pending } = await checkSchema(client);
+        
+        for (const migration of pending) {
+            const start = Date.now();
+            try {
+                await client.query('BEGIN');
+                await db.runScript(client, migration.sql);
+                await client.query(
+                    'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+                    [migration.version, migration.name, migration.checksum]
+                );
+                await client.query('COMMIT');
+            } catch (error) {
+                await client.query('ROLLBACK').catch(() => {});
+                throw new Error(`${migration.file}: ${error.message}`);
+            }
+            
+            appliedFiles.push(migration.file);
+            console.log(`🗄️  Applied migration ${migration.file} (${Date.now() - start}ms)`);
+        }
+        
+        if (appliedFiles.length > 0) {
+            await checkSchema(client);
+        }
+        
+        return appliedFiles;
+    } finally {
+        await db.unlock(client).catch(() => {});
+        client.release();
+    }
+}
+
+function getSchemaStatus() {
+    return {
+        version: schemaState.current,
+        latest: schemaState.latest,
+        pending: schemaState.pending,
+        up_to_date: schemaState.ready,
+        auto_migrate: MIGRATION_CONFIG.AUTO_MIGRATE,
+        checked_at: schemaState.checkedAt,
+        error: schemaState.error
+    };
+}
+
+// Anomalies and route changes are only written when logging is on and the schema is current
+function canLogToDatabase() {
+    return databaseLoggingEnabled && schemaState.ready;
+}
+
+// `node monitor-backend.js migrate` applies pending migrations, `migrate:status` lists them.
+// Returns the process exit code.
+async function runMigrationCommand(command) {
+    try {
+        if (command === 'migrate') {
+            const applied = await runMigrations();
+            console.log(applied.length > 0
+                ? `✓ Applied ${applied.length} migration(s), schema is at version ${schemaState.current}`
+                : `✓ Schema is up to date (version ${schemaState.current})`);
+            return 0;
+        }
+        
+        if (command === 'migrate:status') {
+            const { migrations, applied } = await checkSchema();
+            migrations.forEach(migration => {
+                const row = applied.get(migration.version);
+                console.log(row
+                    ? `  ✓ ${migration.file}  applied ${row.applied_at.toISOString()}`
+                    : `  · ${migration.file}  pending`);
+            });
+            console.log(`Schema version ${schemaState.current}, latest ${schemaState.latest}`);
+            return schemaState.ready ? 0 : 1;
+        }
+        
+        console.error(`Unknown command "${command}" (expected migrate or migrate:status)`);
+        return 1;
+    } catch (error) {
+        console.error('❌ Migration failed:', error.message);
+        return 1;
+    } finally {
+        await db.end();
+    }
+}
+
+// ==================== RETENTION ====================
+// Minute rows in hop_statistics are rolled up into hop_statistics_hourly and hop_statistics_daily
+// (recomputing the last few buckets and any bucket that got late rows on each run) and then purged
+// per RETENTION_CONFIG. Queries over long windows read the rollups, see statsSourceQuery().
+
+const retentionState = { running: false, lastRun: null, lastDuration: null, lastResult: null, lastError: null };
+
+function parseRetentionDays(value, defaultDays) {
+    const days = parseInt(value);
+    return Number.isInteger(days) && days >= 0 ? days : defaultDays;
+}
+
+// Average of a per-row column over grouped hop statistics rows, weighted by each row's replies
+function weightedByReplies(column) {
+    return `SUM(${column} * GREATEST(total_attempts - total_losses, 1))
+                / NULLIF(SUM(GREATEST(total_attempts - total_losses, 1)) FILTER (WHERE ${column} IS NOT NULL), 0)`;
+}
+
+// Roll minute rows up into hours (or hourly rows into days): the buckets from shortly before the
+// last rollup up to the current, incomplete one, plus any older bucket with source rows written
+// since the previous run (late flushes, agents replaying their spool), tracked in rollup_watermarks.
+// Buckets are UTC hours/days. avg_latency and jitter are weighted by the number of replies,
+// latency histograms are summed.
+async function rollupHopStatistics(sourceTable, sourceColumn, targetTable, unit) {
+    const bucketOf = expression => db.sql.dateTrunc(`'${unit}'`, expression);
+    const rolledUpFrom = `(SELECT COALESCE(${db.sql.addInterval('MAX(bucket)', -1, unit)}, ${db.sql.minTimestamp}) FROM ${targetTable})`;
+    const [latest, watermark] = await Promise.all([
+        db.query(`SELECT MAX(updated_at) AS updated_at FROM ${sourceTable}`),
+        db.query('SELECT rolled_up_to FROM rollup_watermarks WHERE target_table = $1', [targetTable])
+    ]);
+    
+    const rollup = (where, params) => db.query(`
+        INSERT INTO ${targetTable}
+            (bucket, agent, target, hop_number, hop_ip, hop_hostname, total_attempts, total_losses,
+             avg_latency, min_latency, max_latency, latency_histogram, jitter, sample_count, updated_at)
+        SELECT
+            ${bucketOf(sourceColumn)} AS bucket,
+            agent,
+            target,
+            hop_number,
+            hop_ip,
+            MAX(hop_hostname),
+            SUM(total_attempts),
+            SUM(total_losses),
+            ${weightedByReplies('avg_latency')},
+            MIN(min_latency),
+            MAX(max_latency),
+            latency_histogram_sum(latency_histogram),
+            ${weightedByReplies('jitter')},
+            ${sourceTable === 'hop_statistics' ? 'COUNT(*)' : 'SUM(sample_count)'},
+            ${db.sql.defaultNow}
+        FROM ${sourceTable}
+        WHERE ${where}
+        GROUP BY 1, agent, target, hop_number, hop_ip
+        ON CONFLICT ${db.sql.rollupKey} DO UPDATE SET
+            hop_hostname = EXCLUDED.hop_hostname,
+            total_attempts = EXCLUDED.total_attempts,
+            total_losses = EXCLUDED.total_losses,
+            avg_latency = EXCLUDED.avg_latency,
+            min_latency = EXCLUDED.min_latency,
+            max_latency = EXCLUDED.max_latency,
+            latency_histogram = EXCLUDED.latency_histogram,
+            jitter = EXCLUDED.jitter,
+            sample_count = EXCLUDED.sample_count,
+            updated_at = EXCLUDED.updated_at
+    `, params);
+    
+    let rows = (await rollup(`${sourceColumn} >= ${rolledUpFrom} AND ${sourceColumn} < ${bucketOf('NOW()')}`)).rowCount;
+    
+    if (watermark.rows.length > 0) {
+        const since = new Date(new Date(watermark.rows[0].rolled_up_to).getTime() - RETENTION_CONFIG.LATE_OVERLAP);
+        const late = await db.query(`
+            SELECT DISTINCT ${bucketOf(sourceColumn)} AS bucket FROM ${sourceTable}
+            WHERE updated_at > $1 AND ${sourceColumn} < ${rolledUpFrom}
+        `, [since]);
+        for (const { bucket } of late.rows) {
+            const from = new Date(bucket);
+            const to = new Date(from.getTime() + INTERVAL_UNITS_MS[unit]);
+            rows += (await rollup(`${sourceColumn} >= $1 AND ${sourceColumn} < $2`, [from, to])).rowCount;
+        }
+    }
+    
+    // Rows written from here on are newer than the latest one seen (or than now if there is none yet)
+    await db.query(`
+        INSERT INTO rollup_watermarks (target_table, rolled_up_to) VALUES ($1, $2)
+        ON CONFLICT (target_table) DO UPDATE SET rolled_up_to = EXCLUDED.rolled_up_to
+    `, [targetTable, latest.rows[0].updated_at ? new Date(latest.rows[0].updated_at) : new Date()]);
+    return rows;
+}
+
+// Delete rows older than the given number of days, in batches (0 days = keep forever)
+async function purgeOlderThan(table, column, days) {
+    if (!days) return 0;
+    
+    let deleted = 0;
+    let batch;
+    do {
+        batch = await db.query(`
+            DELETE FROM ${table}
+            WHERE ${db.sql.rowId} IN (
+                SELECT ${db.sql.rowId} FROM ${table}
+                WHERE ${column} < ${db.sql.ago(days, 'days')}
+                LIMIT ${RETENTION_CONFIG.DELETE_BATCH}
+            )
+        `);
+        deleted += batch.rowCount;
+    } while (batch.rowCount === RETENTION_CONFIG.DELETE_BATCH);
+    
+    return deleted;
+}
+
+// Roll up, then purge everything past its retention period
+async function runRetention() {
+    if (retentionState.running) return retentionState.lastResult;
+    
+    retentionState.running = true;
+    const start = Date.now();
+    
+    try {
+        const result = {
+            hourly_rows: await rollupHopStatistics('hop_statistics', 'timestamp_minute', 'hop_statistics_hourly', 'hour'),
+            daily_rows: await rollupHopStatistics('hop_statistics_hourly', 'bucket', 'hop_statistics_daily', 'day'),
+            samples_deleted: await purgeOlderThan('trace_samples', 'timestamp', RETENTION_CONFIG.SAMPLE_DAYS),
+            minute_rows_deleted: await purgeOlderThan('hop_statistics', 'timestamp_minute', RETENTION_CONFIG.MINUTE_DAYS),
+            hourly_rows_deleted: await purgeOlderThan('hop_statistics_hourly', 'bucket', RETENTION_CONFIG.HOURLY_DAYS),
+            daily_rows_deleted: await purgeOlderThan('hop_statistics_daily', 'bucket', RETENTION_CONFIG.DAILY_DAYS),
+            events_deleted: await purgeOlderThan('network_events', 'timestamp', RETENTION_CONFIG.EVENT_DAYS),
+            incidents_deleted: 0
+        };
+        
+        // Open incidents are still being tracked, so only resolved ones are purged
+        if (RETENTION_CONFIG.EVENT_DAYS) {
+            const incidents = await db.query(
+                `DELETE FROM incidents WHERE status = 'resolved' AND ended_at < ${db.sql.ago(RETENTION_CONFIG.EVENT_DAYS, 'days')}`
+            );
+            result.incidents_deleted = incidents.rowCount;
+        }
+        
+        retentionState.lastResult = result;
+        retentionState.lastError = null;
+        
+        const deleted = result.samples_deleted + result.minute_rows_deleted + result.hourly_rows_deleted + result.daily_rows_deleted +
+            result.events_deleted + result.incidents_deleted;
+        console.log(`🧹 Retention: rolled up ${result.hourly_rows} hourly / ${result.daily_rows} daily rows, deleted ${deleted} old rows`);
+        
+        return result;
+    } catch (error) {
+        retentionState.lastError = error.message;
+        throw error;
+    } finally {
+        retentionState.running = false;
+        retentionState.lastRun = new Date().toISOString();
+        retentionState.lastDuration = Date.now() - start;
+    }
+}
+
+setInterval(() => {
+    if (!schemaState.ready) return;
+    runRetention().catch(error => {
+        console.error('Retention run failed:', error.message);
+    });
+}, RETENTION_CONFIG.INTERVAL);
+
+// Bucket size for a time window when the caller asks for 'auto'
+function autoStatsInterval(hours) {
+    if (hours <= 2) return 'minute';
+    if (hours <= 168) return 'hour';
+    return 'day';
+}
+
+// Per-hop statistics rows at the coarsest resolution that still fits the bucket size: rollup
+// rows plus finer rows newer than the last rollup bucket (the current hour/day isn't rolled up yet).
+// Yields the columns of hop_statistics with the time in "bucket".
+function statsSourceQuery(interval) {
+    const columns = 'agent, target, hop_number, hop_ip, hop_hostname, total_attempts, total_losses, avg_latency, min_latency, max_latency, latency_histogram, jitter';
+    const minuteRows = (since) => `
+        SELECT timestamp_minute AS bucket, ${columns} FROM hop_statistics
+        ${since ? `WHERE timestamp_minute >= (SELECT COALESCE(${db.sql.addInterval('MAX(bucket)', 1, 'hour')}, ${db.sql.minTimestamp}) FROM hop_statistics_hourly)` : ''}`;
+    const hourlyRows = (since) => `
+        SELECT bucket, ${columns} FROM hop_statistics_hourly
+        ${since ? `WHERE bucket >= (SELECT COALESCE(${db.sql.addInterval('MAX(bucket)', 1, 'day')}, ${db.sql.minTimestamp}) FROM hop_statistics_daily)` : ''}`;
+    
+    if (interval === 'minute') {
+        return minuteRows(false);
+    }
+    if (interval === 'hour') {
+        return `${hourlyRows(false)} UNION ALL ${minuteRows(true)}`;
+    }
+    return `SELECT bucket, ${columns} FROM hop_statistics_daily UNION ALL ${hourlyRows(true)} UNION ALL ${minuteRows(true)}`;
+}
+
+// ==================== LIVE VIEW HISTORY ====================
+// A target's hop table and per-hop timeline over any window: raw trace_samples (plus samples not
+// flushed yet) for short windows, statsSourceQuery() buckets beyond. Timeline points have the shape
+// of the dashboard's live samples, so a stored window renders like the live view.
+
+// Resolution for a window: 'auto' uses raw traces while the window is short and still retained
+function historyResolution(requested, from, to) {
+    if (requested !== 'auto') return requested;
+    
+    const hours = (to - from) / 3600000;
+    const samplesKept = !RETENTION_CONFIG.SAMPLE_DAYS || from >= Date.now() - RETENTION_CONFIG.SAMPLE_DAYS * 86400000;
+    if (hours <= HISTORY_CONFIG.TRACE_WINDOW_HOURS && samplesKept) return 'trace';
+    return autoStatsInterval(hours);
+}
+
+// Newest traces of a target in the window (oldest first) as { timestamp, hops }
+async function loadTraceHistory({ agent, target, from, to, limit }) {
+    const result = await db.query(
+        `SELECT timestamp, hops FROM trace_samples
+         WHERE agent = $1 AND target = $2 AND timestamp >= $3 AND timestamp <= $4
+         ORDER BY timestamp DESC
+         LIMIT $5`,
+        [agent, target, from, to, limit]
+    );
+    
+    const inWindow = sample => sample.agent === agent && sample.target === target &&
+        sample.timestamp >= from && sample.timestamp <= to;
+    const pending = [...traceSampleSpool, ...traceSampleBuffer].filter(inWindow);
+    
+    const traces = [
+        ...result.rows.map(row => ({ timestamp: row.timestamp, hops: jsonColumn(row.hops) })),
+        ...pending.map(sample => ({ timestamp: sample.timestamp, hops: sample.hops }))
+    ];
+    traces.sort((a, b) => b.timestamp - a.timestamp);
+    
+    return { traces: traces.slice(0, limit).reverse(), truncated: traces.length > limit };
+}
+
+// One timeline point per trace and hop, counted like the live view (a timeout without probe counts is 1 lost probe)
+function tracePoints(traces, hopNumber) {
+    const points = new Map(); // hop_number -> points
+    
+    traces.forEach(trace => {
+        trace.hops.forEach(hop => {
+            if (hopNumber !== null && hop.hop !== hopNumber) return;
+            if (!points.has(hop.hop)) points.set(hop.hop, []);
+            
+            points.get(hop.hop).push({
+                timestamp: new Date(trace.timestamp).toISOString(),
+                ip: hop.ip && hop.ip !== '*' ? hop.ip : null,
+                hostname: hop.hostname || null,
+                latency: hop.timeout ? null : hop.latency,
+                min: hop.min ?? hop.latency,
+                max: hop.max ?? hop.latency,
+                jitter: hop.jitter ?? null,
+                sent: hop.sent || 1,
+                lost: hop.sent ? hop.lost : (hop.timeout ? 1 : 0),
+                timeout: hop.timeout,
+                multipath: Boolean(hop.multipath),
+                responders: hop.responders || (hop.ip && hop.ip !== '*' ? [{ ip: hop.ip, hostname: hop.hostname }] : [])
+            });
+        });
+    });
+    
+    return points;
+}
+
+// One timeline point per bucket and hop from hop_statistics (rollups for hour/day); responders
+// of a hop are combined with their latency and jitter weighted by the number of replies
+async function loadBucketPoints({ agent, target, from, to, resolution, hopNumber }) {
+    const params = [resolution, agent, target, from, to];
+    let hopFilter = '';
+    if (hopNumber !== null) {
+        params.push(hopNumber);
+        hopFilter = 'AND hop_number = $6';
+    }
+    
+    const result = await db.query(`
+        SELECT
+            ${db.sql.dateTrunc('$1', 'bucket')} AS time_bucket,
+            hop_number,
+            hop_ip,
+            MAX(hop_hostname) AS hop_hostname,
+            ${weightedByReplies('avg_latency')} AS avg_latency,
+            ${weightedByReplies('jitter')} AS jitter,
+            MIN(min_latency) AS min_latency,
+            MAX(max_latency) AS max_latency,
+            SUM(total_attempts) AS total_attempts,
+            SUM(total_losses) AS total_losses
+        FROM (${statsSourceQuery(resolution)}) stats
+        WHERE agent = $2 AND target = $3 AND bucket >= $4 AND bucket <= $5 ${hopFilter}
+        GROUP BY time_bucket, hop_number, hop_ip
+        ORDER BY time_bucket ASC, hop_number ASC
+    `, params);
+    
+    const points = new Map(); // hop_number -> points
+    const buckets = new Map(); // 'hop:bucket' -> point
+    
+    result.rows.forEach(row => {
+        const timestamp = new Date(row.time_bucket).toISOString();
+        const key = `${row.hop_number}:${timestamp}`;
+        const sent = parseInt(row.total_attempts);
+        const lost = parseInt(row.total_losses);
+        const latency = row.avg_latency === null ? null : parseFloat(row.avg_latency);
+        
+        if (!buckets.has(key)) {
+            const point = {
+                timestamp, ip: null, hostname: null, latency: null, min: null, max: null, jitter: null,
+                sent: 0, lost: 0, timeout: false, multipath: false, responders: [], replies: 0, jitterReplies: 0
+            };
+            buckets.set(key, point);
+            if (!points.has(row.hop_number)) points.set(row.hop_number, []);
+            points.get(row.hop_number).push(point);
+        }
+        
+        const point = buckets.get(key);
+        point.sent += sent;
+        point.lost += lost;
+        
+        if (row.hop_ip) {
+            point.responders.push({ ip: String(row.hop_ip), hostname: row.hop_hostname });
+            // The busiest responder names the hop
+            if (!point.ip || sent > point.primarySent) {
+                point.ip = String(row.hop_ip);
+                point.hostname = row.hop_hostname;
+                point.primarySent = sent;
+            }
+        }
+        
+        if (latency !== null) {
+            const replies = Math.max(sent - lost, 1);
+            point.latency = (point.latency * point.replies + latency * replies) / (point.replies + replies);
+            point.replies += replies;
+            point.min = point.min === null ? parseFloat(row.min_latency) : Math.min(point.min, parseFloat(row.min_latency));
+            point.max = point.max === null ? parseFloat(row.max_latency) : Math.max(point.max, parseFloat(row.max_latency));
+        }
+        
+        if (row.jitter !== null) {
+            const replies = Math.max(sent - lost, 1);
+            point.jitter = (point.jitter * point.jitterReplies + parseFloat(row.jitter) * replies) / (point.jitterReplies + replies);
+            point.jitterReplies += replies;
+        }
+    });
+    
+    buckets.forEach(point => {
+        point.timeout = point.latency === null;
+        delete point.replies;
+        delete point.jitterReplies;
+        delete point.primarySent;
+    });
+    
+    return points;
+}
+
+// Hop table over the window's timeline points: latency weighted by replies, loss over every probe
+function summarizeHistoryHops(points) {
+    return Array.from(points.entries())
+        .sort(([a], [b]) => a - b)
+        .map(([hopNumber, hopPoints]) => {
+            const answered = hopPoints.filter(p => p.latency !== null);
+            const replies = answered.map(p => Math.max(p.sent - p.lost, 1));
+            const totalReplies = replies.reduce((sum, r) => sum + r, 0);
+            const sent = hopPoints.reduce((sum, p) => sum + p.sent, 0);
+            const lost = hopPoints.reduce((sum, p) => sum + p.lost, 0);
+            const jitters = hopPoints.filter(p => p.jitter !== null).map(p => p.jitter);
+            const named = [...hopPoints].reverse().find(p => p.ip) || {};
+            
+            const responders = new Map();
+            hopPoints.forEach(p => p.responders.forEach(r => responders.set(r.ip, r.hostname)));
+            
+            return {
+                hop: hopNumber,
+                ip: named.ip || null,
+                hostname: named.hostname || null,
+                responders: Array.from(responders, ([ip, hostname]) => ({ ip, hostname })),
+                multipath: hopPoints.some(p => p.multipath),
+                samples: hopPoints.length,
+                avg: totalReplies > 0 ? answered.reduce((sum, p, i) => sum + p.latency * replies[i], 0) / totalReplies : null,
+                min: answered.length > 0 ? Math.min(...answered.map(p => p.min)) : null,
+                max: answered.length > 0 ? Math.max(...answered.map(p => p.max)) : null,
+                cur: hopPoints[hopPoints.length - 1].latency,
+                jitter: jitters.length > 0 ? jitters.reduce((sum, j) => sum + j, 0) / jitters.length : null,
+                sent,
+                lost,
+                packet_loss_pct: sent > 0 ? lost * 100 / sent : 0
+            };
+        });
+}
+
+// ==================== PROBE QUEUE ====================
+// Probes wait here until one of PROBE_QUEUE_CONFIG.MAX_CONCURRENT slots is free. A job is keyed
+// (scheduled runs by target id, API runs by type/target/port) and a second request for a key that
+// is still queued or running gets the existing job's promise instead of starting another process.
+
+function enqueueProbe(key, run) {
+    const existing = probeQueue.jobs.get(key);
+    if (existing) {
+        probeQueue.coalesced++;
+        return existing.promise;
+    }
+    
+    const job = { key, run, enqueuedAt: Date.now(), startedAt: null };
+    job.promise = new Promise((resolve, reject) => {
+        job.resolve = resolve;
+        job.reject = reject;
+    });
+    
+    probeQueue.jobs.set(key, job);
+    probeQueue.pending.push(job);
+    probeQueue.enqueued++;
+    drainProbeQueue();
+    
+    return job.promise;
+}
+
+// Start pending jobs while slots are free
+function drainProbeQueue() {
+    while (probeQueue.running < PROBE_QUEUE_CONFIG.MAX_CONCURRENT && probeQueue.pending.length > 0) {
+        runProbeJob(probeQueue.pending.shift());
+    }
+}
+
+async function runProbeJob(job) {
+    job.startedAt = Date.now();
+    const wait = job.startedAt - job.enqueuedAt;
+    probeQueue.running++;
+    probeQueue.lastWait = wait;
+    probeQueue.maxWait = Math.max(probeQueue.maxWait, wait);
+    probeQueue.totalWait += wait;
+    
+    try {
+        job.resolve(await job.run());
+        probeQueue.completed++;
+    } catch (error) {
+        job.reject(error);
+        probeQueue.failed++;
+    } finally {
+        probeQueue.running--;
+        probeQueue.totalRunTime += Date.now() - job.startedAt;
+        probeQueue.jobs.delete(job.key);
+        drainProbeQueue();
+    }
+}
+
+// Drop pending jobs whose key starts with the prefix (their promises resolve to null)
+function clearPendingProbes(prefix) {
+    probeQueue.pending = probeQueue.pending.filter(job => {
+        if (!job.key.startsWith(prefix)) return true;
+        
+        probeQueue.jobs.delete(job.key);
+        job.resolve(null);
+        return false;
+    });
+}
+
+function getProbeQueueStatus() {
+    const now = Date.now();
+    const started = probeQueue.completed + probeQueue.failed + probeQueue.running;
+    const finished = probeQueue.completed + probeQueue.failed;
+    
+    return {
+        max_concurrent: PROBE_QUEUE_CONFIG.MAX_CONCURRENT,
+        running: probeQueue.running,
+        pending: probeQueue.pending.length,
+        enqueued: probeQueue.enqueued,
+        completed: probeQueue.completed,
+        failed: probeQueue.failed,
+        coalesced: probeQueue.coalesced,
+        last_wait_ms: probeQueue.lastWait,
+        avg_wait_ms: started > 0 ? Math.round(probeQueue.totalWait / started) : null,
+        max_wait_ms: probeQueue.maxWait,
+        avg_run_ms: finished > 0 ? Math.round(probeQueue.totalRunTime / finished) : null,
+        oldest_pending_ms: probeQueue.pending.length > 0 ? now - probeQueue.pending[0].enqueuedAt : null,
+        jobs: Array.from(probeQueue.jobs.values()).map(job => ({
+            key: job.key,
+            state: job.startedAt ? 'running' : 'pending',
+            waiting_ms: (job.startedAt || now) - job.enqueuedAt,
+            running_ms: job.startedAt ? now - job.startedAt : null
+        }))
+    };
+}
+
+// ==================== MONITORING SCHEDULER ====================
+
+// Load scheduler settings and monitored targets from the database (agents ask the central instance)
+async function loadMonitorConfig() {
+    if (AGENT_MODE) {
+        return fetchAgentConfig();
+    }
+    
+    const configResult = await db.query(
+        `SELECT key, value FROM app_config WHERE key IN ('trace_interval', 'monitoring_enabled')`
+    );
+    const config = {};
+    configResult.rows.forEach(row => {
+        config[row.key] = row.value;
+    });
+    
+    const targetsResult = await db.query(
+        `SELECT ${TARGET_COLUMNS} FROM monitored_targets ORDER BY sort_order, id`
+    );
+    
+    const interval = parseInt(config.trace_interval);
+    
+    return {
+        interval: interval >= MIN_TRACE_INTERVAL ? interval : DEFAULT_TRACE_INTERVAL,
+        enabled: config.monitoring_enabled === 'true',
+        targets: targetsResult.rows
+    };
+}
+
+// Persist scheduler state so it survives restarts
+async function saveMonitorConfig() {
+    await db.query(
+        `INSERT INTO app_config (key, value) VALUES
+            ('trace_interval', $1),
+            ('monitoring_enabled', $2)
+         ON CONFLICT (key) DO UPDATE SET
+            value = EXCLUDED.value,
+            updated_at = NOW()`,
+        [monitorState.interval.toString(), monitorState.running.toString()]
+    );
+}
+
+// Ticks run at the shortest interval of the global setting and any per-target override
+function schedulerTickPeriod(interval, targets) {
+    return Math.min(interval, ...targets.map(t => t.trace_interval).filter(Boolean));
+}
+
+// A target is due once its own interval (or the global one, plus jitter) has elapsed
+function isTargetDue(target, now) {
+    const nextRun = nextProbeAt.get(target.id);
+    
+    // Half a tick of slack so timer drift doesn't push a target to the next tick
+    return nextRun === undefined || now >= nextRun - monitorState.tickPeriod / 2;
+}
+
+// Interval moved by a random ±INTERVAL_JITTER share, so targets with the same interval drift apart
+function jitteredInterval(interval) {
+    return Math.round(interval * (1 + (Math.random() * 2 - 1) * PROBE_QUEUE_CONFIG.INTERVAL_JITTER));
+}
+
+// (Re)arm the tick timer, e.g. after a per-target interval changed the tick period
+function scheduleMonitorTicks() {
+    if (monitorState.timer) {
+        clearInterval(monitorState.timer);
+    }
+    
+    monitorState.tickPeriod = schedulerTickPeriod(monitorState.interval, monitorState.targets);
+    monitorState.timer = setInterval(runMonitorTick, monitorState.tickPeriod);
+}
+
+// Queue one probe per monitored target that is due (targets still queued or running are skipped)
+async function runMonitorTick() {
+    // Skip this tick if the previous one is still running
+    if (monitorState.tickInProgress) {
+        monitorState.ticksSkipped++;
+        return;
+    }
+    
+    monitorState.tickInProgress = true;
+    const tickStart = Date.now();
+    monitorState.lastTickStarted = new Date(tickStart).toISOString();
+    
+    try {
+        // Refresh targets so additions and removals apply on the next tick
+        try {
+            const config = await loadMonitorConfig();
+            monitorState.targets = config.targets;
+            
+            if (monitorState.running &&
+                schedulerTickPeriod(monitorState.interval, monitorState.targets) !== monitorState.tickPeriod) {
+                scheduleMonitorTicks();
+            }
+        } catch (error) {
+            console.error('Failed to refresh monitored targets:', error.message);
+        }
+        
+        const now = Date.now();
+        const dueTargets = monitorState.targets.filter(target => isTargetDue(target, now));
+        
+        dueTargets.forEach(target => {
+            // Don't start a second run while the last one is still queued or running
+            if (probeQueue.jobs.has(`target:${target.id}`)) {
+                probeQueue.coalesced++;
+                return;
+            }
+            
+            lastProbeAt.set(target.id, now);
+            nextProbeAt.set(target.id, now + jitteredInterval(target.trace_interval || monitorState.interval));
+            enqueueProbe(`target:${target.id}`, () => runScheduledProbe(target));
+        });
+    } finally {
+        monitorState.tickInProgress = false;
+        monitorState.lastTickCompleted = new Date().toISOString();
+        monitorState.lastTickDuration = Date.now() - tickStart;
+        monitorState.ticksCompleted++;
+    }
+}
+
+// Scheduled probe; failures become an error result instead of a rejected promise
+async function runScheduledProbe(target) {
+    try {
+        return await runProbe(target.url, target);
+    } catch (error) {
+        const probeType = resolveTargetSettings(target).probe_type;
+        console.error(`Scheduled ${probeType} probe failed for ${target.url}:`, error.message);
+        const result = {
+            target: target.url,
+            agent: AGENT_MODE ? AGENT_CONFIG.NAME : LOCAL_AGENT,
+            timestamp: new Date().toISOString(),
+            probe_type: probeType,
+            hops: [],
+            error: error.message
+        };
+        if (AGENT_MODE) {
+            queueAgentResult(result);
+        }
+        recordTraceResult(result);
+        return null;
+    }
+}
+
+// Start (or restart) the scheduler with the given interval
+function startMonitor(interval = monitorState.interval) {
+    monitorState.interval = interval;
+    monitorState.running = true;
+    monitorState.startedAt = new Date().toISOString();
+    lastProbeAt.clear();
+    nextProbeAt.clear();
+    scheduleMonitorTicks();
+    
+    console.log(`▶️  Monitoring started (interval: ${interval}ms)`);
+    broadcastEvent('status', getMonitorStatus());
+    runMonitorTick();
+}
+
+// Stop the scheduler
+function stopMonitor() {
+    if (monitorState.timer) {
+        clearInterval(monitorState.timer);
+        monitorState.timer = null;
+    }
+    
+    monitorState.running = false;
+    monitorState.startedAt = null;
+    clearPendingProbes('target:');
+    console.log('⏹️  Monitoring stopped');
+    broadcastEvent('status', getMonitorStatus());
+}
+
+// Reload settings from app_config and start/stop/reschedule accordingly
+async function applyMonitorConfig() {
+    const config = await loadMonitorConfig();
+    monitorState.targets = config.targets;
+    
+    if (config.enabled) {
+        if (!monitorState.running || config.interval !== monitorState.interval) {
+            startMonitor(config.interval);
+        } else if (schedulerTickPeriod(config.interval, config.targets) !== monitorState.tickPeriod) {
+            scheduleMonitorTicks();
+        }
+    } else if (monitorState.running) {
+        stopMonitor();
+    }
+}
+
+// Current scheduler state for the status endpoint
+function getMonitorStatus() {
+    return {
+        running: monitorState.running,
+        interval: monitorState.interval,
+        tick_period: monitorState.tickPeriod,
+        started_at: monitorState.startedAt,
+        tick_in_progress: monitorState.tickInProgress,
+        last_tick_started: monitorState.lastTickStarted,
+        last_tick_completed: monitorState.lastTickCompleted,
+        last_tick_duration_ms: monitorState.lastTickDuration,
+        ticks_completed: monitorState.ticksCompleted,
+        ticks_skipped: monitorState.ticksSkipped,
+        targets: monitorState.targets.map(t => ({
+            url: t.url,
+            probe_type: t.probe_type,
+            interval: t.trace_interval || monitorState.interval,
+            last_probe: lastProbeAt.has(t.id) ? new Date(lastProbeAt.get(t.id)).toISOString() : null,
+            next_probe: nextProbeAt.has(t.id) ? new Date(nextProbeAt.get(t.id)).toISOString() : null,
+            queue_state: probeQueue.jobs.has(`target:${t.id}`)
+                ? (probeQueue.jobs.get(`target:${t.id}`).startedAt ? 'running' : 'pending')
+                : 'idle'
+        })),
+        queue: getProbeQueueStatus()
+    };
+}
+
+// Get scheduler status
+app.get('/api/monitor/status', (req, res) => {
+    res.json(getMonitorStatus());
+});
+
+// Start the scheduler (optionally with a new interval in ms)
+app.post('/api/monitor/start', requireRole('operator'), async (req, res) => {
+    const { interval } = req.body || {};
+    
+    if (interval !== undefined && (!Number.isInteger(interval) || interval < MIN_TRACE_INTERVAL)) {
+        return res.status(400).json({ error: `interval must be an integer >= ${MIN_TRACE_INTERVAL}` });
+    }
+    
+    startMonitor(interval || monitorState.interval);
+    
+    try {
+        await saveMonitorConfig();
+    } catch (error) {
+        console.error('Failed to persist monitoring state:', error.message);
+    }
+    await logAudit(req, 'monitor.start', null, { interval: monitorState.interval });
+    
+    res.json(getMonitorStatus());
+});
+
+// Stop the scheduler
+app.post('/api/monitor/stop', requireRole('operator'), async (req, res) => {
+    stopMonitor();
+    
+    try {
+        await saveMonitorConfig();
+    } catch (error) {
+        console.error('Failed to persist monitoring state:', error.message);
+    }
+    await logAudit(req, 'monitor.stop');
+    
+    res.json(getMonitorStatus());
+});
+
+// Get the latest trace result for every target and agent (?agent= for one vantage point)
+app.get('/api/monitor/results', (req, res) => {
+    const results = Array.from(latestResults.values())
+        .filter(result => !req.query.agent || result.agent === req.query.agent);
+    res.json({ results, count: results.length });
+});
+
+// Live stream of completed traces and scheduler status (Server-Sent Events)
+app.get('/api/monitor/stream', (req, res) => {
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.write('retry: 5000\n\n');
+    
+    // Send current state so a new client does not wait for the next tick
+    res.write(`event: status\ndata: ${JSON.stringify(getMonitorStatus())}\n\n`);
+    latestResults.forEach(result => {
+        res.write(`event: trace\ndata: ${JSON.stringify(result)}\n\n`);
+    });
+    
+    streamClients.add(res);
+    
+    req.on('close', () => {
+        streamClients.delete(res);
+    });
+});
+
+// Keep idle stream connections open through proxies
+setInterval(() => {
+    streamClients.forEach(client => client.write(': keep-alive\n\n'));
+}, 25000);
+
+// ==================== PROBE AGENTS ====================
+// An agent is this backend started with AGENT_CENTRAL_URL: it runs the scheduler against the
+// central instance's targets and interval (GET /api/agent/config) and uploads every result to
+// POST /api/agent/results, where it goes through the same statistics, anomaly detection, incidents
+// and route tracking as local traces, tagged with the agent's name. Results are queued (bounded by
+// AGENT_CONFIG.SPOOL_MAX_RESULTS) while the central instance is unreachable.
+
+// Agent side: results waiting for upload and the last config received from the central instance
+const agentState = {
+    queue: [],
+    config: null,
+    configFetchedAt: 0
+};
+
+// Request to the central instance with the agent token; resolves with the parsed JSON body
+function agentRequest(method, route, body = null) {
+    return new Promise((resolve, reject) => {
+        const url = new URL(`${AGENT_CONFIG.CENTRAL_URL}${route}`);
+        const client = url.protocol === 'http:' ? http : https;
+        const data = body ? JSON.stringify(body) : null;
+        const headers = { 'Accept': 'application/json' };
+        if (AGENT_CONFIG.TOKEN) {
+            headers['Authorization'] = `Bearer ${AGENT_CONFIG.TOKEN}`;
+        }
+        if (data) {
+            headers['Content-Type'] = 'application/json';
+            headers['Content-Length'] = Buffer.byteLength(data);
+        }
+        
+        const req = client.request(url, { method, timeout: AGENT_CONFIG.HTTP_TIMEOUT, headers }, (res) => {
+            let text = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => { text += chunk; });
+            res.on('end', () => {
+                let parsed = null;
+                try {
+                    parsed = text ? JSON.parse(text) : null;
+                } catch (error) {
+                    // Not JSON (e.g. a proxy error page); the status code says enough
+                }
+                
+                if (res.statusCode >= 200 && res.statusCode < 300) {
+                    resolve(parsed);
+                } else {
+                    const error = new Error(`HTTP ${res.statusCode}${parsed && parsed.error ? `: ${parsed.error}` : ''}`);
+                    error.status = res.statusCode;
+                    error.body = parsed;
+                    reject(error);
+                }
+            });
+        });
+        
+        req.on('timeout', () => req.destroy(new Error('Request timed out')));
+        req.on('error', reject);
+        req.end(data);
+    });
+}
+
+// Scheduler config of an agent (see loadMonitorConfig), cached for CONFIG_REFRESH.
+// The last known config stays in use while the central instance is unreachable.
+async function fetchAgentConfig() {
+    if (agentState.config && Date.now() - agentState.configFetchedAt < AGENT_CONFIG.CONFIG_REFRESH) {
+        return agentState.config;
+    }
+    
+    try {
+        const config = await agentRequest('GET',
+            `/api/agent/config?agent=${encodeURIComponent(AGENT_CONFIG.NAME)}&platform=${process.platform}`);
+        agentState.config = { interval: config.interval, enabled: config.enabled, targets: config.targets };
+    } catch (error) {
+        if (!agentState.config) throw error;
+        console.error('Failed to refresh targets from the central instance, keeping the last list:', error.message);
+    }
+    agentState.configFetchedAt = Date.now();
+    return agentState.config;
+}
+
+// Queue a result for upload, dropping the oldest past SPOOL_MAX_RESULTS
+function queueAgentResult(result) {
+    agentState.queue.push(result);
+    
+    if (agentState.queue.length > AGENT_CONFIG.SPOOL_MAX_RESULTS) {
+        agentState.queue.shift();
+        console.warn(`⚠️  Agent result queue full (${AGENT_CONFIG.SPOOL_MAX_RESULTS}), dropped the oldest result`);
+    }
+}
+
+// Upload queued results oldest first, PUSH_BATCH per request; stops at the first failure.
+// Results the central instance rejects as invalid would fail again and are dropped (the rest of
+// their batch is sent again); a batch that is too large (413) is retried in halves, down to
+// single results.
+// Concurrent calls share the running upload.
+let agentPush = null;
+function pushAgentResults() {
+    if (!agentPush) {
+        agentPush = sendQueuedResults().finally(() => {
+            agentPush = null;
+        });
+    }
+    return agentPush;
+}
+
+async function sendQueuedResults() {
+    let batchSize = AGENT_CONFIG.PUSH_BATCH;
+    
+    while (agentState.queue.length > 0) {
+        const batch = agentState.queue.slice(0, batchSize);
+        let response = null;
+        
+        try {
+            response = await agentRequest('POST', '/api/agent/results', {
+                agent: AGENT_CONFIG.NAME,
+                platform: process.platform,
+                results: batch
+            });
+        } catch (error) {
+            if (error.status === 413 && batch.length > 1) {
+                batchSize = Math.ceil(batch.length / 2);
+                console.warn(`⚠️  Central instance rejected ${batch.length} results as too large, retrying ${batchSize} per request`);
+                continue;
+            }
+            const invalid = error.status === 400 && error.body && Array.isArray(error.body.rejected)
+                ? error.body.rejected.filter(({ index }) => batch[index] !== undefined)
+                : [];
+            if (invalid.length > 0 && invalid.length < batch.length) {
+                invalid.forEach(({ index, error: reason }) => {
+                    console.warn(`⚠️  Central instance rejected the result for ${batch[index].target}, dropped: ${reason}`);
+                });
+                const dropped = new Set(invalid.map(({ index }) => batch[index]));
+                agentState.queue = agentState.queue.filter(result => !dropped.has(result));
+                continue;
+            }
+            if (error.status !== 400 && error.status !== 413) {
+                console.error(`Failed to push results to ${AGENT_CONFIG.CENTRAL_URL} (${agentState.queue.length} queued):`, error.message);
+                break;
+            }
+            console.error(`Central instance rejected ${batch.length} results, dropped:`, error.message);
+        }
+        
+        // The queue may have dropped some of the batch meanwhile, so remove by identity
+        const sent = new Set(batch);
+        agentState.queue = agentState.queue.filter(result => !sent.has(result));
+        
+        if (response) {
+            response.rejected.forEach(({ index, error }) => {
+                console.warn(`⚠️  Central instance rejected the result for ${batch[index].target}: ${error}`);
+            });
+        }
+    }
+}
+
+// Agent mode entry point: follow the central instance's config and keep uploading results
+function startAgent() {
+    const refreshConfig = () => {
+        // Force a fresh copy; scheduler ticks in between use the cached one
+        agentState.configFetchedAt = 0;
+        applyMonitorConfig().catch(error => {
+            console.error(`Failed to load targets from ${AGENT_CONFIG.CENTRAL_URL}:`, error.message);
+        });
+    };
+    
+    refreshConfig();
+    setInterval(refreshConfig, AGENT_CONFIG.CONFIG_REFRESH);
+    setInterval(() => {
+        pushAgentResults().catch(error => {
+            console.error('Failed to push results:', error.message);
+        });
+    }, AGENT_CONFIG.PUSH_INTERVAL);
+}
+
+// Central side: agent names are letters, digits, '.', '-' and '_'; LOCAL_AGENT is reserved
+function validateAgentName(name) {
+    if (!name || typeof name !== 'string') return 'agent name is required';
+    if (!/^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/.test(name)) {
+        return 'agent name may only contain letters, digits, ".", "-" and "_" (max 100 characters)';
+    }
+    if (name === LOCAL_AGENT) return `"${LOCAL_AGENT}" is reserved for traces probed by this instance`;
+    return null;
+}
+
+// Validate one pushed result; returns an error message or null
+function validateAgentResult(result, targetsByUrl) {
+    if (!result || typeof result !== 'object') return 'result must be an object';
+    if (!targetsByUrl.has(result.target)) return `${result.target} is not a monitored target`;
+    if (typeof result.timestamp !== 'string' || Number.isNaN(Date.parse(result.timestamp))) {
+        return 'timestamp must be an ISO 8601 date';
+    }
+    const invalidHops = validateAgentHops(result.hops);
+    if (invalidHops) return invalidHops;
+    if (result.probe_type !== undefined && !PROBE_ENGINES[result.probe_type]) {
+        return `probe_type must be one of: ${Object.keys(PROBE_ENGINES).join(', ')}`;
+    }
+    return null;
+}
+
+// Middleware: the agent a request speaks for (req.agent). Agent tokens are bound to their agent;
+// operators (or anyone with auth disabled) may name any agent in the body or query string.
+function requireAgent(req, res, next) {
+    if (req.user && req.user.agent) {
+        req.agent = req.user.agent;
+        return next();
+    }
+    if (!req.user || (ROLE_LEVELS[req.user.role] || 0) < ROLE_LEVELS.operator) {
+        return res.status(403).json({ error: 'Insufficient permissions', required_role: 'operator' });
+    }
+    
+    const name = (req.body && req.body.agent) || req.query.agent;
+    const invalid = validateAgentName(name);
+    if (invalid) {
+        return res.status(400).json({ error: invalid });
+    }
+    req.agent = name;
+    next();
+}
+
+// Record when and from where an agent last reported; agents pushing with a user or API token
+// are registered on first contact
+async function noteAgentSeen(name, req, platform) {
+    await db.query(
+        `INSERT INTO probe_agents (name, last_seen, last_address, platform)
+         VALUES ($1, NOW(), $2, $3)
+         ON CONFLICT (name) DO UPDATE SET
+            last_seen = EXCLUDED.last_seen,
+            last_address = EXCLUDED.last_address,
+            platform = COALESCE(EXCLUDED.platform, probe_agents.platform)`,
+        [name, req.ip, typeof platform === 'string' ? platform.slice(0, 20) : null]
+    );
+}
+
+// Targets and interval for an agent's scheduler
+app.get('/api/agent/config', requireAgent, async (req, res) => {
+    try {
+        const config = await loadMonitorConfig();
+        await noteAgentSeen(req.agent, req, req.query.platform);
+        res.json({ agent: req.agent, ...config });
+    } catch (error) {
+        console.error('Get agent config error:', error);
+        res.status(500).json({ error: 'Failed to get agent config', message: error.message });
+    }
+});
+
+// Results pushed by an agent, oldest first; invalid entries are skipped and reported back
+app.post('/api/agent/results', requireAgent, async (req, res) => {
+    try {
+        const { results, platform } = req.body || {};
+        
+        if (!Array.isArray(results)) {
+            return res.status(400).json({ error: 'results must be a list' });
+        }
+        if (results.length > AGENT_CONFIG.INGEST_MAX_RESULTS) {
+            return res.status(413).json({ error: `At most ${AGENT_CONFIG.INGEST_MAX_RESULTS} results per request` });
+        }
+        // Nothing could be stored; the agent keeps the results and retries
+        if (!schemaState.ready) {
+            return res.status(503).json({ error: 'Database is not ready' });
+        }
+        
+        await noteAgentSeen(req.agent, req, platform);
+        
+        const targetsResult = await db.query(`SELECT ${TARGET_COLUMNS} FROM monitored_targets`);
+        const targetsByUrl = new Map(targetsResult.rows.map(target => [target.url, target]));
+        
+        // Invalid results fail the request before anything is stored; the agent drops
+        // those and sends the rest again
+        const rejected = results
+            .map((result, index) => ({ index, error: validateAgentResult(result, targetsByUrl) }))
+            .filter(({ error }) => error);
+        if (rejected.length > 0) {
+            return res.status(400).json({ error: `${rejected.length} invalid results`, rejected });
+        }
+        
+        for (const [index, result] of results.entries()) {
+            const target = targetsByUrl.get(result.target);
+            const trace = {
+                target: result.target,
+                agent: req.agent,
+                timestamp: new Date(result.timestamp).toISOString(),
+                hops: result.hops,
+                platform: typeof platform === 'string' ? platform : undefined,
+                probe_type: result.probe_type || target.probe_type
+            };
+            
+            // One result that fails to process must not fail (and on retry re-record) the rest of the batch
+            try {
+                if (result.error) {
+                    recordTraceResult({ ...trace, hops: [], error: String(result.error) });
+                } else {
+                    await processTraceResult(trace, target);
+                }
+            } catch (error) {
+                console.error(`Ingest agent result error (${req.agent}, ${result.target}):`, error);
+                rejected.push({ index, error: `Failed to process result: ${error.message}` });
+            }
+        }
+        
+        res.json({ accepted: results.length - rejected.length, rejected });
+        
+    } catch (error) {
+        console.error('Ingest agent results error:', error);
+        res.status(500).json({ error: 'Failed to ingest results', message: error.message });
+    }
+});
+
+// List probe agents (without token hashes); 'online' = reported within two config refreshes
+app.get('/api/agents', async (req, res) => {
+    try {
+        const result = await db.query(
+            `SELECT id, name, description, token_hash, created_by, created_at, last_seen, last_address, platform, revoked
+             FROM probe_agents ORDER BY name`
+        );
+        
+        const agents = result.rows.map(({ token_hash, ...agent }) => ({
+            ...agent,
+            has_token: token_hash !== null,
+            online: agent.last_seen !== null && Date.now() - new Date(agent.last_seen) < AGENT_CONFIG.CONFIG_REFRESH * 2
+        }));
+        res.json({ agents, local_agent: LOCAL_AGENT });
+        
+    } catch (error) {
+        console.error('Get agents error:', error);
+        res.status(500).json({ error: 'Failed to get agents', message: error.message });
+    }
+});
+
+// Register an agent; its token is only returned in this response
+app.post('/api/agents', requireRole('admin'), async (req, res) => {
+    try {
+        const { name, description = null } = req.body || {};
+        
+        const invalid = validateAgentName(name);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        
+        const token = `ppa_${crypto.randomBytes(32).toString('hex')}`;
+        const result = await db.query(
+            `INSERT INTO probe_agents (name, description, token_hash, created_by)
+             VALUES ($1, $2, $3, $4)
+             RETURNING id, name, description, created_by, created_at`,
+            [name, description, hashToken(token), req.user.username]
+        );
+        
+        await logAudit(req, 'agent.create', name);
+        res.status(201).json({ success: true, token, agent: result.rows[0] });
+        
+    } catch (error) {
+        if (isUniqueViolation(error)) {
+            return res.status(409).json({ error: 'Agent already exists' });
+        }
+        console.error('Create agent error:', error);
+        res.status(500).json({ error: 'Failed to create agent', message: error.message });
+    }
+});
+
+// Issue a new token for an agent (e.g. one registered by an operator push), replacing the old one
+app.post('/api/agents/:id/token', requireRole('admin'), async (req, res) => {
+    try {
+        const token = `ppa_${crypto.randomBytes(32).toString('hex')}`;
+        const result = await db.query(
+            'UPDATE probe_agents SET token_hash = $1, revoked = FALSE WHERE id = $2 RETURNING id, name',
+            [hashToken(token), parseInt(req.params.id)]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Agent not found' });
+        }
+        authCache.clear();
+        
+        await logAudit(req, 'agent.token', result.rows[0].name);
+        res.json({ success: true, token, agent: result.rows[0] });
+        
+    } catch (error) {
+        console.error('Issue agent token error:', error);
+        res.status(500).json({ error: 'Failed to issue agent token', message: error.message });
+    }
+});
+
+// Revoke an agent's token (its data is kept)
+app.delete('/api/agents/:id', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await db.query(
+            'UPDATE probe_agents SET revoked = TRUE WHERE id = $1 RETURNING name',
+            [parseInt(req.params.id)]
+        );
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Agent not found' });
+        }
+        authCache.clear();
+        
+        await logAudit(req, 'agent.revoke', result.rows[0].name);
+        res.json({ success: true });
+        
+    } catch (error) {
+        console.error('Revoke agent error:', error);
+        res.status(500).json({ error: 'Failed to revoke agent', message: error.message });
+    }
+});
+
+// Sort keys of the anomaly list; nullable columns sort as -1 so a keyset cursor can compare them
+const ANOMALY_SORT_COLUMNS = {
+    timestamp: 'ne.timestamp',
+    target: 'ne.target',
+    issue_type: 'ne.issue_type',
+    problematic_hop: 'COALESCE(ne.problematic_hop, -1)',
+    avg_latency: 'COALESCE(ne.avg_latency, -1)',
+    problem_hop_latency: 'COALESCE(eh.latency_ms, -1)'
+};
+const ANOMALY_PAGE_LIMIT = 1000;
+
+// Latency distribution of the anomaly summary (problem hop latency, ms); the last bucket is open-ended
+const ANOMALY_LATENCY_BUCKETS = [0, 100, 200, 300, 500, 1000, 2000];
+
+// WHERE clause shared by the anomaly list, summary and export: the last `hours` (default 24) or an
+// absolute from/to window, plus the Database Analysis filters
+function anomalyFilters(query) {
+    const conditions = [];
+    const params = [];
+    const addCondition = (condition, value) => {
+        params.push(value);
+        conditions.push(`${condition} $${params.length}`);
+    };
+    
+    if (query.from || query.to) {
+        const from = query.from ? new Date(query.from) : null;
+        const to = query.to ? new Date(query.to) : null;
+        if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime())) || (from && to && from >= to)) {
+            return { error: 'from and to must be ISO 8601 dates with from before to' };
+        }
+        if (from) addCondition('ne.timestamp >=', from);
+        if (to) addCondition('ne.timestamp <', to);
+    } else {
+        conditions.push(`ne.timestamp > ${db.sql.ago(parseFloat(query.hours) || 24, 'hours')}`);
+    }
+    
+    if (query.target) addCondition('ne.target =', query.target);
+    if (query.agent) addCondition('ne.agent =', query.agent);
+    if (query.issue_type) addCondition('ne.issue_type =', query.issue_type);
+    if (query.hop) addCondition('ne.problematic_hop =', parseInt(query.hop));
+    if (query.incident_id) addCondition('ne.incident_id =', parseInt(query.incident_id));
+    if (query.min_latency) addCondition('eh.latency_ms >=', parseFloat(query.min_latency));
+    if (query.max_latency) addCondition('eh.latency_ms <', parseFloat(query.max_latency));
+    
+    return { where: conditions.join(' AND '), params };
+}
+
+// Opaque page cursor: the sort order and the sort value and id of the last row of the page
+function encodeAnomalyCursor(sort, order, row) {
+    let value = row[sort];
+    if (sort === 'timestamp') {
+        value = new Date(value).toISOString();
+    } else if (sort !== 'target' && sort !== 'issue_type') {
+        value = value === null ? -1 : parseFloat(value);
+    }
+    return Buffer.from(JSON.stringify([sort, order, value, parseInt(row.id)])).toString('base64url');
+}
+
+function decodeAnomalyCursor(cursor, sort, order) {
+    try {
+        const [cursorSort, cursorOrder, value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        if (cursorSort !== sort || cursorOrder !== order || !Number.isInteger(id)) return null;
+        return { value: sort === 'timestamp' ? new Date(value) : value, id };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Get anomalies with filtering, one page at a time: pass next_cursor back as `cursor` for the next page
+app.get('/api/anomalies', async (req, res) => {
+    try {
+        const { sort = 'timestamp', order = 'desc', cursor } = req.query;
+        const limit = Math.min(parseInt(req.query.limit) || 100, ANOMALY_PAGE_LIMIT);
+        
+        if (!ANOMALY_SORT_COLUMNS[sort]) {
+            return res.status(400).json({ error: `sort must be one of: ${Object.keys(ANOMALY_SORT_COLUMNS).join(', ')}` });
+        }
+        if (order !== 'asc' && order !== 'desc') {
+            return res.status(400).json({ error: 'order must be asc or desc' });
+        }
+        
+        const filters = anomalyFilters(req.query);
+        if (filters.error) {
+            return res.status(400).json({ error: filters.error });
+        }
+        
+        const sortColumn = ANOMALY_SORT_COLUMNS[sort];
+        const direction = order === 'asc' ? 'ASC' : 'DESC';
+        const params = [...filters.params];
+        let where = filters.where;
+        
+        // Keyset pagination: continue after the last row of the previous page, ties broken by id
+        if (cursor) {
+            const position = decodeAnomalyCursor(cursor, sort, order);
+            if (!position) {
+                return res.status(400).json({ error: 'Invalid cursor for this sort order' });
+            }
+            const operator = order === 'asc' ? '>' : '<';
+            params.push(position.value, position.id);
+            where += ` AND (${sortColumn} ${operator} $${params.length - 1}
+                       OR (${sortColumn} = $${params.length - 1} AND ne.id ${operator} $${params.length}))`;
+        }
+        
+        // One row more than requested tells whether there is a next page
+        params.push(limit + 1);
+        const result = await db.query(`
+            SELECT ne.*, 
+                   eh.ip_address as problem_hop_ip,
+                   eh.hostname as problem_hop_hostname,
+                   eh.latency_ms as problem_hop_latency
+            FROM network_events ne
+            LEFT JOIN event_hops eh ON ne.id = eh.event_id AND ne.problematic_hop = eh.hop_number AND eh.responder_index = 0
+            WHERE ${where}
+            ORDER BY ${sortColumn} ${direction}, ne.id ${direction}
+            LIMIT $${params.length}
+        `, params);
+        
+        const anomalies = result.rows.slice(0, limit);
+        const hasMore = result.rows.length > limit;
+        res.json({
+            anomalies,
+            count: anomalies.length,
+            has_more: hasMore,
+            next_cursor: hasMore ? encodeAnomalyCursor(sort, order, anomalies[anomalies.length - 1]) : null
+        });
+        
+    } catch (error) {
+        console.error('Query anomalies error:', error);
+        res.status(500).json({ error: 'Failed to query anomalies', message: error.message });
+    }
+});
+
+// Exact totals for the anomaly filters: per issue type, per target and problem hop latency buckets
+app.get('/api/anomalies/summary', async (req, res) => {
+    try {
+        const filters = anomalyFilters(req.query);
+        if (filters.error) {
+            return res.status(400).json({ error: filters.error });
+        }
+        
+        const groupResult = await db.query(`
+            SELECT ne.target, ne.issue_type,
+                   COUNT(*) as count,
+                   SUM(ne.avg_latency) as latency_sum,
+                   COUNT(ne.avg_latency) as latency_count
+            FROM network_events ne
+            LEFT JOIN event_hops eh ON ne.id = eh.event_id AND ne.problematic_hop = eh.hop_number AND eh.responder_index = 0
+            WHERE ${filters.where}
+            GROUP BY ne.target, ne.issue_type
+        `, filters.params);
+        
+        const bucketColumns = ANOMALY_LATENCY_BUCKETS.map((min, index) => {
+            const max = ANOMALY_LATENCY_BUCKETS[index + 1];
+            const range = max !== undefined ? `eh.latency_ms >= ${min} AND eh.latency_ms < ${max}` : `eh.latency_ms >= ${min}`;
+            return `SUM(CASE WHEN ${range} THEN 1 ELSE 0 END) as bucket_${index}`;
+        });
+        const bucketResult = await db.query(`
+            SELECT ${bucketColumns.join(',\n                   ')}
+            FROM network_events ne
+            LEFT JOIN event_hops eh ON ne.id = eh.event_id AND ne.problematic_hop = eh.hop_number AND eh.responder_index = 0
+            WHERE ${filters.where}
+        `, filters.params);
+        
+        // COUNT and SUM arrive as strings from PostgreSQL
+        const byIssueType = {};
+        const byTarget = new Map();
+        let total = 0;
+        let latencySum = 0;
+        let latencyCount = 0;
+        groupResult.rows.forEach(row => {
+            const count = parseInt(row.count);
+            total += count;
+            latencySum += parseFloat(row.latency_sum) || 0;
+            latencyCount += parseInt(row.latency_count);
+            byIssueType[row.issue_type] = (byIssueType[row.issue_type] || 0) + count;
+            
+            if (!byTarget.has(row.target)) {
+                byTarget.set(row.target, { target: row.target, total: 0, issue_types: {} });
+            }
+            const target = byTarget.get(row.target);
+            target.total += count;
+            target.issue_types[row.issue_type] = count;
+        });
+        
+        const buckets = bucketResult.rows[0] || {};
+        res.json({
+            total,
+            avg_latency: latencyCount > 0 ? latencySum / latencyCount : null,
+            by_issue_type: byIssueType,
+            by_target: Array.from(byTarget.values()).sort((a, b) => b.total - a.total),
+            latency_buckets: ANOMALY_LATENCY_BUCKETS.map((min, index) => ({
+                min,
+                max: ANOMALY_LATENCY_BUCKETS[index + 1] ?? null,
+                count: parseInt(buckets[`bucket_${index}`]) || 0
+            }))
+        });
+        
+    } catch (error) {
+        console.error('Anomaly summary error:', error);
+        res.status(500).json({ error: 'Failed to summarize anomalies', message: error.message });
+    }
+});
+
+// Get full hop path for a specific event
+app.get('/api/anomalies/:id/hops', async (req, res) => {
+    try {
+        const eventId = parseInt(req.params.id);
+        
+        const result = await db.query(`
+            SELECT 
+                ne.timestamp,
+                ne.target,
+                ne.agent,
+                ne.issue_type,
+                ne.problematic_hop,
+                ${db.sql.jsonArrayAgg(`
+                    ${db.sql.jsonObject(`
+                        'hop', eh.hop_number,
+                        'responder_index', eh.responder_index,
+                        'ip', eh.ip_address,
+                        'hostname', eh.hostname,
+                        'latency', eh.latency_ms,
+                        'min_latency', eh.min_latency_ms,
+                        'max_latency', eh.max_latency_ms,
+                        'jitter', eh.jitter_ms,
+                        'probes_sent', eh.probes_sent,
+                        'probes_lost', eh.probes_lost,
+                        'timeout', ${db.sql.jsonBoolean('eh.timeout')},
+                        'problematic', ${db.sql.jsonBoolean('eh.is_problematic')}
+                    `)} ORDER BY eh.hop_number, eh.responder_index
+                `)} as hop_path
+            FROM network_events ne
+            LEFT JOIN event_hops eh ON ne.id = eh.event_id
+            WHERE ne.id = $1
+            GROUP BY ne.id, ne.timestamp, ne.target, ne.agent, ne.issue_type, ne.problematic_hop
+        `, [eventId]);
+        
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        
+        res.json({ ...result.rows[0], hop_path: jsonColumn(result.rows[0].hop_path) });
+        
+    } catch (error) {
+        console.error('Get event hops error:', error);
+        res.status(500).json({ error: 'Failed to get event hops', message: error.message });
+    }
+});
+
+// What was normal around an event: the target's path and per-hop latency from hop_statistics in the
+// minutes before and after it (without the event's own minute), nearby events and the previous/next event
+app.get('/api/anomalies/:id/context', async (req, res) => {
+    try {
+        const eventId = parseInt(req.params.id);
+        const minutes = Math.min(parseInt(req.query.window) || HISTORY_CONFIG.EVENT_CONTEXT_MINUTES, 1440);
+        
+        const eventResult = await db.query('SELECT * FROM network_events WHERE id = $1', [eventId]);
+        if (eventResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        
+        const event = eventResult.rows[0];
+        const timestamp = new Date(event.timestamp);
+        const from = new Date(timestamp.getTime() - minutes * 60000);
+        const to = new Date(timestamp.getTime() + minutes * 60000);
+        const series = [event.agent, event.target];
+        
+        // Minute rows are gone after their retention; the hourly rollups still cover the window then
+        const minuteRowsKept = !RETENTION_CONFIG.MINUTE_DAYS || timestamp >= Date.now() - RETENTION_CONFIG.MINUTE_DAYS * 86400000;
+        const resolution = minuteRowsKept ? 'minute' : 'hour';
+        const eventMinute = new Date(Math.floor(timestamp.getTime() / 60000) * 60000).toISOString();
+        
+        const points = await loadBucketPoints({
+            agent: event.agent, target: event.target, from, to, resolution, hopNumber: null
+        });
+        points.forEach((hopPoints, hopNumber) => {
+            const normal = hopPoints.filter(point => point.timestamp !== eventMinute);
+            if (normal.length > 0) {
+                points.set(hopNumber, normal);
+            } else {
+                points.delete(hopNumber);
+            }
+        });
+        
+        const nearbyResult = await db.query(`
+            SELECT ne.id, ne.timestamp, ne.issue_type, ne.problematic_hop, ne.avg_latency, ne.packet_loss_pct,
+                   ne.latency_deviation, ne.incident_id,
+                   eh.ip_address as problem_hop_ip,
+                   eh.latency_ms as problem_hop_latency
+            FROM network_events ne
+            LEFT JOIN event_hops eh ON ne.id = eh.event_id AND ne.problematic_hop = eh.hop_number AND eh.responder_index = 0
+            WHERE ne.agent = $1 AND ne.target = $2 AND ne.timestamp >= $3 AND ne.timestamp <= $4 AND ne.id <> $5
+            ORDER BY ne.timestamp
+            LIMIT $6
+        `, [...series, from, to, eventId, HISTORY_CONFIG.EVENT_CONTEXT_MAX_EVENTS]);
+        
+        // Neighbours of the same target and agent, however far apart
+        const previousResult = await db.query(`
+            SELECT id FROM network_events
+            WHERE agent = $1 AND target = $2 AND (timestamp < $3 OR (timestamp = $3 AND id < $4))
+            ORDER BY timestamp DESC, id DESC
+            LIMIT 1
+        `, [...series, timestamp, eventId]);
+        const nextResult = await db.query(`
+            SELECT id FROM network_events
+            WHERE agent = $1 AND target = $2 AND (timestamp > $3 OR (timestamp = $3 AND id > $4))
+            ORDER BY timestamp ASC, id ASC
+            LIMIT 1
+        `, [...series, timestamp, eventId]);
+        
+        res.json({
+            event,
+            window_minutes: minutes,
+            normal_path: {
+                from: from.toISOString(),
+                to: to.toISOString(),
+                resolution,
+                hops: summarizeHistoryHops(points)
+            },
+            nearby_events: nearbyResult.rows,
+            previous_event_id: previousResult.rows[0]?.id ?? null,
+            next_event_id: nextResult.rows[0]?.id ?? null
+        });
+        
+    } catch (error) {
+        console.error('Get event context error:', error);
+        res.status(500).json({ error: 'Failed to get event context', message: error.message });
+    }
+});
+
+// Path versions and route changes of a target
+app.get('/api/routes/history', async (req, res) => {
+    try {
+        const { target, agent = LOCAL_AGENT, days = 30, limit = 50 } = req.query;
+        
+        if (!target) {
+            return res.status(400).json({ error: 'target is required' });
+        }
+        
+        const pathsResult = await db.query(`
+            SELECT id, target, agent, fingerprint, hop_count, hops, first_seen, last_seen
+            FROM route_paths
+            WHERE target = $1 AND agent = $2
+              AND last_seen > ${db.sql.ago(parseInt(days), 'days')}
+            ORDER BY first_seen DESC
+            LIMIT $3
+        `, [target, agent, parseInt(limit)]);
+        
+        const changesResult = await db.query(`
+            SELECT id, timestamp, target, agent, problematic_hop as first_changed_hop, total_hops,
+                   route_path_id, previous_route_path_id
+            FROM network_events
+            WHERE target = $1 AND agent = $2
+              AND issue_type = 'route_change'
+              AND timestamp > ${db.sql.ago(parseInt(days), 'days')}
+            ORDER BY timestamp DESC
+            LIMIT $3
+        `, [target, agent, parseInt(limit)]);
+        
+        const current = routeState.get(seriesKey(agent, target));
+        
+        res.json({
+            target,
+            agent,
+            current_path_id: current && current.stable ? current.stable.id : (pathsResult.rows[0]?.id ?? null),
+            paths: pathsResult.rows,
+            changes: changesResult.rows
+        });
+        
+    } catch (error) {
+        console.error('Get route history error:', error);
+        res.status(500).json({ error: 'Failed to get route history', message: error.message });
+    }
+});
+
+// Side-by-side diff of two path versions
+app.get('/api/routes/diff', async (req, res) => {
+    try {
+        const from = parseInt(req.query.from);
+        const to = parseInt(req.query.to);
+        
+        if (!from || !to) {
+            return res.status(400).json({ error: 'from and to path ids are required' });
+        }
+        
+        const result = await db.query(
+            'SELECT id, target, agent, fingerprint, hop_count, hops, first_seen, last_seen FROM route_paths WHERE id IN ($1, $2)',
+            [from, to]
+        );
+        const fromPath = result.rows.find(row => row.id == from);
+        const toPath = result.rows.find(row => row.id == to);
+        
+        if (!fromPath || !toPath) {
+            return res.status(404).json({ error: 'Path not found' });
+        }
+        
+        const diff = diffPaths(fromPath.hops, toPath.hops);
+        res.json({
+            from: fromPath,
+            to: toPath,
+            diff,
+            changed_hops: diff.filter(entry => entry.changed).length
+        });
+        
+    } catch (error) {
+        console.error('Get route diff error:', error);
+        res.status(500).json({ error: 'Failed to diff routes', message: error.message });
+    }
+});
+
+// List incidents (grouped consecutive anomalies), newest first
+app.get('/api/incidents', async (req, res) => {
+    try {
+        const { target, agent, status, hours = 24, limit = 100 } = req.query;
+        
+        let query = `
+            SELECT i.*,
+                   ${db.sql.secondsBetween('i.started_at', 'COALESCE(i.ended_at, NOW())')} as duration_seconds
+            FROM incidents i
+            WHERE COALESCE(i.ended_at, NOW()) > ${db.sql.ago(parseFloat(hours), 'hours')}
+        `;
+        
+        const params = [];
+        let paramCount = 0;
+        
+        if (target) {
+            paramCount++;
+            query += ` AND i.target = $${paramCount}`;
+            params.push(target);
+        }
+        
+        if (agent) {
+            paramCount++;
+            query += ` AND i.agent = $${paramCount}`;
+            params.push(agent);
+        }
+        
+        if (status) {
+            paramCount++;
+            query += ` AND i.status = $${paramCount}`;
+            params.push(status);
+        }
+        
+        query += ` ORDER BY i.started_at DESC LIMIT $${paramCount + 1}`;
+        params.push(parseInt(limit));
+        
+        const result = await db.query(query, params);
+        res.json({ incidents: result.rows, count: result.rows.length });
+        
+    } catch (error) {
+        console.error('Query incidents error:', error);
+        res.status(500).json({ error: 'Failed to query incidents', message: error.message });
+    }
+});
+
+// Get one incident with its events
+app.get('/api/incidents/:id', async (req, res) => {
+    try {
+        const incidentId = parseInt(req.params.id);
+        
+        const incidentResult = await db.query(`
+            SELECT i.*,
+                   ${db.sql.secondsBetween('i.started_at', 'COALESCE(i.ended_at, NOW())')} as duration_seconds
+            FROM incidents i
+            WHERE i.id = $1
+        `, [incidentId]);
+        
+        if (incidentResult.rows.length === 0) {
+            return res.status(404).json({ error: 'Incident not found' });
+        }
+        
+        const eventsResult = await db.query(`
+            SELECT ne.*,
+                   eh.ip_address as problem_hop_ip,
+                   eh.hostname as problem_hop_hostname,
+                   eh.latency_ms as problem_hop_latency
+            FROM network_events ne
+            LEFT JOIN event_hops eh ON ne.id = eh.event_id AND ne.problematic_hop = eh.hop_number AND eh.responder_index = 0
+            WHERE ne.incident_id = $1
+            ORDER BY ne.timestamp
+        `, [incidentId]);
+        
+        res.json({ ...incidentResult.rows[0], events: eventsResult.rows });
+        
+    } catch (error) {
+        console.error('Get incident error:', error);
+        res.status(500).json({ error: 'Failed to get incident', message: error.message });
+    }
+});
+
+// ==================== ALERTING API ====================
+
+// List alert channels
+app.get('/api/alerts/channels', requireRole('operator'), async (req, res) => {
+    try {
+        const result = await db.query('SELECT * FROM alert_channels ORDER BY id');
+        res.json({ channels: result.rows, count: result.rows.length });
+    } catch (error) {
+        console.error('Get alert channels error:', error);
+        res.status(500).json({ error: 'Failed to get alert channels', message: error.message });
+    }
+});
+
+// Add alert channel
+app.post('/api/alerts/channels', requireRole('operator'), async (req, res) => {
+    try {
+        const { name, type, config = {}, enabled = true } = req.body;
+        
+        const invalid = validateAlertChannel({ name, type, config });
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        
+        const result = await db.query(
+            `INSERT INTO alert_channels (name, type, config, enabled)
+             VALUES ($1, $2, $3, $4)
+             RETURNING *`,
+            [name, type, config, enabled]
+        );
+        
+        await loadAlertConfig();
+        await logAudit(req, 'alert_channel.create', result.rows[0].id, { name, type });
+        console.log(`Alert channel added: ${name} (${type})`);
+        res.status(201).json({ success: true, channel: result.rows[0] });
+        
+    } catch (error) {
+        console.error('Failed to add alert channel:', error);
+        res.status(500).json({ error: 'Failed to add alert channel', message: error.message });
+    }
+});
+
+// Update alert channel (fields not in the body keep their value)
+app.put('/api/alerts/channels/:id', requireRole('operator'), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        
+        const existing = await db.query('SELECT * FROM alert_channels WHERE id = $1', [id]);
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ error: 'Alert channel not found' });
+        }
+        
+        const channel = { ...existing.rows[0], ...req.body };
+        const invalid = validateAlertChannel(channel);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+        
+        const result = await db.query(
+            `UPDATE alert_channels
+             SET name = $1, type = $2, config = $3, enabled = $4, updated_at = NOW()
+             WHERE id = $5
+             RETURNING *`,
+            [channel.name, channel.type, channel.config, channel.enabled, id]
+        );
+        
+        await loadAlertConfig();
+        await logAudit(req, 'alert_channel.update', id, { name: channel.name, type: channel.type, enabled: channel.enabled });
+        console.log(`Alert channel updated: ID ${id}`);
+        res.json({ success: true, channel: result.rows[0] });
+        
+    } catch (error) {
+        console.error('Failed to update alert channel:', error);
+        res.status(500).json({ error: 'Failed to update alert channel', message: error.message });
+    }
+});
+
+// Delete alert channel (its rules are deleted with it)
+app.delete('/api/alerts/channels/:id', requireRole('operator'), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        
+        const result = await db.query('DELETE FROM alert_channels WHERE id = $1 RETURNING *', [id]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Alert channel not found' });
+        }
+        
+        await loadAlertConfig();
+        await logAudit(req, 'alert_channel.delete', id, { name: result.rows[0].name });
+        console.log(`Alert channel deleted: ID ${id}`);
+        res.json({ success: true, message: 'Alert channel deleted successfully' });
+        
+    } catch (error) {
+        console.error('Failed to delete alert channel:', error);
+        res.status(500).json({ error: 'Failed to delete alert channel', message: error.message });
+    }
+});
+
+// Send a test notification through a channel
+app.post('/api/alerts/channels/:id/test', requireRole('operator'), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
+        
+        const result = await db.query('SELECT * FROM alert_channels WHERE id = $1', [id]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Alert channel not found' });
+        }
+        
+        const status = await sendAlert(null, result.rows[0], null, 'test');
+        res.status(status === 'sent' ? 200 : 502).json({ success: status === 'sent', status });
+        
+    } catch (error) {
+        console.error('Failed to test alert channel:', error);
+        res.status(500).json({ error: 'Failed to test alert channel', message: error.message });
+    }
+});
+
+// List alert rules
+app.get('/api/alerts/rules', async (req, res) => {
+    try {
+        const result = await db.query('SELECT * FROM alert_rules ORDER BY id');
+        res.json({ rules: result.rows, count: result.rows.length });
+    } catch (error) {
+        console.error('Get alert rules error:', error);
+        res.status(500).json({ error: 'Failed to get alert rules', message: error.message });
+    }
+});
+
+// Columns an alert rule body may set
+const ALERT_RULE_FIELDS = ['name', 'enabled', 'target', 'issue_types', 'min_severity', 'min_duration_seconds',
+    'channel_id', 'notify_recovery', 'quiet_hours_start', 'quiet_hours_end'];
+
+// Add alert rule
+app.post('/api/alerts/rules', requireRole('operator'), async (req, res) => {
+    try {
+        const rule = {
+            enabled: true,
+            target: null,
+            issue_types: null,
+            min_severity: 'high_latency',
+            min_duration_seconds: 0,
+            notify_recovery: true,
+            quiet_hours_start: null,
+            quiet_hours_end: null,
+            ...req.body
+        };
         
-        if (platform === 'darwin' || platform === 'linux') {
-            // macOS and Linux: use traceroute with max 15 hops, 2 second timeout per hop
-            command = `traceroute -m 15 -w 2 ${target}`;
-        } else if (platform === 'win32') {
-            // Windows: use tracert with max 15 hops
-            command = `tracert -h 15 -w 2000 ${target}`;
-        } else {
-            throw new Error('Unsupported operating system');
+        const invalid = validateAlertRule(rule);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
         }
         
-        const { stdout, stderr } = await execPromise(command, {
-            timeout: 60000 // 60 second total timeout
-        });
+        const result = await db.query(
+            `INSERT INTO alert_rules (${ALERT_RULE_FIELDS.join(', ')})
+             VALUES (${ALERT_RULE_FIELDS.map((_, i) => `$${i + 1}`).join(', ')})
+             RETURNING *`,
+            ALERT_RULE_FIELDS.map(field => rule[field])
+        );
         
-        if (stderr && !stdout) {
-            throw new Error(stderr);
-        }
+        await loadAlertConfig();
+        await logAudit(req, 'alert_rule.create', result.rows[0].id, { name: rule.name });
+        console.log(`Alert rule added: ${rule.name}`);
+        res.status(201).json({ success: true, rule: result.rows[0] });
         
-        const hops = parseTracerouteOutput(stdout);
+    } catch (error) {
+        console.error('Failed to add alert rule:', error);
+        res.status(500).json({ error: 'Failed to add alert rule', message: error.message });
+    }
+});
+
+// Update alert rule (fields not in the body keep their value)
+app.put('/api/alerts/rules/:id', requireRole('operator'), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
         
-        // Track per-hop statistics
-        trackHopStatistics(target, hops);
+        const existing = await db.query('SELECT * FROM alert_rules WHERE id = $1', [id]);
+        if (existing.rows.length === 0) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
         
-        // Detect and log anomalies
-        const anomalies = detectAnomalies(hops);
-        if (anomalies.length > 0 && databaseLoggingEnabled) {
-            await logAnomaly(target, hops, anomalies);
+        const rule = { ...existing.rows[0], ...req.body };
+        const invalid = validateAlertRule(rule);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
         }
         
-        res.json({
-            target,
-            timestamp: new Date().toISOString(),
-            hops,
-            platform,
-            anomalies: anomalies.length > 0 ? anomalies : undefined
-        });
+        const result = await db.query(
+            `UPDATE alert_rules
+             SET ${ALERT_RULE_FIELDS.map((field, i) => `${field} = $${i + 1}`).join(', ')}, updated_at = NOW()
+             WHERE id = $${ALERT_RULE_FIELDS.length + 1}
+             RETURNING *`,
+            [...ALERT_RULE_FIELDS.map(field => rule[field]), id]
+        );
+        
+        await loadAlertConfig();
+        await logAudit(req, 'alert_rule.update', id, req.body);
+        console.log(`Alert rule updated: ID ${id}`);
+        res.json({ success: true, rule: result.rows[0] });
         
     } catch (error) {
-        console.error('Traceroute error:', error);
+        console.error('Failed to update alert rule:', error);
+        res.status(500).json({ error: 'Failed to update alert rule', message: error.message });
+    }
+});
+
+// Delete alert rule
+app.delete('/api/alerts/rules/:id', requireRole('operator'), async (req, res) => {
+    try {
+        const id = parseInt(req.params.id);
         
-        // Check if it's a timeout
-        if (error.killed && error.signal === 'SIGTERM') {
-            return res.status(504).json({ 
-                error: 'Traceroute timeout',
-                message: 'Traceroute took too long to complete'
-            });
+        const result = await db.query('DELETE FROM alert_rules WHERE id = $1 RETURNING *', [id]);
+        if (result.rows.length === 0) {
+            return res.status(404).json({ error: 'Alert rule not found' });
         }
         
-        res.status(500).json({ 
-            error: 'Traceroute failed',
-            message: error.message || 'An error occurred during traceroute'
-        });
+        await loadAlertConfig();
+        await logAudit(req, 'alert_rule.delete', id, { name: result.rows[0].name });
+        console.log(`Alert rule deleted: ID ${id}`);
+        res.json({ success: true, message: 'Alert rule deleted successfully' });
+        
+    } catch (error) {
+        console.error('Failed to delete alert rule:', error);
+        res.status(500).json({ error: 'Failed to delete alert rule', message: error.message });
     }
 });
 
-// Get anomalies with filtering
-app.get('/api/anomalies', async (req, res) => {
+// Alert delivery log, newest first
+app.get('/api/alerts/deliveries', async (req, res) => {
     try {
-        const {
-            target,
-            issue_type,
-            hours = 24,
-            limit = 100,
-            hop,
-            min_latency,
-            max_latency
-        } = req.query;
+        const { status, incident_id, hours = 24, limit = 100 } = req.query;
         
         let query = `
-            SELECT ne.*, 
-                   eh.ip_address as problem_hop_ip,
-                   eh.hostname as problem_hop_hostname,
-                   eh.latency_ms as problem_hop_latency
-            FROM network_events ne
-            LEFT JOIN event_hops eh ON ne.id = eh.event_id AND ne.problematic_hop = eh.hop_number
-            WHERE ne.timestamp > NOW() - INTERVAL '${parseInt(hours)} hours'
+            SELECT d.*, r.name as rule_name, c.name as channel_name, c.type as channel_type
+            FROM alert_deliveries d
+            LEFT JOIN alert_rules r ON d.rule_id = r.id
+            LEFT JOIN alert_channels c ON d.channel_id = c.id
+            WHERE d.created_at > ${db.sql.ago(parseFloat(hours), 'hours')}
         `;
         
         const params = [];
         let paramCount = 0;
         
-        if (target) {
-            paramCount++;
-            query += ` AND ne.target = $${paramCount}`;
-            params.push(target);
-        }
-        
-        if (issue_type) {
-            paramCount++;
-            query += ` AND ne.issue_type = $${paramCount}`;
-            params.push(issue_type);
-        }
-        
-        if (hop) {
+        if (status) {
             paramCount++;
-            query += ` AND ne.problematic_hop = $${paramCount}`;
-            params.push(parseInt(hop));
+            query += ` AND d.status = $${paramCount}`;
+            params.push(status);
         }
         
-        if (min_latency) {
+        if (incident_id) {
             paramCount++;
-            query += ` AND eh.latency_ms >= $${paramCount}`;
-            params.push(parseFloat(min_latency));
+            query += ` AND d.incident_id = $${paramCount}`;
+            params.push(parseInt(incident_id));
         }
         
-        if (max_latency) {
-            paramCount++;
-            query += ` AND eh.latency_ms < $${paramCount}`;
-            params.push(parseFloat(max_latency));
-        }
-        
-        query += ` ORDER BY ne.timestamp DESC LIMIT $${paramCount + 1}`;
+        query += ` ORDER BY d.created_at DESC LIMIT $${paramCount + 1}`;
         params.push(parseInt(limit));
         
-        const result = await pool.query(query, params);
-        res.json({ anomalies: result.rows, count: result.rows.length });
-        
-    } catch (error) {
-        console.error('Query anomalies error:', error);
-        res.status(500).json({ error: 'Failed to query anomalies', message: error.message });
-    }
-});
-
-// Get full hop path for a specific event
-app.get('/api/anomalies/:id/hops', async (req, res) => {
-    try {
-        const eventId = parseInt(req.params.id);
-        
-        const result = await pool.query(`
-            SELECT 
-                ne.timestamp,
-                ne.target,
-                ne.issue_type,
-                ne.problematic_hop,
-                json_agg(
-                    json_build_object(
-                        'hop', eh.hop_number,
-                        'ip', eh.ip_address,
-                        'hostname', eh.hostname,
-                        'latency', eh.latency_ms,
-                        'timeout', eh.timeout,
-                        'problematic', eh.is_problematic
-                    ) ORDER BY eh.hop_number
-                ) as hop_path
-            FROM network_events ne
-            LEFT JOIN event_hops eh ON ne.id = eh.event_id
-            WHERE ne.id = $1
-            GROUP BY ne.id, ne.timestamp, ne.target, ne.issue_type, ne.problematic_hop
-        `, [eventId]);
-        
-        if (result.rows.length === 0) {
-            return res.status(404).json({ error: 'Event not found' });
-        }
-        
-        res.json(result.rows[0]);
+        const result = await db.query(query, params);
+        res.json({ deliveries: result.rows, count: result.rows.length });
         
     } catch (error) {
-        console.error('Get event hops error:', error);
-        res.status(500).json({ error: 'Failed to get event hops', message: error.message });
+        console.error('Get alert deliveries error:', error);
+        res.status(500).json({ error: 'Failed to get alert deliveries', message: error.message });
     }
 });
 
 // Get cross-target hop analysis (hops affecting multiple targets)
 app.get('/api/cross-target-hop-analysis', async (req, res) => {
     try {
-        const { hours = 24, min_targets = 1 } = req.query;
+        const { hours = 24, min_targets = 1, agent } = req.query;
+        
+        const params = [parseInt(min_targets)];
+        if (agent) {
+            params.push(agent);
+        }
         
-        const result = await pool.query(`
+        const result = await db.query(`
             SELECT 
                 hop_ip,
                 hop_hostname,
                 COUNT(DISTINCT target) as targets_affected,
-                array_agg(DISTINCT target) as affected_targets,
+                ${db.sql.arrayAgg('DISTINCT target')} as affected_targets,
                 SUM(total_attempts) as total_attempts,
                 SUM(total_losses) as total_losses,
                 CASE 
                     WHEN SUM(total_attempts) > 0 
-                    THEN (SUM(total_losses)::NUMERIC / SUM(total_attempts)::NUMERIC * 100)
+                    THEN (SUM(total_losses) * 100.0 / SUM(total_attempts))
                     ELSE 0 
                 END as overall_packet_loss_pct,
                 AVG(avg_latency) as avg_latency,
@@ -565,15 +5271,16 @@ app.get('/api/cross-target-hop-analysis', async (req, res) => {
                 MIN(timestamp_minute) as first_seen,
                 MAX(timestamp_minute) as last_seen
             FROM hop_statistics
-            WHERE timestamp_minute > NOW() - INTERVAL '${parseInt(hours)} hours'
+            WHERE timestamp_minute > ${db.sql.ago(parseInt(hours), 'hours')}
               AND hop_ip IS NOT NULL
+              ${agent ? 'AND agent = $2' : ''}
             GROUP BY hop_ip, hop_hostname
             HAVING COUNT(DISTINCT target) >= $1
             ORDER BY overall_packet_loss_pct DESC, targets_affected DESC
-        `, [parseInt(min_targets)]);
+        `, params);
         
         res.json({ 
-            cross_target_hops: result.rows, 
+            cross_target_hops: result.rows.map(row => ({ ...row, affected_targets: jsonColumn(row.affected_targets) })), 
             count: result.rows.length,
             period_hours: parseInt(hours)
         });
@@ -587,10 +5294,11 @@ app.get('/api/cross-target-hop-analysis', async (req, res) => {
 // Get per-hop packet loss statistics
 app.get('/api/hop-packet-loss', async (req, res) => {
     try {
-        const { target, hours = 24, hop_number } = req.query;
+        const { target, agent, hours = 24, hop_number } = req.query;
         
         let query = `
             SELECT 
+                agent,
                 target,
                 hop_number,
                 hop_ip,
@@ -599,16 +5307,18 @@ app.get('/api/hop-packet-loss', async (req, res) => {
                 SUM(total_losses) as total_losses,
                 CASE 
                     WHEN SUM(total_attempts) > 0 
-                    THEN (SUM(total_losses)::NUMERIC / SUM(total_attempts)::NUMERIC * 100)
+                    THEN (SUM(total_losses) * 100.0 / SUM(total_attempts))
                     ELSE 0 
                 END as packet_loss_pct,
-                AVG(avg_latency) as avg_latency,
+                ${weightedByReplies('avg_latency')} as avg_latency,
                 MIN(min_latency) as min_latency,
                 MAX(max_latency) as max_latency,
+                latency_histogram_sum(latency_histogram) as latency_histogram,
+                ${weightedByReplies('jitter')} as jitter,
                 MIN(timestamp_minute) as first_seen,
                 MAX(timestamp_minute) as last_seen
             FROM hop_statistics
-            WHERE timestamp_minute > NOW() - INTERVAL '${parseInt(hours)} hours'
+            WHERE timestamp_minute > ${db.sql.ago(parseInt(hours), 'hours')}
         `;
         
         const params = [];
@@ -620,6 +5330,12 @@ app.get('/api/hop-packet-loss', async (req, res) => {
             params.push(target);
         }
         
+        if (agent) {
+            paramCount++;
+            query += ` AND agent = $${paramCount}`;
+            params.push(agent);
+        }
+        
         if (hop_number) {
             paramCount++;
             query += ` AND hop_number = $${paramCount}`;
@@ -627,13 +5343,13 @@ app.get('/api/hop-packet-loss', async (req, res) => {
         }
         
         query += `
-            GROUP BY target, hop_number, hop_ip, hop_hostname
+            GROUP BY agent, target, hop_number, hop_ip, hop_hostname
             ORDER BY packet_loss_pct DESC, total_attempts DESC
         `;
         
-        const result = await pool.query(query, params);
+        const result = await db.query(query, params);
         res.json({ 
-            hop_statistics: result.rows, 
+            hop_statistics: result.rows.map(withLatencyPercentiles), 
             count: result.rows.length,
             period_hours: parseInt(hours)
         });
@@ -644,12 +5360,64 @@ app.get('/api/hop-packet-loss', async (req, res) => {
     }
 });
 
+// Get learned latency baselines (optionally for one target / hop)
+app.get('/api/baselines', async (req, res) => {
+    try {
+        const { target, agent, hop, refresh } = req.query;
+        
+        if (refresh === 'true' || !baselinesUpdatedAt) {
+            await refreshBaselines();
+        }
+        
+        const baselines = [];
+        hopBaselines.forEach((hopMap, key) => {
+            // Keys are 'agent|target' (agent names can't contain '|')
+            const separator = key.indexOf('|');
+            const baselineAgent = key.slice(0, separator);
+            const baselineTarget = key.slice(separator + 1);
+            if (target && baselineTarget !== target) return;
+            if (agent && baselineAgent !== agent) return;
+            
+            hopMap.forEach((baseline, hopNumber) => {
+                if (hop && hopNumber !== parseInt(hop)) return;
+                
+                baselines.push({
+                    agent: baselineAgent,
+                    target: baselineTarget,
+                    hop_number: hopNumber,
+                    ...baseline,
+                    upper_bound: baselineUpperBound(baseline),
+                    active: baseline.samples >= BASELINE_CONFIG.MIN_SAMPLES
+                });
+            });
+        });
+        baselines.sort((a, b) => a.target.localeCompare(b.target) || a.agent.localeCompare(b.agent) || a.hop_number - b.hop_number);
+        
+        res.json({
+            baselines,
+            count: baselines.length,
+            window_hours: BASELINE_CONFIG.WINDOW_HOURS,
+            min_samples: BASELINE_CONFIG.MIN_SAMPLES,
+            updated_at: baselinesUpdatedAt
+        });
+        
+    } catch (error) {
+        console.error('Get baselines error:', error);
+        res.status(500).json({ error: 'Failed to get latency baselines', message: error.message });
+    }
+});
+
 // Get hop statistics
 app.get('/api/hop-stats', async (req, res) => {
     try {
-        const { days = 30, limit = 20 } = req.query;
+        const { days = 30, limit = 20, agent } = req.query;
         
-        const result = await pool.query(`
+        const params = [parseInt(limit)];
+        if (agent) {
+            params.push(agent);
+        }
+        
+        const result = await db.query(`
             SELECT 
                 eh.hop_number,
                 eh.hostname,
@@ -662,11 +5430,12 @@ app.get('/api/hop-stats', async (req, res) => {
             FROM event_hops eh
             JOIN network_events ne ON eh.event_id = ne.id
             WHERE eh.is_problematic = true
-              AND ne.timestamp > NOW() - INTERVAL '${parseInt(days)} days'
+              AND ne.timestamp > ${db.sql.ago(parseInt(days), 'days')}
+              ${agent ? 'AND ne.agent = $2' : ''}
             GROUP BY eh.hop_number, eh.hostname, eh.ip_address, ne.target
             ORDER BY problem_count DESC
             LIMIT $1
-        `, [parseInt(limit)]);
+        `, params);
         
         res.json({ hop_stats: result.rows, count: result.rows.length });
         
@@ -679,22 +5448,28 @@ app.get('/api/hop-stats', async (req, res) => {
 // Get anomaly timeline (for charting)
 app.get('/api/anomaly-timeline', async (req, res) => {
     try {
-        const { hours = 24, interval = 'hour' } = req.query;
+        const { hours = 24, interval = 'hour', agent } = req.query;
         
         const validIntervals = ['hour', 'day'];
         const timeInterval = validIntervals.includes(interval) ? interval : 'hour';
         
-        const result = await pool.query(`
+        const params = [timeInterval];
+        if (agent) {
+            params.push(agent);
+        }
+        
+        const result = await db.query(`
             SELECT 
-                date_trunc($1, timestamp) AS time_bucket,
+                ${db.sql.dateTrunc('$1', 'timestamp')} AS time_bucket,
                 COUNT(*) as anomaly_count,
                 issue_type,
                 target
             FROM network_events
-            WHERE timestamp > NOW() - INTERVAL '${parseInt(hours)} hours'
+            WHERE timestamp > ${db.sql.ago(parseInt(hours), 'hours')}
+              ${agent ? 'AND agent = $2' : ''}
             GROUP BY time_bucket, issue_type, target
             ORDER BY time_bucket DESC
-        `, [timeInterval]);
+        `, params);
         
         res.json({ timeline: result.rows, count: result.rows.length });
 
@@ -704,33 +5479,101 @@ app.get('/api/anomaly-timeline', async (req, res) => {
     }
 });
 
-// Get aggregated statistics over time for diagnostics (latency and packet loss trends)
+// Hop table and per-hop latency timeline of a target over a time window (live view history)
+app.get('/api/live/history', async (req, res) => {
+    try {
+        const { target, agent = LOCAL_AGENT, hours, resolution = 'auto' } = req.query;
+        
+        if (!target) {
+            return res.status(400).json({ error: 'target is required' });
+        }
+        
+        const validResolutions = ['auto', 'trace', 'minute', 'hour', 'day'];
+        if (!validResolutions.includes(resolution)) {
+            return res.status(400).json({ error: `resolution must be one of: ${validResolutions.join(', ')}` });
+        }
+        
+        // Window: from/to (ISO 8601), or the last `hours` (default 1) up to to/now
+        const to = req.query.to ? new Date(req.query.to) : new Date();
+        const from = req.query.from
+            ? new Date(req.query.from)
+            : new Date(to.getTime() - (parseFloat(hours) || 1) * 3600000);
+        if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime()) || from >= to) {
+            return res.status(400).json({ error: 'from and to must be ISO 8601 dates with from before to' });
+        }
+        
+        const hopNumber = req.query.hop !== undefined ? parseInt(req.query.hop) : null;
+        if (hopNumber !== null && !(hopNumber >= 1)) {
+            return res.status(400).json({ error: 'hop must be a hop number' });
+        }
+        
+        const limit = Math.min(parseInt(req.query.limit) || HISTORY_CONFIG.MAX_TRACES, HISTORY_CONFIG.MAX_TRACES);
+        const series = { agent, target, from, to, hopNumber };
+        const windowResolution = historyResolution(resolution, from, to);
+        
+        let points;
+        let truncated = false;
+        if (windowResolution === 'trace') {
+            const history = await loadTraceHistory({ ...series, limit });
+            points = tracePoints(history.traces, hopNumber);
+            truncated = history.truncated;
+        } else {
+            points = await loadBucketPoints({ ...series, resolution: windowResolution });
+        }
+        
+        res.json({
+            target,
+            agent,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            resolution: windowResolution,
+            truncated,
+            hops: summarizeHistoryHops(points),
+            timeline: Array.from(points.entries())
+                .sort(([a], [b]) => a - b)
+                .map(([hop, hopPoints]) => ({ hop, points: hopPoints }))
+        });
+        
+    } catch (error) {
+        console.error('Get live history error:', error);
+        res.status(500).json({ error: 'Failed to get live history', message: error.message });
+    }
+});
+
+// Get aggregated statistics over time for diagnostics (latency and packet loss trends). Latency
+// percentiles come from the merged per-minute histograms of each bucket.
 app.get('/api/aggregated-stats', async (req, res) => {
     try {
-        const { hours = 24, interval = 'hour', target } = req.query;
+        const { hours = 24, interval = 'hour', target, agent, hop_number } = req.query;
 
-        const validIntervals = ['hour', 'day'];
-        const timeInterval = validIntervals.includes(interval) ? interval : 'hour';
+        // 'auto' picks the bucket size from the window; hour/day buckets read the rollup tables
+        const validIntervals = ['minute', 'hour', 'day'];
+        const timeInterval = interval === 'auto'
+            ? autoStatsInterval(parseFloat(hours))
+            : (validIntervals.includes(interval) ? interval : 'hour');
 
         let query = `
             SELECT
-                date_trunc($1, timestamp_minute) AS time_bucket,
+                ${db.sql.dateTrunc('$1', 'bucket')} AS time_bucket,
+                agent,
                 target,
                 hop_number,
                 hop_ip,
                 hop_hostname,
-                AVG(avg_latency) AS avg_latency,
+                ${weightedByReplies('avg_latency')} AS avg_latency,
                 MAX(max_latency) AS max_latency,
                 MIN(min_latency) AS min_latency,
+                latency_histogram_sum(latency_histogram) AS latency_histogram,
+                ${weightedByReplies('jitter')} AS jitter,
                 SUM(total_attempts) AS total_attempts,
                 SUM(total_losses) AS total_losses,
                 CASE
                     WHEN SUM(total_attempts) > 0
-                    THEN (SUM(total_losses)::NUMERIC / SUM(total_attempts)::NUMERIC * 100)
+                    THEN (SUM(total_losses) * 100.0 / SUM(total_attempts))
                     ELSE 0
                 END AS packet_loss_pct
-            FROM hop_statistics
-            WHERE timestamp_minute > NOW() - INTERVAL '${parseInt(hours)} hours'
+            FROM (${statsSourceQuery(timeInterval)}) stats
+            WHERE bucket > ${db.sql.ago(parseFloat(hours), 'hours')}
         `;
 
         const params = [timeInterval];
@@ -742,17 +5585,29 @@ app.get('/api/aggregated-stats', async (req, res) => {
             params.push(target);
         }
 
+        if (agent) {
+            paramIndex++;
+            query += ` AND agent = $${paramIndex}`;
+            params.push(agent);
+        }
+
+        if (hop_number) {
+            paramIndex++;
+            query += ` AND hop_number = $${paramIndex}`;
+            params.push(parseInt(hop_number));
+        }
+
         query += `
-            GROUP BY time_bucket, target, hop_number, hop_ip, hop_hostname
-            ORDER BY time_bucket DESC, target ASC, hop_number ASC
+            GROUP BY time_bucket, agent, target, hop_number, hop_ip, hop_hostname
+            ORDER BY time_bucket DESC, target ASC, agent ASC, hop_number ASC
         `;
 
-        const result = await pool.query(query, params);
+        const result = await db.query(query, params);
 
         res.json({
-            aggregated_stats: result.rows,
+            aggregated_stats: result.rows.map(withLatencyPercentiles),
             count: result.rows.length,
-            period_hours: parseInt(hours),
+            period_hours: parseFloat(hours),
             interval: timeInterval
         });
 
@@ -768,49 +5623,49 @@ app.get('/api/aggregated-stats', async (req, res) => {
 // Export anomalies to CSV
 app.get('/api/export/anomalies', async (req, res) => {
     try {
-        const { hours = 24, target } = req.query;
+        const filters = anomalyFilters(req.query);
+        if (filters.error) {
+            return res.status(400).json({ error: filters.error });
+        }
         
-        let query = `
+        const result = await db.query(`
             SELECT 
                 ne.timestamp,
                 ne.target,
+                ne.agent,
                 ne.issue_type,
                 ne.problematic_hop,
                 ne.avg_latency,
                 ne.packet_loss_pct,
+                ne.baseline_latency,
+                ne.latency_deviation,
                 eh.ip_address as problem_hop_ip,
                 eh.hostname as problem_hop_hostname,
                 eh.latency_ms as problem_hop_latency
             FROM network_events ne
-            LEFT JOIN event_hops eh ON ne.id = eh.event_id AND ne.problematic_hop = eh.hop_number
-            WHERE ne.timestamp > NOW() - INTERVAL '${parseInt(hours)} hours'
-        `;
-        
-        const params = [];
-        if (target) {
-            query += ' AND ne.target = $1';
-            params.push(target);
-        }
-        
-        query += ' ORDER BY ne.timestamp DESC';
-        
-        const result = await pool.query(query, params);
+            LEFT JOIN event_hops eh ON ne.id = eh.event_id AND ne.problematic_hop = eh.hop_number AND eh.responder_index = 0
+            WHERE ${filters.where}
+            ORDER BY ne.timestamp DESC
+        `, filters.params);
         
         // Generate CSV
-        const headers = ['Timestamp', 'Target', 'Issue Type', 'Problematic Hop', 'Avg Latency', 'Packet Loss %', 'Problem Hop IP', 'Problem Hop Hostname', 'Problem Hop Latency'];
+        const headers = ['Timestamp', 'Target', 'Agent', 'Issue Type', 'Problematic Hop', 'Avg Latency', 'Packet Loss %', 'Problem Hop IP', 'Problem Hop Hostname', 'Problem Hop Latency', 'Baseline Latency', 'Latency Deviation'];
         const csvRows = [headers.join(',')];
         
         for (const row of result.rows) {
             const values = [
                 row.timestamp,
                 row.target,
+                row.agent,
                 row.issue_type,
                 row.problematic_hop || '',
                 row.avg_latency ? parseFloat(row.avg_latency).toFixed(2) : '',
                 row.packet_loss_pct ? parseFloat(row.packet_loss_pct).toFixed(2) : '',
                 row.problem_hop_ip || '',
                 row.problem_hop_hostname || '',
-                row.problem_hop_latency ? parseFloat(row.problem_hop_latency).toFixed(2) : ''
+                row.problem_hop_latency ? parseFloat(row.problem_hop_latency).toFixed(2) : '',
+                row.baseline_latency ? parseFloat(row.baseline_latency).toFixed(2) : '',
+                row.latency_deviation ? parseFloat(row.latency_deviation).toFixed(2) : ''
             ];
             csvRows.push(values.join(','));
         }
@@ -828,23 +5683,29 @@ app.get('/api/export/anomalies', async (req, res) => {
 // Database status endpoint
 app.get('/api/database/status', async (req, res) => {
     try {
-        const result = await pool.query('SELECT NOW()');
+        const result = await db.query('SELECT NOW() AS now');
         res.json({
             connected: true,
-            logging_enabled: databaseLoggingEnabled,
+            storage: db.type,
+            logging_enabled: canLogToDatabase(),
+            schema: getSchemaStatus(),
+            write_spool: getWriteSpoolStatus(),
             timestamp: result.rows[0].now
         });
     } catch (error) {
         res.json({
             connected: false,
-            logging_enabled: databaseLoggingEnabled,
+            storage: db.type,
+            logging_enabled: canLogToDatabase(),
+            schema: getSchemaStatus(),
+            write_spool: getWriteSpoolStatus(),
             error: error.message
         });
     }
 });
 
 // Delete data within date range
-app.delete('/api/database/cleanup', async (req, res) => {
+app.delete('/api/database/cleanup', requireRole('admin'), async (req, res) => {
     try {
         const { start_date, end_date } = req.query;
         
@@ -852,27 +5713,60 @@ app.delete('/api/database/cleanup', async (req, res) => {
             return res.status(400).json({ error: 'start_date and end_date are required' });
         }
         
+        // Compared as timestamps, which SQLite stores as ISO 8601 text
+        const range = [new Date(start_date), new Date(end_date)];
+        
         // Delete from network_events (CASCADE will delete event_hops automatically)
-        const eventsResult = await pool.query(
+        const eventsResult = await db.query(
             `DELETE FROM network_events 
              WHERE timestamp >= $1 AND timestamp <= $2 
              RETURNING id`,
-            [start_date, end_date]
+            range
+        );
+        
+        // Delete resolved incidents that ended in the range (open ones are still being tracked)
+        const incidentsResult = await db.query(
+            `DELETE FROM incidents 
+             WHERE status = 'resolved' AND ended_at >= $1 AND ended_at <= $2`,
+            range
         );
         
         // Delete from hop_statistics
-        const statsResult = await pool.query(
+        const statsResult = await db.query(
             `DELETE FROM hop_statistics 
              WHERE timestamp_minute >= $1 AND timestamp_minute <= $2`,
-            [start_date, end_date]
+            range
+        );
+        
+        // Delete rollup buckets that start in the range
+        const hourlyResult = await db.query(
+            'DELETE FROM hop_statistics_hourly WHERE bucket >= $1 AND bucket <= $2',
+            range
+        );
+        const dailyResult = await db.query(
+            'DELETE FROM hop_statistics_daily WHERE bucket >= $1 AND bucket <= $2',
+            range
+        );
+        const samplesResult = await db.query(
+            'DELETE FROM trace_samples WHERE timestamp >= $1 AND timestamp <= $2',
+            range
         );
         
         console.log(`🗑️  Deleted ${eventsResult.rowCount} events and ${statsResult.rowCount} hop statistics records`);
+        await logAudit(req, 'database.cleanup', null, {
+            start_date, end_date,
+            events_deleted: eventsResult.rowCount,
+            incidents_deleted: incidentsResult.rowCount,
+            hop_stats_deleted: statsResult.rowCount
+        });
         
         res.json({
             success: true,
             events_deleted: eventsResult.rowCount,
+            incidents_deleted: incidentsResult.rowCount,
             hop_stats_deleted: statsResult.rowCount,
+            rollups_deleted: hourlyResult.rowCount + dailyResult.rowCount,
+            samples_deleted: samplesResult.rowCount,
             message: `Deleted data from ${start_date} to ${end_date}`
         });
         
@@ -882,19 +5776,61 @@ app.delete('/api/database/cleanup', async (req, res) => {
     }
 });
 
+// Retention policy and the last rollup/purge run
+app.get('/api/database/retention', (req, res) => {
+    res.json({
+        policy: {
+            sample_days: RETENTION_CONFIG.SAMPLE_DAYS,
+            minute_days: RETENTION_CONFIG.MINUTE_DAYS,
+            hourly_days: RETENTION_CONFIG.HOURLY_DAYS,
+            daily_days: RETENTION_CONFIG.DAILY_DAYS,
+            event_days: RETENTION_CONFIG.EVENT_DAYS,
+            interval_ms: RETENTION_CONFIG.INTERVAL
+        },
+        running: retentionState.running,
+        last_run: retentionState.lastRun,
+        last_duration_ms: retentionState.lastDuration,
+        last_result: retentionState.lastResult,
+        last_error: retentionState.lastError
+    });
+});
+
+// Run rollups and purges now
+app.post('/api/database/retention/run', requireRole('admin'), async (req, res) => {
+    try {
+        const result = await runRetention();
+        await logAudit(req, 'database.retention', null, result);
+        res.json({ success: true, result });
+    } catch (error) {
+        console.error('Retention run error:', error);
+        res.status(500).json({ error: 'Failed to run retention', message: error.message });
+    }
+});
+
 // Toggle database logging
-app.post('/api/database/logging', (req, res) => {
+app.post('/api/database/logging', requireRole('operator'), async (req, res) => {
     const { enabled } = req.body;
     
     if (typeof enabled !== 'boolean') {
         return res.status(400).json({ error: 'enabled must be a boolean' });
     }
     
+    if (enabled && !schemaState.ready) {
+        return res.status(409).json({
+            error: 'Database schema is not up to date',
+            message: schemaState.current === null
+                ? 'The schema version has not been checked yet (database unreachable?)'
+                : `Schema version ${schemaState.current}, expected ${schemaState.latest}. Run npm run migrate first.`,
+            schema: getSchemaStatus()
+        });
+    }
+    
     databaseLoggingEnabled = enabled;
     console.log(`📊 Database logging ${enabled ? 'ENABLED' : 'DISABLED'}`);
+    await logAudit(req, 'database.logging', null, { enabled });
     
     res.json({
-        logging_enabled: databaseLoggingEnabled,
+        logging_enabled: canLogToDatabase(),
         message: `Database logging ${enabled ? 'enabled' : 'disabled'}`
     });
 });
@@ -905,7 +5841,7 @@ app.post('/api/database/logging', (req, res) => {
 app.get('/api/config', async (req, res) => {
     try {
         // Get app settings
-        const configResult = await pool.query(
+        const configResult = await db.query(
             'SELECT key, value FROM app_config ORDER BY key'
         );
         const appConfig = {};
@@ -914,13 +5850,18 @@ app.get('/api/config', async (req, res) => {
         });
 
         // Get monitored targets
-        const targetsResult = await pool.query(
-            'SELECT id, url, name, selected, sort_order FROM monitored_targets ORDER BY sort_order, id'
+        const targetsResult = await db.query(
+            `SELECT ${TARGET_COLUMNS} FROM monitored_targets ORDER BY sort_order, id`
         );
 
         const config = {
             app_config: appConfig,
             targets: targetsResult.rows,
+            defaults: {
+                latency_threshold_ms: ANOMALY_THRESHOLDS.HIGH_LATENCY,
+                packet_loss_threshold: ANOMALY_THRESHOLDS.PACKET_LOSS,
+                ...DEFAULT_PROBE_SETTINGS
+            },
             last_updated: new Date().toISOString()
         };
 
@@ -935,13 +5876,27 @@ app.get('/api/config', async (req, res) => {
 });
 
 // Save full application configuration
-app.post('/api/config', async (req, res) => {
-    const client = await pool.connect();
+app.post('/api/config', requireRole('operator'), async (req, res) => {
+    const client = await db.connect();
     try {
-        await client.query('BEGIN');
-
         const { app_config, targets } = req.body;
 
+        const invalidSettings = Array.isArray(targets) && targets.map(validateTargetSettings).find(Boolean);
+        if (invalidSettings) {
+            return res.status(400).json({ error: invalidSettings });
+        }
+        
+        if (Array.isArray(targets)) {
+            for (const target of targets) {
+                const invalidTarget = await validateProbeTarget(target.url, target.probe_type || 'traceroute');
+                if (invalidTarget) {
+                    return res.status(400).json({ error: 'Invalid target', message: `${target.url}: ${invalidTarget}` });
+                }
+            }
+        }
+
+        await client.query('BEGIN');
+
         // Update app configuration
         if (app_config) {
             for (const [key, value] of Object.entries(app_config)) {
@@ -962,10 +5917,19 @@ app.post('/api/config', async (req, res) => {
 
             // Insert new targets
             for (const target of targets) {
+                const values = [
+                    target.id,
+                    target.url,
+                    target.name,
+                    target.selected || false,
+                    target.sort_order || 0,
+                    target.probe_type || 'traceroute',
+                    ...TARGET_SETTING_FIELDS.map(field => target[field] ?? null)
+                ];
                 await client.query(
-                    `INSERT INTO monitored_targets (id, url, name, selected, sort_order)
-                     VALUES ($1, $2, $3, $4, $5)`,
-                    [target.id, target.url, target.name, target.selected || false, target.sort_order || 0]
+                    `INSERT INTO monitored_targets (${TARGET_COLUMNS})
+                     VALUES (${values.map((_, i) => `$${i + 1}`).join(', ')})`,
+                    values
                 );
             }
         }
@@ -973,6 +5937,15 @@ app.post('/api/config', async (req, res) => {
         await client.query('COMMIT');
 
         console.log('Configuration saved successfully');
+        await logAudit(req, 'config.save', null, {
+            app_config,
+            targets: Array.isArray(targets) ? targets.map(target => target.url) : undefined
+        });
+
+        // Pick up interval/enabled changes in the scheduler
+        applyMonitorConfig().catch(error => {
+            console.error('Failed to apply monitoring configuration:', error.message);
+        });
         res.json({
             success: true,
             message: 'Configuration saved successfully',
@@ -992,8 +5965,8 @@ app.post('/api/config', async (req, res) => {
 });
 
 // Reset configuration to defaults
-app.put('/api/config/reset', async (req, res) => {
-    const client = await pool.connect();
+app.put('/api/config/reset', requireRole('admin'), async (req, res) => {
+    const client = await db.connect();
     try {
         await client.query('BEGIN');
 
@@ -1020,6 +5993,12 @@ app.put('/api/config/reset', async (req, res) => {
         await client.query('COMMIT');
 
         console.log('Configuration reset to defaults');
+        await logAudit(req, 'config.reset');
+
+        // Pick up interval/enabled changes in the scheduler
+        applyMonitorConfig().catch(error => {
+            console.error('Failed to apply monitoring configuration:', error.message);
+        });
         res.json({
             success: true,
             message: 'Configuration reset to defaults',
@@ -1039,21 +6018,34 @@ app.put('/api/config/reset', async (req, res) => {
 });
 
 // Add new target
-app.post('/api/targets', async (req, res) => {
+app.post('/api/targets', requireRole('operator'), async (req, res) => {
     try {
-        const { url, name } = req.body;
+        const { url, name, probe_type = 'traceroute' } = req.body;
 
         if (!url || !name) {
             return res.status(400).json({ error: 'URL and name are required' });
         }
 
-        const result = await pool.query(
-            `INSERT INTO monitored_targets (url, name, sort_order)
-             SELECT $1, $2, COALESCE(MAX(sort_order), 0) + 1 FROM monitored_targets
+        const invalidSettings = validateTargetSettings(req.body);
+        if (invalidSettings) {
+            return res.status(400).json({ error: invalidSettings });
+        }
+
+        const invalidTarget = await validateProbeTarget(url, probe_type);
+        if (invalidTarget) {
+            return res.status(400).json({ error: 'Invalid target', message: invalidTarget });
+        }
+
+        const settingValues = TARGET_SETTING_FIELDS.map(field => req.body[field] ?? null);
+        const result = await db.query(
+            `INSERT INTO monitored_targets (url, name, sort_order, probe_type, ${TARGET_SETTING_FIELDS.join(', ')})
+             SELECT $1, $2, COALESCE(MAX(sort_order), 0) + 1, $3, ${settingValues.map((_, i) => `$${i + 4}`).join(', ')}
+             FROM monitored_targets
              RETURNING *`,
-            [url, name]
+            [url, name, probe_type, ...settingValues]
         );
 
+        await logAudit(req, 'target.create', result.rows[0].id, { url, name, probe_type });
         console.log(`Target added: ${name} (${url})`);
         res.status(201).json({
             success: true,
@@ -1070,24 +6062,61 @@ app.post('/api/targets', async (req, res) => {
 });
 
 // Update target
-app.put('/api/targets/:id', async (req, res) => {
+app.put('/api/targets/:id', requireRole('operator'), async (req, res) => {
     try {
         const id = parseInt(req.params.id);
-        const { url, name, selected, sort_order } = req.body;
+        const { url, name, selected, sort_order, probe_type } = req.body;
+
+        const invalidSettings = validateTargetSettings(req.body);
+        if (invalidSettings) {
+            return res.status(400).json({ error: invalidSettings });
+        }
+
+        // A new URL or probe type has to fit the other one
+        if (url !== undefined || probe_type !== undefined) {
+            const existing = await db.query('SELECT url, probe_type FROM monitored_targets WHERE id = $1', [id]);
+            if (existing.rows.length === 0) {
+                return res.status(404).json({ error: 'Target not found' });
+            }
+            
+            const invalidTarget = await validateProbeTarget(url ?? existing.rows[0].url, probe_type ?? existing.rows[0].probe_type);
+            if (invalidTarget) {
+                return res.status(400).json({ error: 'Invalid target', message: invalidTarget });
+            }
+        }
+
+        // Only settings present in the body change; null resets one to the global default
+        const params = [url, name, selected, sort_order, probe_type, id];
+        const settingAssignments = TARGET_SETTING_FIELDS
+            .filter(field => req.body[field] !== undefined)
+            .map(field => {
+                params.push(req.body[field]);
+                return `${field} = $${params.length}`;
+            });
 
-        const result = await pool.query(
+        const result = await db.query(
             `UPDATE monitored_targets
-             SET url = $1, name = $2, selected = $3, sort_order = $4, updated_at = NOW()
-             WHERE id = $5
+             SET url = COALESCE($1, url), name = COALESCE($2, name),
+                 selected = COALESCE($3, selected), sort_order = COALESCE($4, sort_order),
+                 probe_type = COALESCE($5, probe_type),
+                 ${settingAssignments.map(assignment => assignment + ',').join(' ')}
+                 updated_at = NOW()
+             WHERE id = $6
              RETURNING *`,
-            [url, name, selected, sort_order, id]
+            params
         );
 
         if (result.rows.length === 0) {
             return res.status(404).json({ error: 'Target not found' });
         }
 
+        await logAudit(req, 'target.update', id, req.body);
         console.log(`Target updated: ID ${id}`);
+
+        // Scheduled probes pick up new settings right away
+        applyMonitorConfig().catch(error => {
+            console.error('Failed to apply monitoring configuration:', error.message);
+        });
         res.json({
             success: true,
             target: result.rows[0]
@@ -1103,11 +6132,11 @@ app.put('/api/targets/:id', async (req, res) => {
 });
 
 // Delete target
-app.delete('/api/targets/:id', async (req, res) => {
+app.delete('/api/targets/:id', requireRole('operator'), async (req, res) => {
     try {
         const id = parseInt(req.params.id);
 
-        const result = await pool.query(
+        const result = await db.query(
             'DELETE FROM monitored_targets WHERE id = $1 RETURNING *',
             [id]
         );
@@ -1116,6 +6145,7 @@ app.delete('/api/targets/:id', async (req, res) => {
             return res.status(404).json({ error: 'Target not found' });
         }
 
+        await logAudit(req, 'target.delete', id, { url: result.rows[0].url, name: result.rows[0].name });
         console.log(`Target deleted: ID ${id}`);
         res.json({
             success: true,
@@ -1131,6 +6161,174 @@ app.delete('/api/targets/:id', async (req, res) => {
     }
 });
 
+// ==================== METRICS ====================
+// Prometheus text exposition format, rendered from the in-memory state (latest result per
+// target, counters since process start), so scraping never touches the database.
+
+// Count a finished trace and each issue type it showed
+function countTraceResult(result) {
+    const key = seriesKey(result.agent, result.target);
+    if (!traceCounts.has(key)) {
+        traceCounts.set(key, { agent: result.agent, target: result.target, success: 0, error: 0 });
+    }
+    traceCounts.get(key)[result.error ? 'error' : 'success']++;
+    
+    const issueTypes = new Set((result.anomalies || []).map(anomaly => anomaly.type));
+    issueTypes.forEach(issueType => countAnomaly(result.agent, result.target, issueType));
+}
+
+function countAnomaly(agent, target, issueType) {
+    const key = seriesKey(agent, target);
+    if (!anomalyCounts.has(key)) {
+        anomalyCounts.set(key, { agent, target, counts: new Map() });
+    }
+    const { counts } = anomalyCounts.get(key);
+    counts.set(issueType, (counts.get(issueType) || 0) + 1);
+}
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+// One metric family: HELP and TYPE lines plus a line per sample ({ labels, value });
+// samples without a value (e.g. latency of a timed-out hop) are left out
+function formatMetricFamily(name, type, help, samples) {
+    const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+    samples.forEach(({ labels = {}, value }) => {
+        if (value === null || value === undefined || Number.isNaN(value)) return;
+        
+        const labelText = Object.entries(labels)
+            .map(([key, labelValue]) => `${key}="${escapeLabelValue(labelValue)}"`)
+            .join(',');
+        lines.push(`${name}${labelText ? `{${labelText}}` : ''} ${Number(value)}`);
+    });
+    return lines.join('\n');
+}
+
+function renderMetrics() {
+    const results = Array.from(latestResults.values());
+    const targetSamples = (valueOf) => results.map(result => ({
+        labels: { target: result.target, agent: result.agent, probe_type: result.probe_type || 'traceroute' },
+        value: valueOf(result)
+    }));
+    const destination = (result) => result.hops && result.hops.length > 0 ? result.hops[result.hops.length - 1] : null;
+    const reachedDestination = (result) => {
+        const lastHop = destination(result);
+        return !result.error && lastHop && !lastHop.timeout && lastHop.ip !== '*';
+    };
+    
+    const hopSamples = (valueOf) => results.flatMap(result => (result.hops || []).map(hop => ({
+        labels: { target: result.target, agent: result.agent, hop: hop.hop, ip: hop.ip || '*' },
+        value: valueOf(hop)
+    })));
+    
+    const traceSamples = [];
+    traceCounts.forEach(({ agent, target, success, error }) => {
+        traceSamples.push({ labels: { target, agent, status: 'success' }, value: success });
+        traceSamples.push({ labels: { target, agent, status: 'error' }, value: error });
+    });
+    
+    const anomalySamples = [];
+    anomalyCounts.forEach(({ agent, target, counts }) => {
+        counts.forEach((value, issueType) => {
+            anomalySamples.push({ labels: { target, agent, issue_type: issueType }, value });
+        });
+    });
+    
+    const families = [
+        formatMetricFamily('pingplotter_target_latency_ms', 'gauge',
+            'Latency to the destination in the latest trace',
+            targetSamples(result => reachedDestination(result) ? destination(result).latency : null)),
+        formatMetricFamily('pingplotter_target_packet_loss_percent', 'gauge',
+            'Packet loss to the destination in the latest trace',
+            targetSamples(result => destination(result) ? destination(result).packetLoss ?? (destination(result).timeout ? 100 : 0) : null)),
+        formatMetricFamily('pingplotter_target_hop_count', 'gauge',
+            'Number of hops in the latest trace',
+            targetSamples(result => result.hops ? result.hops.length : 0)),
+        formatMetricFamily('pingplotter_target_last_trace_success', 'gauge',
+            '1 if the latest trace completed and reached the destination, 0 otherwise',
+            targetSamples(result => reachedDestination(result) ? 1 : 0)),
+        formatMetricFamily('pingplotter_target_last_trace_timestamp_seconds', 'gauge',
+            'Unix time of the latest trace',
+            targetSamples(result => new Date(result.timestamp).getTime() / 1000)),
+        formatMetricFamily('pingplotter_hop_latency_ms', 'gauge',
+            'Average latency of a hop in the latest trace',
+            hopSamples(hop => hop.timeout ? null : hop.latency)),
+        formatMetricFamily('pingplotter_hop_packet_loss_percent', 'gauge',
+            'Packet loss of a hop in the latest trace',
+            hopSamples(hop => hop.packetLoss ?? (hop.timeout ? 100 : 0))),
+        formatMetricFamily('pingplotter_traces_total', 'counter',
+            'Traces run since start, by status', traceSamples),
+        formatMetricFamily('pingplotter_anomalies_total', 'counter',
+            'Traces with an anomaly (or route changes) since start, by issue type', anomalySamples),
+        formatMetricFamily('pingplotter_open_incidents', 'gauge',
+            'Incidents currently open', [{ value: openIncidents.size }]),
+        formatMetricFamily('pingplotter_hop_stats_buffer_size', 'gauge',
+            'Per-hop statistics entries waiting to be flushed to the database', [{ value: hopStatsBuffer.size }]),
+        formatMetricFamily('pingplotter_write_spool_size', 'gauge',
+            'Writes waiting for the database to come back, by kind',
+            [{ labels: { kind: 'events' }, value: eventSpool.length },
+             { labels: { kind: 'hop_stats' }, value: hopStatsSpool.length },
+             { labels: { kind: 'trace_samples' }, value: traceSampleSpool.length }]),
+        formatMetricFamily('pingplotter_write_spool_dropped_total', 'counter',
+            'Spooled writes dropped because the spool was full, by kind',
+            [{ labels: { kind: 'events' }, value: spoolStats.droppedEvents },
+             { labels: { kind: 'hop_stats' }, value: spoolStats.droppedHopRows },
+             { labels: { kind: 'trace_samples' }, value: spoolStats.droppedSamples }]),
+        formatMetricFamily('pingplotter_hop_stats_flushes_total', 'counter',
+            'Hop statistics flushes since start', [{ value: hopStatsFlushStats.flushes }]),
+        formatMetricFamily('pingplotter_hop_stats_flushed_rows_total', 'counter',
+            'Hop statistics rows written since start', [{ value: hopStatsFlushStats.rows }]),
+        formatMetricFamily('pingplotter_hop_stats_failed_rows_total', 'counter',
+            'Hop statistics rows that failed to write since start', [{ value: hopStatsFlushStats.failedRows }]),
+        formatMetricFamily('pingplotter_hop_stats_last_flush_duration_seconds', 'gauge',
+            'Duration of the last hop statistics flush',
+            [{ value: hopStatsFlushStats.lastDuration !== null ? hopStatsFlushStats.lastDuration / 1000 : null }]),
+        formatMetricFamily('pingplotter_hop_stats_last_flush_rows', 'gauge',
+            'Rows written by the last hop statistics flush', [{ value: hopStatsFlushStats.lastRows }]),
+        formatMetricFamily('pingplotter_probe_queue_pending', 'gauge',
+            'Probes waiting for a free slot', [{ value: probeQueue.pending.length }]),
+        formatMetricFamily('pingplotter_probe_queue_running', 'gauge',
+            'Probes running', [{ value: probeQueue.running }]),
+        formatMetricFamily('pingplotter_probe_queue_max_concurrent', 'gauge',
+            'Maximum number of probes running at once', [{ value: PROBE_QUEUE_CONFIG.MAX_CONCURRENT }]),
+        formatMetricFamily('pingplotter_probe_queue_coalesced_total', 'counter',
+            'Probe requests merged into a run that was already queued or running', [{ value: probeQueue.coalesced }]),
+        formatMetricFamily('pingplotter_probe_queue_wait_seconds_total', 'counter',
+            'Total time probes waited in the queue', [{ value: probeQueue.totalWait / 1000 }]),
+        formatMetricFamily('pingplotter_scheduler_running', 'gauge',
+            '1 if scheduled traces are running', [{ value: monitorState.running ? 1 : 0 }]),
+        formatMetricFamily('pingplotter_scheduler_ticks_total', 'counter',
+            'Scheduler ticks since start, by status',
+            [{ labels: { status: 'completed' }, value: monitorState.ticksCompleted },
+             { labels: { status: 'skipped' }, value: monitorState.ticksSkipped }]),
+        formatMetricFamily('pingplotter_scheduler_last_tick_duration_seconds', 'gauge',
+            'Duration of the last scheduler tick',
+            [{ value: monitorState.lastTickDuration !== null ? monitorState.lastTickDuration / 1000 : null }]),
+        formatMetricFamily('pingplotter_stream_clients', 'gauge',
+            'Connected live stream clients', [{ value: streamClients.size }]),
+        formatMetricFamily('pingplotter_database_logging_enabled', 'gauge',
+            '1 if anomaly logging to the database is enabled', [{ value: canLogToDatabase() ? 1 : 0 }]),
+        formatMetricFamily('pingplotter_schema_version', 'gauge',
+            'Applied and expected database schema version',
+            [{ labels: { state: 'applied' }, value: schemaState.current },
+             { labels: { state: 'expected' }, value: schemaState.latest }])
+    ];
+    
+    return families.join('\n') + '\n';
+}
+
+// Prometheus scrape endpoint
+app.get('/metrics', authenticate, (req, res) => {
+    try {
+        res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.send(renderMetrics());
+    } catch (error) {
+        console.error('Render metrics error:', error);
+        res.status(500).json({ error: 'Failed to render metrics', message: error.message });
+    }
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
     res.json({
@@ -1140,26 +6338,104 @@ app.get('/health', (req, res) => {
     });
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`╔════════════════════════════════════════════════╗`);
-    console.log(`║  Connectivity Monitor Backend Server          ║`);
-    console.log(`║  Running on http://localhost:${PORT}            ║`);
-    console.log(`║  Platform: ${process.platform.padEnd(36)}║`);
-    console.log(`╚════════════════════════════════════════════════╝`);
-    console.log(`\nEndpoints:`);
-    console.log(`  GET /health - Health check`);
-    console.log(`  GET /api/traceroute/:target - Run traceroute`);
-    console.log(`\nAnomaly Tracking (>200ms latency, timeouts):`);
-    console.log(`  GET /api/anomalies - Get anomalies with filtering`);
-    console.log(`  GET /api/anomalies/:id/hops - Get full hop path for event`);
-    console.log(`  GET /api/hop-stats - Get problem hop statistics`);
-    console.log(`  GET /api/anomaly-timeline - Get timeline data for charting`);
-    console.log(`  GET /api/export/anomalies - Export anomalies to CSV\n`);
-});
+// Start server (or run a migration command and exit); agents only run the probe loop
+const cliCommand = process.argv[2];
+if (cliCommand && AGENT_MODE) {
+    console.error('❌ Agents (AGENT_CENTRAL_URL is set) have no database to migrate');
+    process.exit(1);
+} else if (cliCommand) {
+    runMigrationCommand(cliCommand).then(code => process.exit(code));
+} else if (AGENT_MODE) {
+    console.log(`🛰️  Probe agent "${AGENT_CONFIG.NAME}" reporting to ${AGENT_CONFIG.CENTRAL_URL}`);
+    startAgent();
+} else {
+    connectDatabase();
+    
+    app.listen(PORT, () => {
+        console.log(`╔════════════════════════════════════════════════╗`);
+        console.log(`║  Connectivity Monitor Backend Server          ║`);
+        console.log(`║  Running on http://localhost:${PORT}            ║`);
+        console.log(`║  Platform: ${process.platform.padEnd(36)}║`);
+        console.log(`╚════════════════════════════════════════════════╝`);
+        console.log(`\nEndpoints:`);
+        console.log(`  GET /health - Health check`);
+        console.log(`  GET /metrics - Prometheus metrics`);
+        console.log(`\nAuthentication (${AUTH_CONFIG.ENABLED ? 'enabled' : 'DISABLED'}):`);
+        console.log(`  POST /api/auth/login - Log in (returns a session token)`);
+        console.log(`  POST /api/auth/logout - End the session`);
+        console.log(`  GET /api/auth/me - Current user`);
+        console.log(`  GET/POST/PUT/DELETE /api/users - Manage users (admin)`);
+        console.log(`  GET/POST/DELETE /api/tokens - Manage API tokens (admin)`);
+        console.log(`  GET /api/audit - Audit trail (admin)`);
+        console.log(`  GET /api/traceroute/:target - Run traceroute`);
+        console.log(`  GET /api/probe/:type/:target - Run a probe (traceroute, mtr, ping, tcp, http)`);
+        console.log(`\nProbe Agents:`);
+        console.log(`  GET /api/agents - List agents (vantage points)`);
+        console.log(`  POST/DELETE /api/agents - Register an agent / revoke its token (admin)`);
+        console.log(`  GET /api/agent/config - Targets and interval for an agent`);
+        console.log(`  POST /api/agent/results - Push results from an agent`);
+        console.log(`\nMonitoring Scheduler:`);
+        console.log(`  GET /api/monitor/status - Get scheduler status`);
+        console.log(`  POST /api/monitor/start - Start scheduled traces`);
+        console.log(`  POST /api/monitor/stop - Stop scheduled traces`);
+        console.log(`  GET /api/monitor/results - Get latest trace per target`);
+        console.log(`  GET /api/monitor/stream - Live trace stream (Server-Sent Events)`);
+        console.log(`\nAnomaly Tracking (>200ms latency, timeouts):`);
+        console.log(`  GET /api/anomalies - Get anomalies with filtering`);
+        console.log(`  GET /api/anomalies/summary - Exact totals per issue type and target, latency buckets`);
+        console.log(`  GET /api/anomalies/:id/hops - Get full hop path for event`);
+        console.log(`  GET /api/anomalies/:id/context - Normal path, nearby and previous/next events of an event`);
+        console.log(`  GET /api/routes/history - Get path versions and route changes of a target`);
+        console.log(`  GET /api/routes/diff - Diff two path versions`);
+        console.log(`  GET /api/incidents - Get incidents (grouped anomalies)`);
+        console.log(`  GET /api/incidents/:id - Get incident with its events`);
+        console.log(`  GET/POST/PUT/DELETE /api/alerts/channels - Manage alert channels (webhook, slack, teams, email)`);
+        console.log(`  GET/POST/PUT/DELETE /api/alerts/rules - Manage alert rules`);
+        console.log(`  GET /api/alerts/deliveries - Alert delivery log`);
+        console.log(`  GET /api/hop-stats - Get problem hop statistics`);
+        console.log(`  GET /api/live/history - Hop table and per-hop timeline of a target over a time window`);
+        console.log(`  GET /api/baselines - Get learned latency baselines per target/hop`);
+        console.log(`  GET /api/anomaly-timeline - Get timeline data for charting`);
+        console.log(`  GET /api/export/anomalies - Export anomalies to CSV\n`);
+    });
+}
 
-// Graceful shutdown
-process.on('SIGINT', () => {
+// Graceful shutdown: stop probing and write everything still buffered (a second signal exits at once)
+let shuttingDown = false;
+async function shutdown() {
+    if (shuttingDown) process.exit(1);
+    shuttingDown = true;
+    
     console.log('\nShutting down gracefully...');
+    stopMonitor();
+    
+    if (AGENT_MODE) {
+        await Promise.race([
+            pushAgentResults().catch(error => {
+                console.error('Final push failed:', error.message);
+            }),
+            new Promise(resolve => setTimeout(resolve, WRITE_CONFIG.SHUTDOWN_TIMEOUT))
+        ]);
+        if (agentState.queue.length > 0) {
+            console.warn(`⚠️  Exiting with ${agentState.queue.length} results not pushed to the central instance`);
+        }
+        process.exit(0);
+    }
+    
+    const timedOut = await Promise.race([
+        flushPendingWrites().then(() => false, error => {
+            console.error('Final flush failed:', error.message);
+            return false;
+        }),
+        new Promise(resolve => setTimeout(resolve, WRITE_CONFIG.SHUTDOWN_TIMEOUT, true))
+    ]);
+    
+    const unwritten = eventSpool.length + hopStatsSpool.length;
+    if (timedOut || unwritten > 0) {
+        console.warn(`⚠️  Exiting with unwritten data (${eventSpool.length} events, ${hopStatsSpool.length} hop statistics rows)`);
+    }
     process.exit(0);
-});
+}
+
+process.on('SIGINT', shutdown);
+process.on('SIGTERM', shutdown);
@@ -0,0 +1,105 @@
+// Shape checks for pushed agent results: values must fit the columns they are stored in
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateAgentHop, validateAgentHops } = require('../lib/agent-results');
+
+// A hop as the traceroute parser produces it
+const hop = (fields = {}) => ({
+    hop: 1,
+    ip: '192.0.2.1',
+    hostname: 'gw.example.net',
+    latency: 1.5,
+    timeout: false,
+    probes: [1.2, 1.5, 1.8],
+    sent: 3,
+    received: 3,
+    lost: 0,
+    packetLoss: 0,
+    min: 1.2,
+    avg: 1.5,
+    max: 1.8,
+    jitter: 0.3,
+    responders: [{ ip: '192.0.2.1', hostname: 'gw.example.net', probes: [1.2, 1.5, 1.8] }],
+    multipath: false,
+    ...fields
+});
+
+test('accepts parser output, silent hops and missing optional fields', () => {
+    assert.equal(validateAgentHops([
+        hop(),
+        hop({ hop: 2, ip: '2001:db8::1', hostname: '2001:db8::1' }),
+        hop({ hop: 3, ip: '*', hostname: 'Request timed out', latency: null, timeout: true, probes: [null, null, null],
+              received: 0, lost: 3, packetLoss: 100, min: null, avg: null, max: null, jitter: null, responders: [] }),
+        { hop: 4, ip: null, latency: null, timeout: true },
+        { hop: 5, ip: '198.51.100.7', latency: 12 }
+    ]), null);
+});
+
+test('ip must be an IP address, "*" or null', () => {
+    for (const ip of ['foo', '', '10.0.0', '256.0.0.1', 'fe80::1%eth0', '192.0.2.1/24', 42, ['192.0.2.1']]) {
+        assert.equal(validateAgentHop(hop({ ip })), 'ip must be an IP address, "*" or null', JSON.stringify(ip));
+    }
+});
+
+test('hostname must fit VARCHAR(255)', () => {
+    assert.equal(validateAgentHop(hop({ hostname: 'a'.repeat(255) })), null);
+    assert.equal(validateAgentHop(hop({ hostname: 'a'.repeat(300) })),
+        'hostname must be a string of at most 255 characters or null');
+    assert.equal(validateAgentHop(hop({ hostname: 7 })),
+        'hostname must be a string of at most 255 characters or null');
+});
+
+test('hop must be an integer TTL', () => {
+    for (const value of [2 ** 40, 0, -1, 1.5, '1', undefined]) {
+        assert.equal(validateAgentHops([hop({ hop: value })]), 'hops[0]: hop must be an integer from 1 to 255', String(value));
+    }
+    assert.equal(validateAgentHops([hop({ hop: 255 })]), null);
+});
+
+test('sent, received and lost must be non-negative integers in range', () => {
+    for (const field of ['sent', 'received', 'lost']) {
+        for (const value of [-1, 1.5, 2 ** 40, '3', Infinity]) {
+            assert.equal(validateAgentHop(hop({ [field]: value })), `${field} must be a non-negative integer or null`,
+                `${field}: ${value}`);
+        }
+    }
+});
+
+test('latencies must fit NUMERIC(10,2)', () => {
+    for (const field of ['latency', 'min', 'avg', 'max', 'jitter']) {
+        for (const value of [1e12, 1e8, -1, NaN, Infinity, '12']) {
+            assert.equal(validateAgentHop(hop({ [field]: value })),
+                `${field} must be a latency between 0 and 99999999.99 ms or null`, `${field}: ${value}`);
+        }
+    }
+    assert.equal(validateAgentHop(hop({ max: 99999999.99 })), null);
+    
+    assert.equal(validateAgentHop(hop({ probes: [1, 1e12] })), 'probes must be a list of latencies');
+    assert.equal(validateAgentHop(hop({ probes: [1, -3] })), 'probes must be a list of latencies');
+    assert.equal(validateAgentHop(hop({ probes: '1 2 3' })), 'probes must be a list of latencies');
+    assert.equal(validateAgentHop(hop({ packetLoss: 150 })), 'packetLoss must be a percentage or null');
+});
+
+test('responders are checked like hops and reported by position', () => {
+    assert.equal(validateAgentHops([hop(), hop({ hop: 2, responders: 'x' })]), 'hops[1]: responders must be a list');
+    assert.equal(validateAgentHops([hop({ responders: [null] })]), 'hops[0].responders[0]: must be an object');
+    assert.equal(
+        validateAgentHops([hop({ responders: [{ ip: '192.0.2.1' }, { ip: 'foo', probes: [1] }] })]),
+        'hops[0].responders[1]: ip must be an IP address, "*" or null'
+    );
+    assert.equal(
+        validateAgentHops([hop({ responders: [{ ip: '192.0.2.1', hostname: 'x'.repeat(256) }] })]),
+        'hops[0].responders[0]: hostname must be a string of at most 255 characters or null'
+    );
+    assert.equal(
+        validateAgentHops([hop({ responders: [{ ip: '192.0.2.1', avg: 1e12, sent: 1, received: 1 }] })]),
+        'hops[0].responders[0]: avg must be a latency between 0 and 99999999.99 ms or null'
+    );
+});
+
+test('hops must be a list of objects', () => {
+    assert.equal(validateAgentHops('x'), 'hops must be a list of hops');
+    assert.equal(validateAgentHops([null]), 'hops[0]: must be an object');
+    assert.equal(validateAgentHops([]), null);
+});
@@ -0,0 +1,125 @@
+// Trace command parsers against saved tracert (Windows) and traceroute (Linux, macOS) output
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const {
+    parseTracerouteOutput,
+    parseTracertOutput,
+    parseTraceOutput
+} = require('../lib/trace-parsers');
+
+const fixture = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+
+// The fields that matter per hop, so a failing assertion shows a readable diff
+const brief = (hops) => hops.map(hop => ({
+    hop: hop.hop,
+    ip: hop.ip,
+    hostname: hop.hostname,
+    probes: hop.probes,
+    timeout: hop.timeout
+}));
+
+test('tracert: <1 ms, timed out hops, bracketed and bare IPv4 addresses', () => {
+    const hops = parseTracertOutput(fixture('tracert-windows.txt'));
+
+    assert.deepEqual(brief(hops), [
+        // "<1 ms" is recorded as its 1 ms upper bound
+        { hop: 1, ip: '192.168.178.1', hostname: 'fritz.box', probes: [1, 1, 1], timeout: false },
+        { hop: 2, ip: '100.64.0.1', hostname: '100.64.0.1', probes: [7, 6, 8], timeout: false },
+        { hop: 3, ip: '*', hostname: 'Request timed out', probes: [null, null, null], timeout: true },
+        { hop: 4, ip: '10.0.0.1', hostname: 'ae0.core.example.net', probes: [12, null, 15], timeout: false },
+        { hop: 5, ip: '93.184.216.34', hostname: 'example.com', probes: [21, 19, 20], timeout: false }
+    ]);
+
+    assert.equal(hops[3].latency, 13.5);
+    assert.equal(hops[3].sent, 3);
+    assert.equal(hops[3].lost, 1);
+    assert.equal(hops[2].latency, null);
+    assert.deepEqual(hops[2].responders, []);
+});
+
+test('tracert: bracketed and bare IPv6 addresses', () => {
+    const hops = parseTracertOutput(fixture('tracert-windows-ipv6.txt'));
+
+    assert.deepEqual(brief(hops), [
+        { hop: 1, ip: '2001:db8::1', hostname: 'fritz.box', probes: [1, 1, 1], timeout: false },
+        { hop: 2, ip: '2001:db8:1::1', hostname: '2001:db8:1::1', probes: [9, 8, 9], timeout: false },
+        { hop: 3, ip: '*', hostname: 'Request timed out', probes: [null, null, null], timeout: true },
+        {
+            hop: 4,
+            ip: '2606:2800:220:1:248:1893:25c8:1946',
+            hostname: 'example.com',
+            probes: [25, 24, 26],
+            timeout: false
+        }
+    ]);
+});
+
+test('tracert: "Destination host unreachable" ends the path as a failed hop', () => {
+    const hops = parseTracertOutput(fixture('tracert-windows-unreachable.txt'));
+
+    assert.equal(hops.length, 2);
+    assert.deepEqual(brief(hops)[1], {
+        hop: 2, ip: '192.168.178.1', hostname: '192.168.178.1', probes: [], timeout: true
+    });
+    assert.equal(hops[1].latency, null);
+});
+
+test('traceroute (Linux): timeouts, hostname-less hops, ECMP responders and !H', () => {
+    const hops = parseTracerouteOutput(fixture('traceroute-linux.txt'));
+
+    assert.deepEqual(brief(hops), [
+        { hop: 1, ip: '192.168.1.1', hostname: '_gateway', probes: [0.512, 0.455, 0.431], timeout: false },
+        { hop: 2, ip: '100.64.0.1', hostname: '100.64.0.1', probes: [7.12, 7.035, 6.998], timeout: false },
+        { hop: 3, ip: '*', hostname: 'Request timed out', probes: [null, null, null], timeout: true },
+        { hop: 4, ip: '10.0.0.1', hostname: 'ae1.r1.example.net', probes: [12.311, 13.402, 13.38], timeout: false },
+        // Printed without a name in parentheses (traceroute -n style)
+        { hop: 5, ip: '10.0.0.9', hostname: '10.0.0.9', probes: [15.1, null, 15.3], timeout: false },
+        // Replies flagged !H (host unreachable) count as a failed hop
+        { hop: 6, ip: '93.184.216.34', hostname: 'example.com', probes: [20.004, 20.11, 19.987], timeout: true }
+    ]);
+
+    // Each reply belongs to the router printed before it
+    assert.equal(hops[3].multipath, true);
+    assert.deepEqual(hops[3].responders.map(r => [r.ip, r.hostname, r.probes]), [
+        ['10.0.0.1', 'ae1.r1.example.net', [12.311]],
+        ['10.0.0.2', 'ae2.r2.example.net', [13.402, 13.38]]
+    ]);
+
+    assert.equal(hops[4].lost, 1);
+    assert.ok(Math.abs(hops[4].latency - 15.2) < 1e-9);
+});
+
+test('traceroute (Linux): IPv6 addresses in parentheses', () => {
+    const hops = parseTracerouteOutput(fixture('traceroute6-linux.txt'));
+
+    assert.deepEqual(hops.map(hop => [hop.hop, hop.ip, hop.hostname, hop.timeout]), [
+        [1, '2001:db8::1', 'fritz.box', false],
+        [2, '*', 'Request timed out', true],
+        [3, '2001:db8:1::1', '2001:db8:1::1', false],
+        [4, '2606:2800:220:1:248:1893:25c8:1946', 'example.com', false]
+    ]);
+});
+
+test('traceroute (macOS)', () => {
+    const hops = parseTracerouteOutput(fixture('traceroute-macos.txt'));
+
+    assert.deepEqual(brief(hops), [
+        { hop: 1, ip: '192.168.1.1', hostname: '192.168.1.1', probes: [3.107, 2.214, 2.032], timeout: false },
+        { hop: 2, ip: '*', hostname: 'Request timed out', probes: [null, null, null], timeout: true },
+        { hop: 3, ip: '203.0.113.5', hostname: 'ae-3.r01.example.net', probes: [11.842, 10.976, 11.203], timeout: false },
+        { hop: 4, ip: '93.184.216.34', hostname: 'example.com', probes: [19.911, 20.437, 19.64], timeout: false }
+    ]);
+});
+
+test('parseTraceOutput picks the parser for the platform', () => {
+    const tracert = fixture('tracert-windows.txt');
+
+    assert.deepEqual(parseTraceOutput(tracert, 'win32'), parseTracertOutput(tracert));
+    assert.deepEqual(
+        parseTraceOutput(fixture('traceroute-linux.txt'), 'linux'),
+        parseTracerouteOutput(fixture('traceroute-linux.txt'))
+    );
+});